@@ -43,27 +43,49 @@ class LazyImageLoader {
     const src = img.dataset.src;
     if (!src) return;
 
-    // First, check if the image prompt is ready by making a HEAD request
+    // Static exports have no server to ask: their images are files
+    if (document.body.dataset.staticSite !== undefined) {
+      this.loadImageNormally(img, src);
+      return;
+    }
+
+    // First, check if the image prompt is ready
     this.checkImageStatus(img, src);
   }
 
+  // Get the image slug from an image URL (/images/<slug>.<ext>)
+  getImageSlug(src) {
+    const { pathname } = new URL(src, window.location.href);
+    const match = pathname.match(/^\/images\/(.+)\.[^./]+$/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
   async checkImageStatus(img, src) {
+    const slug = this.getImageSlug(src);
+    if (!slug) {
+      this.loadImageNormally(img, src);
+      return;
+    }
+
     try {
-      const response = await fetch(src, { method: "HEAD" });
+      const response = await fetch(
+        `/api/image/${encodeURIComponent(slug)}/status`
+      );
+      if (!response.ok) {
+        // No prompt was ever stored for this image
+        this.handleImageError(img);
+        return;
+      }
 
-      if (response.status === 202) {
+      const { status } = await response.json();
+      if (status === "pending") {
         // Prompt still generating, poll again silently
         setTimeout(() => this.checkImageStatus(img, src), 1000); // Poll every second
         return;
       }
 
-      if (response.ok) {
-        // Image is ready, load it normally
-        this.loadImageNormally(img, src);
-      } else {
-        // Error loading image
-        this.handleImageError(img);
-      }
+      // The image is cached, or its prompt is ready for generation
+      this.loadImageNormally(img, src);
     } catch (error) {
       console.error("Error checking image status:", error);
       // Fallback: try to load the image normally
@@ -0,0 +1,205 @@
+// Page previews: hovering or focusing a link to an already generated page
+// shows a card with its opening paragraph and lead image
+class PagePreviews {
+  constructor() {
+    // Wait before showing, so moving the pointer across links stays quiet
+    this.showDelay = 500;
+    this.hideDelay = 300;
+    // slug -> summary, or null when the page has not been generated
+    this.summaries = new Map();
+    this.activeLink = null;
+    this.pendingLink = null;
+    this.showTimer = null;
+    this.hideTimer = null;
+    this.lastPointerType = "mouse";
+    this.card = this.createCard();
+    this.init();
+  }
+
+  init() {
+    document.addEventListener("pointerdown", (event) => {
+      this.lastPointerType = event.pointerType;
+      // A tap anywhere dismisses the card rather than opening one
+      if (event.pointerType !== "mouse" && !this.card.contains(event.target)) {
+        this.hide();
+      }
+    });
+
+    document.addEventListener("pointerover", (event) => {
+      // Touch has no hover; taps follow the link as usual
+      if (event.pointerType !== "mouse") return;
+      if (this.card.contains(event.target)) {
+        clearTimeout(this.hideTimer);
+        return;
+      }
+      const link = this.findPreviewLink(event.target);
+      if (link) this.scheduleShow(link);
+    });
+
+    document.addEventListener("pointerout", (event) => {
+      if (event.pointerType !== "mouse") return;
+      const leaving = this.findPreviewLink(event.target);
+      if (leaving || this.card.contains(event.target)) {
+        this.scheduleHide();
+      }
+    });
+
+    document.addEventListener("focusin", (event) => {
+      // Focus from a tap is not a request for a preview
+      if (this.lastPointerType === "touch") return;
+      const link = this.findPreviewLink(event.target);
+      if (link) this.scheduleShow(link);
+    });
+
+    document.addEventListener("focusout", (event) => {
+      if (this.findPreviewLink(event.target)) this.scheduleHide();
+    });
+
+    document.addEventListener("keydown", (event) => {
+      this.lastPointerType = "keyboard";
+      if (event.key === "Escape") this.hide();
+    });
+
+    window.addEventListener("scroll", () => this.hide(), { passive: true });
+  }
+
+  createCard() {
+    const card = document.createElement("div");
+    card.className = "page-preview";
+    card.id = "page-preview";
+    card.setAttribute("role", "tooltip");
+    card.hidden = true;
+    document.body.appendChild(card);
+    return card;
+  }
+
+  // Article links to other wiki pages (not Special: pages or this page)
+  findPreviewLink(target) {
+    const link = target.closest && target.closest(".content a[href^='/wiki/']");
+    if (!link || link.closest(".page-preview")) return null;
+    const slug = this.getSlug(link);
+    if (!slug || slug.startsWith("Special:")) return null;
+    if (link.pathname === location.pathname) return null;
+    return link;
+  }
+
+  getSlug(link) {
+    try {
+      return decodeURIComponent(link.pathname.slice("/wiki/".length));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  scheduleShow(link) {
+    clearTimeout(this.hideTimer);
+    clearTimeout(this.showTimer);
+    if (link === this.activeLink && !this.card.hidden) return;
+    this.pendingLink = link;
+    this.showTimer = setTimeout(() => this.show(link), this.showDelay);
+  }
+
+  scheduleHide() {
+    clearTimeout(this.showTimer);
+    clearTimeout(this.hideTimer);
+    this.pendingLink = null;
+    this.hideTimer = setTimeout(() => this.hide(), this.hideDelay);
+  }
+
+  async fetchSummary(slug) {
+    if (this.summaries.has(slug)) {
+      return this.summaries.get(slug);
+    }
+    try {
+      const response = await fetch(`/api/summary/${encodeURIComponent(slug)}`);
+      const summary = response.ok ? await response.json() : null;
+      // Only remember misses briefly; the page may be generated soon
+      this.summaries.set(slug, summary);
+      if (!summary) {
+        setTimeout(() => this.summaries.delete(slug), 30000);
+      }
+      return summary;
+    } catch (error) {
+      console.error("Error loading page preview:", error);
+      return null;
+    }
+  }
+
+  async show(link) {
+    const slug = this.getSlug(link);
+    const summary = await this.fetchSummary(slug);
+
+    // Nothing to show, or the pointer or focus moved on while loading
+    if (!summary || !summary.extract || this.pendingLink !== link) return;
+
+    this.hide();
+    this.render(summary, link.href);
+    this.activeLink = link;
+    link.setAttribute("aria-describedby", this.card.id);
+    this.card.hidden = false;
+    this.position(link);
+  }
+
+  render(summary, href) {
+    // Build with textContent so summary text is never parsed as HTML
+    const children = [];
+
+    if (summary.image) {
+      const image = document.createElement("img");
+      image.className = "page-preview-image";
+      image.src = summary.image;
+      image.alt = "";
+      children.push(image);
+    }
+
+    const title = document.createElement("a");
+    title.className = "page-preview-title";
+    title.href = href;
+    title.textContent = summary.title;
+    title.tabIndex = -1;
+
+    const extract = document.createElement("p");
+    extract.className = "page-preview-extract";
+    extract.textContent = summary.extract;
+
+    children.push(title, extract);
+    this.card.replaceChildren(...children);
+  }
+
+  // Place the card below the link, or above it near the bottom of the window
+  position(link) {
+    const linkRect = link.getBoundingClientRect();
+    const cardRect = this.card.getBoundingClientRect();
+    const margin = 8;
+
+    const left = Math.max(
+      margin,
+      Math.min(linkRect.left, window.innerWidth - cardRect.width - margin)
+    );
+    const below = linkRect.bottom + margin;
+    const top =
+      below + cardRect.height > window.innerHeight &&
+      linkRect.top - cardRect.height - margin > 0
+        ? linkRect.top - cardRect.height - margin
+        : below;
+
+    this.card.style.left = `${left + window.scrollX}px`;
+    this.card.style.top = `${top + window.scrollY}px`;
+  }
+
+  hide() {
+    clearTimeout(this.showTimer);
+    clearTimeout(this.hideTimer);
+    this.pendingLink = null;
+    if (this.activeLink) {
+      this.activeLink.removeAttribute("aria-describedby");
+      this.activeLink = null;
+    }
+    this.card.hidden = true;
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener("DOMContentLoaded", () => {
+  window.pagePreviews = new PagePreviews();
+});
@@ -0,0 +1,45 @@
+// Progressive page streaming: the server flushes a page shell with empty
+// [data-stream-slot] elements, then streams <template data-stream-fill> chunks
+// as each part of the article is generated. This script moves each chunk into
+// its slot. A [data-stream-end] marker follows every template, so the template
+// is guaranteed to be fully parsed when the marker appears.
+(function () {
+  function fillSlot(template) {
+    const slot = document.querySelector(
+      `[data-stream-slot="${template.dataset.streamFill}"]`
+    );
+    if (slot) {
+      slot.replaceChildren(template.content.cloneNode(true));
+    }
+    template.remove();
+  }
+
+  function processMarker(marker) {
+    const template = marker.previousElementSibling;
+    if (template && template.matches("template[data-stream-fill]")) {
+      fillSlot(template);
+    }
+    marker.remove();
+  }
+
+  const observer = new MutationObserver((records) => {
+    records.forEach((record) => {
+      record.addedNodes.forEach((node) => {
+        if (node.nodeType === 1 && node.matches("[data-stream-end]")) {
+          processMarker(node);
+        }
+      });
+    });
+  });
+
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+  });
+
+  // Catch anything the observer missed, then stop watching
+  document.addEventListener("DOMContentLoaded", () => {
+    document.querySelectorAll("[data-stream-end]").forEach(processMarker);
+    observer.disconnect();
+  });
+})();
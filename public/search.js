@@ -0,0 +1,75 @@
+// Search autocomplete for the header and home page search boxes
+function attachSearch(searchInput, suggestions) {
+  if (!searchInput || !suggestions) return;
+
+  let timeoutId;
+
+  function showSuggestions(items) {
+    // Build with textContent so suggestion titles are never parsed as HTML
+    suggestions.replaceChildren(
+      ...items.map((item) => {
+        const element = document.createElement("div");
+        // Pages that already exist open instantly
+        element.className = item.exists
+          ? "suggestion-item suggestion-existing"
+          : "suggestion-item";
+        element.textContent = item.title;
+        element.addEventListener("click", () => {
+          location.href = "/wiki/" + encodeURIComponent(item.slug);
+        });
+        return element;
+      })
+    );
+    suggestions.style.display = "block";
+  }
+
+  searchInput.addEventListener("input", function () {
+    clearTimeout(timeoutId);
+    const query = this.value.trim();
+
+    if (query.length < 2) {
+      suggestions.style.display = "none";
+      return;
+    }
+
+    timeoutId = setTimeout(() => {
+      fetch(`/api/search?q=${encodeURIComponent(query)}`)
+        .then((response) => response.json())
+        .then((data) => {
+          if (data.length > 0) {
+            showSuggestions(data);
+          } else {
+            suggestions.style.display = "none";
+          }
+        })
+        .catch(() => {
+          suggestions.style.display = "none";
+        });
+    }, 300);
+  });
+
+  searchInput.addEventListener("keypress", function (e) {
+    if (e.key === "Enter") {
+      const query = this.value.trim();
+      if (query) {
+        location.href = "/search?q=" + encodeURIComponent(query);
+      }
+    }
+  });
+
+  // Hide suggestions when clicking outside
+  document.addEventListener("click", function (e) {
+    if (!searchInput.contains(e.target) && !suggestions.contains(e.target)) {
+      suggestions.style.display = "none";
+    }
+  });
+}
+
+attachSearch(
+  document.getElementById("searchInput"),
+  document.getElementById("suggestions")
+);
+attachSearch(
+  document.getElementById("homeSearchInput"),
+  document.getElementById("homeSuggestions")
+);
@@ -0,0 +1,77 @@
+// Search for static exports: suggests pages from search-index.json, as the
+// server's search box does from /api/search
+(function () {
+  const root = document.body.dataset.staticSite;
+  const searchInput = document.getElementById("searchInput");
+  const suggestions = document.getElementById("suggestions");
+  if (root === undefined || !searchInput || !suggestions) return;
+
+  const MAX_SUGGESTIONS = 8;
+  let indexPromise = null;
+
+  // Load the index on first use
+  function loadIndex() {
+    if (!indexPromise) {
+      indexPromise = fetch(root + "search-index.json")
+        .then((response) => response.json())
+        .catch(() => []);
+    }
+    return indexPromise;
+  }
+
+  // Pages whose title matches come before pages whose text matches
+  function findPages(index, query) {
+    const needle = query.toLowerCase();
+    const byTitle = index.filter((page) =>
+      page.title.toLowerCase().includes(needle)
+    );
+    const byText = index.filter(
+      (page) =>
+        !byTitle.includes(page) && page.text.toLowerCase().includes(needle)
+    );
+    return [...byTitle, ...byText].slice(0, MAX_SUGGESTIONS);
+  }
+
+  function showSuggestions(pages) {
+    // Build with textContent so titles are never parsed as HTML
+    suggestions.replaceChildren(
+      ...pages.map((page) => {
+        const element = document.createElement("div");
+        element.className = "suggestion-item suggestion-existing";
+        element.textContent = page.title;
+        element.addEventListener("click", () => {
+          location.href = root + page.url;
+        });
+        return element;
+      })
+    );
+    suggestions.style.display = pages.length > 0 ? "block" : "none";
+  }
+
+  searchInput.addEventListener("input", function () {
+    const query = this.value.trim();
+    if (query.length < 2) {
+      suggestions.style.display = "none";
+      return;
+    }
+    loadIndex().then((index) => showSuggestions(findPages(index, query)));
+  });
+
+  // Enter opens the best match, if any
+  searchInput.addEventListener("keypress", function (e) {
+    if (e.key !== "Enter") return;
+    const query = this.value.trim();
+    if (query.length < 2) return;
+    loadIndex().then((index) => {
+      const [best] = findPages(index, query);
+      location.href = root + (best ? best.url : "not-generated.html");
+    });
+  });
+
+  // Hide suggestions when clicking outside
+  document.addEventListener("click", function (e) {
+    if (!searchInput.contains(e.target) && !suggestions.contains(e.target)) {
+      suggestions.style.display = "none";
+    }
+  });
+})();
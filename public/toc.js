@@ -0,0 +1,40 @@
+// Table of Contents toggle and smooth scrolling
+document.addEventListener("DOMContentLoaded", function () {
+  const tocToggle = document.querySelector(".toc-toggle");
+  const tocContent = document.querySelector(".toc-content");
+
+  if (tocToggle && tocContent) {
+    let isCollapsed = false;
+
+    tocToggle.addEventListener("click", function () {
+      if (isCollapsed) {
+        tocContent.style.display = "block";
+        tocToggle.textContent = "⌄";
+        isCollapsed = false;
+      } else {
+        tocContent.style.display = "none";
+        tocToggle.textContent = "⌃";
+        isCollapsed = true;
+      }
+    });
+  }
+
+  // Smooth scrolling for table of contents links
+  document.querySelectorAll(".toc-item a").forEach((anchor) => {
+    anchor.addEventListener("click", function (e) {
+      e.preventDefault();
+      const targetId = this.getAttribute("href").substring(1);
+      const targetElement = document.getElementById(targetId);
+
+      if (targetElement) {
+        targetElement.scrollIntoView({
+          behavior: "smooth",
+          block: "start",
+        });
+
+        // Update the URL hash
+        history.pushState(null, null, "#" + targetId);
+      }
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// Wiki bundles: export the whole generated wiki (pages, revisions, images,
+// image prompts, valid pages and redirects) to a .tar.gz, or import one into
+// this wiki's cache. Importing while the server runs updates the cache, but
+// the server only reloads valid pages and redirects when restarted; use the
+// /api/bundle admin endpoint to import into a running server.
+//
+// Usage: node scripts/bundle.js export [--out <file>]
+//        node scripts/bundle.js import <file> [--policy <policy>]
+// Policies: keep-newer (default), keep-existing, overwrite
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import {
+  createWikiBundle,
+  importWikiBundle,
+  IMPORT_POLICIES,
+} from "../utils/wikiBundle.js";
+
+// Default bundle file name, dated so exports do not replace each other
+const defaultBundleFile = () =>
+  `wiki-bundle-${new Date().toISOString().slice(0, 10)}.tar.gz`;
+
+// Read the command line options
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  const options = { command, file: null, policy: "keep-newer" };
+  if (command !== "export" && command !== "import") {
+    throw new Error('Expected "export" or "import" as the command');
+  }
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === "--out" && command === "export" && rest[i + 1]) {
+      options.file = rest[++i];
+    } else if (rest[i] === "--policy" && command === "import" && rest[i + 1]) {
+      options.policy = rest[++i];
+    } else if (
+      command === "import" &&
+      !options.file &&
+      !rest[i].startsWith("--")
+    ) {
+      options.file = rest[i];
+    } else {
+      throw new Error(`Unknown option: ${rest[i]}`);
+    }
+  }
+  if (command === "import" && !options.file) {
+    throw new Error("Expected the bundle file to import");
+  }
+  if (!IMPORT_POLICIES.includes(options.policy)) {
+    throw new Error(
+      `Unknown policy "${
+        options.policy
+      }" (expected one of: ${IMPORT_POLICIES.join(", ")})`
+    );
+  }
+  return options;
+}
+
+// Function to describe per-section counts, e.g. "3 pages, 1 images"
+const describeCounts = (counts) =>
+  Object.entries(counts)
+    .map(([section, count]) => `${count} ${section}`)
+    .join(", ");
+
+// Run when called directly
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  try {
+    const { command, file, policy } = parseArgs(process.argv.slice(2));
+    if (command === "export") {
+      const outFile = path.resolve(file || defaultBundleFile());
+      const { tarball, manifest } = await createWikiBundle();
+      fs.writeFileSync(outFile, tarball);
+      console.log(
+        `📦 Exported ${describeCounts(manifest.counts)} to ${outFile}`
+      );
+    } else {
+      const { imported, skipped } = await importWikiBundle(
+        fs.readFileSync(path.resolve(file)),
+        { policy }
+      );
+      console.log(`📥 Imported ${describeCounts(imported)} (${policy})`);
+      console.log(`⏭️ Skipped ${describeCounts(skipped)}`);
+    }
+  } catch (error) {
+    console.error(`❌ Bundle command failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
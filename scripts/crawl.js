@@ -0,0 +1,410 @@
+// Bulk pre-generation crawler: generates pages breadth-first from seed titles
+// (or the featured topics of the home page) along the links of each page, to
+// prepare a wiki before anyone visits it. Pages already in the cache are not
+// generated again, but their links are followed.
+//
+// The frontier is saved after every page, so an interrupted crawl (Ctrl+C
+// finishes the pages in progress first) or one that ran out of page budget
+// carries on where it stopped when run again. The budget is per run: each run
+// generates up to --max-pages pages. A finished crawl removes its state file;
+// --restart discards an unfinished one.
+//
+// Usage: node scripts/crawl.js [title ...] [--depth <n>] [--max-pages <n>]
+//          [--concurrency <n>] [--groq-rpm <n>] [--replicate-rpm <n>]
+//          [--images] [--state <file>] [--restart]
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { buildPage, storePage, buildImage } from "../services/pageBuilder.js";
+import { ensureImagePrompts, waitForImagePrompts } from "../services/groq.js";
+import { setLLMRequestsPerMinute } from "../services/llm.js";
+import { setImageRequestsPerMinute } from "../services/replicate.js";
+import {
+  getCache,
+  getCacheAgeHours,
+  withCacheLock,
+} from "../utils/fileCache.js";
+import { getImageStatus } from "../utils/imageContext.js";
+import { isPageDocument } from "../utils/pageDocuments.js";
+import { getPageLinks } from "../utils/linkGraph.js";
+import { getRedirect } from "../utils/redirects.js";
+import { titleToWikipediaSlug, wikipediaSlugToTitle } from "../utils/slugs.js";
+
+const HOME_VIEW = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "views",
+  "home.html"
+);
+
+const DEFAULT_STATE_FILE = path.join(
+  process.env.CACHE_DIR || path.join(process.cwd(), "cache"),
+  "crawl-state.json"
+);
+
+// Defaults for the command line options. Groq's free tier allows 30 requests
+// a minute; each page takes several (outline, opening, sections, infobox).
+export const CRAWL_DEFAULTS = {
+  depth: 2,
+  maxPages: 50,
+  concurrency: 2,
+  groqRpm: 30,
+  replicateRpm: 10,
+  images: false,
+};
+
+// How long to wait for an image's prompt, which is written in the background
+const PROMPT_WAIT_MS = 60 * 1000;
+const PROMPT_POLL_MS = 500;
+
+// Function to get the titles of the featured topics on the home page
+export function getFeaturedTopics() {
+  const html = fs.readFileSync(HOME_VIEW, "utf8");
+  return [
+    ...html.matchAll(/<a href="\/wiki\/([^"]+)" class="topic-link"/g),
+  ].map(([, slug]) => wikipediaSlugToTitle(decodeURIComponent(slug)));
+}
+
+// Function to read a saved crawl, or null when there is none
+function loadState(statePath) {
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+  const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  if (!Array.isArray(state.frontier) || !Array.isArray(state.visited)) {
+    throw new Error(`${statePath} is not a crawl state file`);
+  }
+  return state;
+}
+
+// Function to save a crawl via a temporary file, so it is never half-written
+function saveState(statePath, state) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  const tempPath = `${statePath}.${process.pid}.tmp`;
+  fs.writeFileSync(
+    tempPath,
+    JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2)
+  );
+  fs.renameSync(tempPath, statePath);
+}
+
+// Function to wait until an image's prompt has been written
+async function waitForImagePrompt(imageSlug) {
+  const deadline = Date.now() + PROMPT_WAIT_MS;
+  let imageStatus = getImageStatus(imageSlug);
+  while (imageStatus.status === "pending" && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, PROMPT_POLL_MS));
+    imageStatus = getImageStatus(imageSlug);
+  }
+  return imageStatus;
+}
+
+// Function to generate the images of a page that are not cached yet; returns
+// how many were generated
+async function generatePageImages(title, imageRefs) {
+  ensureImagePrompts(imageRefs, title);
+
+  let generated = 0;
+  for (const image of imageRefs) {
+    const { status, prompt } = await waitForImagePrompt(image.slug);
+    if (status !== "available") {
+      if (status !== "ready") {
+        console.log(`⚠️ No prompt for image ${image.slug} (${status})`);
+      }
+      continue;
+    }
+    const format = (image.filename || "").includes(".")
+      ? image.filename.split(".").pop().toLowerCase()
+      : "webp";
+    // A server sharing the cache may be generating the same image
+    const built = await withCacheLock(`image_${image.slug}`, async () => {
+      if (getImageStatus(image.slug).status === "ready") {
+        return false;
+      }
+      await buildImage(image.slug, prompt, { format });
+      return true;
+    });
+    if (built) {
+      generated++;
+    }
+  }
+  return generated;
+}
+
+/**
+ * Crawl the wiki breadth-first, generating pages that are not cached yet
+ * @param {Object} options - Crawl options:
+ *   seeds: titles to start from (featured topics when empty; ignored when
+ *     resuming a saved crawl)
+ *   depth: links followed from the seeds (seeds are at depth 0)
+ *   maxPages: pages generated by this run (a resumed crawl gets a fresh
+ *     budget)
+ *   concurrency: pages generated at once
+ *   groqRpm, replicateRpm: text and image generation requests per minute
+ *     (0 for no limit)
+ *   images: whether to generate the images of crawled pages
+ *   statePath: where the frontier is saved
+ *   restart: whether to discard a saved crawl
+ *   signal: AbortSignal that stops the crawl after the pages in progress
+ * @returns {Promise<Object>} - { generated, images, failed, remaining,
+ *   complete } (generated and images count this run only)
+ */
+export async function crawlWiki({
+  seeds = [],
+  depth = CRAWL_DEFAULTS.depth,
+  maxPages = CRAWL_DEFAULTS.maxPages,
+  concurrency = CRAWL_DEFAULTS.concurrency,
+  groqRpm = CRAWL_DEFAULTS.groqRpm,
+  replicateRpm = CRAWL_DEFAULTS.replicateRpm,
+  images = CRAWL_DEFAULTS.images,
+  statePath = DEFAULT_STATE_FILE,
+  restart = false,
+  signal,
+} = {}) {
+  let state = restart ? null : loadState(statePath);
+  if (state) {
+    console.log(
+      `🔁 Resuming crawl: ${state.frontier.length} pages in the frontier, ${state.generated} generated so far`
+    );
+  } else {
+    const seedTitles = seeds.length > 0 ? seeds : getFeaturedTopics();
+    const seedSlugs = [
+      ...new Set(seedTitles.map(titleToWikipediaSlug).filter(Boolean)),
+    ];
+    state = {
+      startedAt: new Date().toISOString(),
+      frontier: seedSlugs.map((slug) => ({ slug, depth: 0 })),
+      visited: [],
+      generated: 0,
+      failed: [],
+    };
+    console.log(`🕷️ Starting crawl from ${seedSlugs.length} seeds`);
+  }
+
+  // Pages seen: crawled, in the frontier or in progress
+  const seen = new Set([
+    ...state.visited,
+    ...state.frontier.map(({ slug }) => slug),
+  ]);
+  const inProgress = new Set();
+  // Generations started this run and not finished yet, counted against the
+  // budget along with those finished (totals.generated)
+  let reserved = 0;
+  const totals = { generated: 0, images: 0, failed: 0 };
+
+  // Pages in progress are saved back into the frontier, so an interrupted
+  // crawl generates them again
+  const persist = () =>
+    saveState(statePath, {
+      ...state,
+      frontier: [...inProgress, ...state.frontier],
+    });
+
+  const enqueueLinks = (linkedTitles, linkDepth) => {
+    linkedTitles.forEach((linkedTitle) => {
+      const slug = titleToWikipediaSlug(linkedTitle);
+      if (slug && !slug.startsWith("Special:") && !seen.has(slug)) {
+        seen.add(slug);
+        state.frontier.push({ slug, depth: linkDepth });
+      }
+    });
+  };
+
+  // Crawl one page: generate it unless cached, then queue its links
+  const crawlPage = async (item, needsGeneration) => {
+    const cacheKey = `wiki_${item.slug}`;
+    const title = wikipediaSlugToTitle(item.slug);
+
+    if (needsGeneration) {
+      // A server sharing the cache may be generating the same page
+      const built = await withCacheLock(cacheKey, async () => {
+        if (getCacheAgeHours(cacheKey) !== null) {
+          return null;
+        }
+        console.log(`🕷️ Generating ${title} (depth ${item.depth})`);
+        const page = await buildPage(title);
+        storePage(cacheKey, title, page, { action: "generate" });
+        return page;
+      });
+      if (built) {
+        state.generated++;
+        totals.generated++;
+      }
+    }
+
+    const cached = getCache(cacheKey);
+    if (images && isPageDocument(cached) && cached.imageRefs?.length > 0) {
+      totals.images += await generatePageImages(title, cached.imageRefs);
+    }
+    if (item.depth < depth) {
+      enqueueLinks(
+        isPageDocument(cached)
+          ? cached.linkedPages || []
+          : getPageLinks(item.slug),
+        item.depth + 1
+      );
+    }
+  };
+
+  // Take the next page off the frontier, following redirects. Returns null
+  // when the frontier is empty and { stop: true } when the crawl is stopped
+  // or out of budget. Pages to generate reserve budget when taken.
+  const takeNext = () => {
+    while (state.frontier.length > 0) {
+      if (signal?.aborted) {
+        return { stop: true };
+      }
+      const next = state.frontier[0];
+      const target = getRedirect(next.slug);
+      if (target) {
+        state.frontier.shift();
+        if (!seen.has(target)) {
+          seen.add(target);
+          state.frontier.unshift({ slug: target, depth: next.depth });
+        }
+        continue;
+      }
+
+      const needsGeneration = getCacheAgeHours(`wiki_${next.slug}`) === null;
+      if (needsGeneration && totals.generated + reserved >= maxPages) {
+        return { stop: true };
+      }
+      state.frontier.shift();
+      if (needsGeneration) {
+        reserved++;
+      }
+      return { item: next, needsGeneration };
+    }
+    return null;
+  };
+
+  // Workers waiting for pages in progress to add to the frontier
+  let waiting = [];
+
+  const worker = async () => {
+    for (;;) {
+      const next = takeNext();
+      if (next === null) {
+        if (inProgress.size === 0) {
+          return;
+        }
+        await new Promise((resolve) => waiting.push(resolve));
+        continue;
+      }
+      if (next.stop) {
+        return;
+      }
+
+      const { item, needsGeneration } = next;
+      inProgress.add(item);
+      try {
+        await crawlPage(item, needsGeneration);
+      } catch (error) {
+        console.error(`❌ Failed to crawl ${item.slug}: ${error.message}`);
+        state.failed.push({ slug: item.slug, error: error.message });
+        totals.failed++;
+      }
+      if (needsGeneration) {
+        reserved--;
+      }
+      inProgress.delete(item);
+      state.visited.push(item.slug);
+      persist();
+
+      const waiters = waiting;
+      waiting = [];
+      waiters.forEach((resolve) => resolve());
+    }
+  };
+
+  const previousGroqRpm = setLLMRequestsPerMinute(groqRpm);
+  const previousReplicateRpm = setImageRequestsPerMinute(replicateRpm);
+  try {
+    await Promise.all(
+      Array.from({ length: Math.max(1, concurrency) }, () => worker())
+    );
+  } finally {
+    // Prompts of the crawled pages are generated in the background, still
+    // within the crawl's limits
+    await waitForImagePrompts();
+    setLLMRequestsPerMinute(previousGroqRpm);
+    setImageRequestsPerMinute(previousReplicateRpm);
+  }
+
+  const complete = state.frontier.length === 0;
+  if (complete) {
+    fs.rmSync(statePath, { force: true });
+  } else {
+    persist();
+  }
+  return { ...totals, remaining: state.frontier.length, complete };
+}
+
+// Function to read a whole-number option value
+function readCountOption(name, value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`${name} needs a whole number`);
+  }
+  return count;
+}
+
+// Options that take a number, by flag
+const COUNT_OPTIONS = {
+  "--depth": "depth",
+  "--max-pages": "maxPages",
+  "--concurrency": "concurrency",
+  "--groq-rpm": "groqRpm",
+  "--replicate-rpm": "replicateRpm",
+};
+
+// Read the command line options
+function parseArgs(args) {
+  const options = { ...CRAWL_DEFAULTS, seeds: [], restart: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (COUNT_OPTIONS[arg] && args[i + 1] !== undefined) {
+      options[COUNT_OPTIONS[arg]] = readCountOption(arg, args[++i]);
+    } else if (arg === "--state" && args[i + 1]) {
+      options.statePath = path.resolve(args[++i]);
+    } else if (arg === "--images") {
+      options.images = true;
+    } else if (arg === "--restart") {
+      options.restart = true;
+    } else if (!arg.startsWith("--")) {
+      options.seeds.push(arg);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+// Run when called directly (tests import crawlWiki)
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    console.log("⏸️ Stopping after the pages in progress (Ctrl+C again quits)");
+    controller.abort();
+  });
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const result = await crawlWiki({ ...options, signal: controller.signal });
+    console.log(
+      `🕷️ Generated ${result.generated} pages and ${result.images} images (${result.failed} failed)`
+    );
+    console.log(
+      result.complete
+        ? "✅ Crawl complete"
+        : `⏸️ ${result.remaining} pages left in the frontier; run again to continue`
+    );
+  } catch (error) {
+    console.error(`❌ Crawl failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,228 @@
+// Static site export: writes every cached page and image as a self-contained
+// static site, for hosting a frozen copy of the wiki without the server or
+// API keys. Nothing is generated; pages that were never generated lead to a
+// placeholder page.
+//
+// Usage: node scripts/exportStatic.js [--out <dir>] [--force]
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { getCacheStore, listCacheEntries } from "../utils/fileCache.js";
+import { isPageDocument, extractDocumentText } from "../utils/pageDocuments.js";
+import { extractPageText } from "../utils/searchIndex.js";
+import { renderArticle } from "../services/groq.js";
+import { renderTemplate, assembleArticlePage } from "../utils/templates.js";
+import { getRedirect } from "../utils/redirects.js";
+import { wikipediaSlugToTitle } from "../utils/slugs.js";
+import { escapeHtml } from "../utils/html.js";
+import {
+  STATIC_PAGES_DIR,
+  STATIC_IMAGES_DIR,
+  STATIC_PLACEHOLDER_PAGE,
+  STATIC_SEARCH_INDEX,
+  STATIC_ASSETS,
+  toStaticFileName,
+  getStaticPageFileName,
+  toStaticPage,
+} from "../utils/staticSite.js";
+
+const PUBLIC_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "public"
+);
+
+const DEFAULT_OUT_DIR = "static-site";
+
+// Characters of page text kept per page in the search index
+const SEARCH_TEXT_LENGTH = 500;
+
+// Write a file, creating its directory
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+// Read the cached pages, sorted by slug. Entries are read from the store
+// directly: an export is not a visit, so LRU order is left alone.
+function readCachedPages() {
+  const store = getCacheStore();
+  return listCacheEntries()
+    .filter(({ key, isBinary }) => !isBinary && key.startsWith("wiki_"))
+    .map(({ key }) => ({
+      slug: key.slice("wiki_".length),
+      content: store.read(key, false)?.content,
+    }))
+    .filter(
+      ({ content }) => isPageDocument(content) || typeof content === "string"
+    )
+    .sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+// Write the cached images and return a Map of image slug to file name
+function exportImages(outDir) {
+  const store = getCacheStore();
+  const imageFiles = new Map();
+  listCacheEntries()
+    .filter(({ key, isBinary }) => isBinary && key.startsWith("image_"))
+    .forEach(({ key }) => {
+      const entry = store.read(key, true);
+      if (!entry) {
+        return;
+      }
+      const imageSlug = key.slice("image_".length);
+      const format = String(entry.metadata?.format || "webp").toLowerCase();
+      const extension = /^[a-z0-9]+$/.test(format) ? format : "webp";
+      const file = `${toStaticFileName(imageSlug)}.${extension}`;
+      writeFile(path.join(outDir, STATIC_IMAGES_DIR, file), entry.content);
+      imageFiles.set(imageSlug, file);
+    });
+  return imageFiles;
+}
+
+// Render a cached page without the links to server-only pages (section
+// regeneration). Pages cached before documents hold their final HTML.
+function renderCachedPage(content) {
+  if (!isPageDocument(content)) {
+    return content;
+  }
+  const { title, article } = content;
+  return assembleArticlePage(title, article, renderArticle(title, article), {
+    sectionActions: false,
+  });
+}
+
+// Render a page of the export itself (the page list and placeholder)
+function renderSitePage(title, content) {
+  return renderTemplate("page", {
+    TITLE: `${title} - Wiki Simulator`,
+    INFOBOX: "",
+    CONTENT: `<h1 class="article-title">${escapeHtml(title)}</h1>\n${content}`,
+  });
+}
+
+/**
+ * Export every cached page and image as a static site
+ * @param {string} outDir - Directory to write the site into
+ * @param {Object} options - { force } to write into a directory that is not
+ *   empty (existing files the export writes are overwritten, others are kept)
+ * @returns {Object} - { pages, images } counts
+ */
+export function exportStaticSite(outDir, { force = false } = {}) {
+  if (!force && fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+    throw new Error(
+      `${outDir} is not empty (use --force to export into it anyway)`
+    );
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const pages = readCachedPages();
+  const imageFiles = exportImages(outDir);
+  const exportedSlugs = new Set(pages.map(({ slug }) => slug));
+  const site = {
+    exportedSlugs,
+    imageFiles,
+    // Aliases lead to their page when the alias has no page of its own
+    resolveSlug: (slug) =>
+      exportedSlugs.has(slug) ? slug : getRedirect(slug) || slug,
+  };
+
+  const searchIndex = [];
+  pages.forEach(({ slug, content }) => {
+    const fileName = getStaticPageFileName(slug);
+    writeFile(
+      path.join(outDir, STATIC_PAGES_DIR, fileName),
+      toStaticPage(renderCachedPage(content), { ...site, root: "../" })
+    );
+
+    const text = isPageDocument(content)
+      ? extractDocumentText(content)
+      : extractPageText(content);
+    searchIndex.push({
+      title: isPageDocument(content)
+        ? content.title
+        : wikipediaSlugToTitle(slug),
+      url: `${STATIC_PAGES_DIR}/${encodeURIComponent(fileName)}`,
+      text: text.slice(0, SEARCH_TEXT_LENGTH),
+    });
+  });
+  writeFile(
+    path.join(outDir, STATIC_SEARCH_INDEX),
+    JSON.stringify(searchIndex)
+  );
+
+  // The page list is the home page of the export
+  const pageList = pages
+    .map(
+      ({ slug }) =>
+        `<li><a href="/wiki/${escapeHtml(
+          encodeURIComponent(slug)
+        )}">${escapeHtml(wikipediaSlugToTitle(slug))}</a></li>`
+    )
+    .join("\n");
+  writeFile(
+    path.join(outDir, "index.html"),
+    toStaticPage(
+      renderSitePage(
+        "All pages",
+        `<p>${pages.length} ${
+          pages.length === 1 ? "page" : "pages"
+        } in this copy of the wiki.</p>\n<ul class="special-page-list">\n${pageList}\n</ul>`
+      ),
+      { ...site, root: "" }
+    )
+  );
+  writeFile(
+    path.join(outDir, STATIC_PLACEHOLDER_PAGE),
+    toStaticPage(
+      renderSitePage(
+        "Page not generated",
+        '<p>This page had not been generated when this copy of the wiki was exported.</p>\n<p><a href="/">All pages</a></p>'
+      ),
+      { ...site, root: "" }
+    )
+  );
+
+  STATIC_ASSETS.forEach((asset) => {
+    fs.copyFileSync(path.join(PUBLIC_DIR, asset), path.join(outDir, asset));
+  });
+
+  return { pages: pages.length, images: imageFiles.size };
+}
+
+// Read the command line options
+function parseArgs(args) {
+  const options = { outDir: DEFAULT_OUT_DIR, force: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--out" && args[i + 1]) {
+      options.outDir = args[++i];
+    } else if (args[i] === "--force") {
+      options.force = true;
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+// Run when called directly (tests import exportStaticSite)
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  try {
+    const { outDir, force } = parseArgs(process.argv.slice(2));
+    const { pages, images } = exportStaticSite(path.resolve(outDir), {
+      force,
+    });
+    console.log(
+      `📦 Exported ${pages} pages and ${images} images to ${path.resolve(
+        outDir
+      )}`
+    );
+  } catch (error) {
+    console.error(`❌ Static export failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
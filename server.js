@@ -2,34 +2,103 @@ import express from "express";
 import cors from "cors";
 import helmet from "helmet";
 import dotenv from "dotenv";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
 
 // Import our custom modules
 import {
   renderTemplate,
   renderInfobox,
-  extractInfoboxLinkedPages,
+  renderStreamingShell,
+  renderStreamFill,
+  renderSectionSkeletons,
+  addStaleNotice,
+  addRedirectNotice,
+  addRevisionNotice,
+  addPageActions,
+  addSectionAction,
+  renderOpenSearchDescription,
+  assembleArticlePage,
 } from "./utils/templates.js";
 import {
   generateSearchSuggestions,
-  generatePageContent,
-  generateInfobox,
   validateContent,
   rewriteSlugToTitle,
+  renderArticle,
+  regenerateArticleSection,
+  ensureImagePrompts,
 } from "./services/groq.js";
-import { generateWikiImage } from "./services/replicate.js";
-import { wikipediaSlugToTitle, titleToWikipediaSlug } from "./utils/slugs.js";
-import { getImagePrompt } from "./utils/imageContext.js";
+import {
+  addLinkedPagesToValid,
+  buildPage,
+  storePage,
+  buildImage,
+} from "./services/pageBuilder.js";
+import {
+  wikipediaSlugToTitle,
+  titleToWikipediaSlug,
+  isDisambiguationTitle,
+} from "./utils/slugs.js";
+import {
+  getImagePrompt,
+  getImageStatus,
+  getInfoboxImage,
+} from "./utils/imageContext.js";
+import { markLinkStatus, getLinkStatus } from "./utils/linkStatus.js";
+import { getBacklinks } from "./utils/linkGraph.js";
+import { createWikiBundle, importWikiBundle } from "./utils/wikiBundle.js";
+import { escapeHtml } from "./utils/html.js";
+import {
+  createVisitorId,
+  createFormToken,
+  verifyFormToken,
+} from "./utils/formTokens.js";
+import { searchPages, buildSearchIndex } from "./utils/searchIndex.js";
+import { getPageSummary, extractPageSummary } from "./utils/pageSummary.js";
+import {
+  addRedirect,
+  removeRedirect,
+  getRedirect,
+  listRedirects,
+} from "./utils/redirects.js";
+import {
+  getRevisions,
+  getRevision,
+  getLatestRevision,
+  revisionToText,
+} from "./utils/revisions.js";
+import { diffLines } from "./utils/diff.js";
+import { isPageDocument, extractDocumentText } from "./utils/pageDocuments.js";
+import {
+  MEDIAWIKI_MAX_TITLES,
+  getPageId,
+  readFormatVersion,
+  splitMultiValue,
+  toFormatVersion1,
+  formatQueryPages,
+  readLimitParam,
+  mediawikiError,
+  mediawikiWarning,
+  truncateExtract,
+  articleToPlainText,
+  toSearchMatchSnippet,
+  formatParseSections,
+} from "./utils/mediawiki.js";
 import {
   isValidPage,
+  findValidPageVariant,
   addValidPage,
   addSuggestionsToValid,
 } from "./utils/validPages.js";
 import {
   isCached,
   getCache,
-  setCache,
+  getCacheAgeHours,
   getCacheStats,
+  withCacheLock,
+  startCacheSweeper,
 } from "./utils/fileCache.js";
+import { singleFlight, getInFlight } from "./utils/singleFlight.js";
 
 // Load environment variables
 dotenv.config();
@@ -37,11 +106,30 @@ dotenv.config();
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Read a non-negative number of hours from the environment
+const readHoursEnv = (name, fallback) => {
+  const hours = parseFloat(process.env[name]);
+  return Number.isFinite(hours) && hours >= 0 ? hours : fallback;
+};
+
+// Wiki page cache windows: pages younger than PAGE_FRESH_HOURS are served
+// as-is; for PAGE_STALE_HOURS after that they are served immediately while a
+// background regeneration runs; older copies are regenerated before serving
+// and only used (with a notice) if regeneration fails
+const PAGE_FRESH_HOURS = readHoursEnv("PAGE_FRESH_HOURS", 24);
+const PAGE_STALE_HOURS = readHoursEnv("PAGE_STALE_HOURS", 24 * 7);
+
+// Mark wiki links by whether their target will be served at once. Runs on
+// every response, since targets get generated after a page is cached.
+const markLinks = (html) =>
+  markLinkStatus(html, PAGE_FRESH_HOURS + PAGE_STALE_HOURS);
+
 // Rate limiting store for non-cached page generation
 const rateLimitStore = new Map();
 
-// Rate limiting helper function for non-cached content generation
-const checkRateLimit = (req, res) => {
+// Count a non-cached content generation against the client's hourly limit.
+// Returns null when it is allowed, or the seconds until the client may retry.
+const takeRateLimit = (req) => {
   const clientIp =
     req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
   const now = Date.now();
@@ -70,17 +158,112 @@ const checkRateLimit = (req, res) => {
     console.log(
       `Rate limit exceeded for IP: ${clientIp} (${ipData.requests.length} non-cached requests in last hour)`
     );
-    res.status(429).json({
-      error: "Rate limit exceeded",
-      message: "Maximum 20 non-cached page generations per hour allowed",
-      retryAfter: Math.ceil((ipData.requests[0] + oneHour - now) / 1000),
-    });
-    return false; // Rate limit exceeded
+    return Math.ceil((ipData.requests[0] + oneHour - now) / 1000);
   }
 
   // Add current request to the count
   ipData.requests.push(now);
-  return true; // Request allowed
+  return null; // Request allowed
+};
+
+// Send the response for a request over the rate limit
+const sendRateLimited = (res, retryAfter) => {
+  res.status(429).json({
+    error: "Rate limit exceeded",
+    message: "Maximum 20 non-cached page generations per hour allowed",
+    retryAfter,
+  });
+};
+
+// Rate limiting helper function for non-cached content generation: sends the
+// 429 response and returns false when the limit is exceeded
+const checkRateLimit = (req, res) => {
+  const retryAfter = takeRateLimit(req);
+  if (retryAfter !== null) {
+    sendRateLimited(res, retryAfter);
+    return false;
+  }
+  return true;
+};
+
+// Map an image file extension to its MIME type
+const getImageContentType = (ext) => {
+  const lowerExt = ext.toLowerCase();
+  if (lowerExt === "jpg") return "image/jpeg";
+  if (lowerExt === "svg") return "image/svg+xml";
+  return `image/${lowerExt}`;
+};
+
+// Run a generation once per cache key, however many requests (coalesced in
+// process) or processes (serialized by the cache lock file) ask for it
+const generateOnce = (cacheKey, generate) =>
+  singleFlight(cacheKey, () => withCacheLock(cacheKey, generate));
+
+// Admin routes need ADMIN_TOKEN, sent as "Authorization: Bearer <token>".
+// Without ADMIN_TOKEN they are disabled.
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res
+      .status(403)
+      .json({ error: "Admin API is disabled (set ADMIN_TOKEN)" });
+  }
+
+  const match = (req.get("authorization") || "").match(/^Bearer (.+)$/);
+  const given = Buffer.from(match ? match[1] : "");
+  const expected = Buffer.from(adminToken);
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+  next();
+};
+
+// Cookie holding the visitor id that form tokens are bound to
+const VISITOR_COOKIE = "wiki_visitor";
+
+// Read the visitor id from the request's cookie (null when there is none)
+const readVisitorId = (req) => {
+  const cookie = (req.get("cookie") || "")
+    .split(";")
+    .map((part) => part.trim().split("="))
+    .find(([name]) => name === VISITOR_COOKIE);
+  return cookie && /^[A-Za-z0-9_-]+$/.test(cookie[1] || "") ? cookie[1] : null;
+};
+
+// Hidden input with the token of a form, starting the visitor's cookie when
+// they have none
+const formTokenInput = (req, res, action) => {
+  let visitorId = readVisitorId(req);
+  if (!visitorId) {
+    visitorId = createVisitorId();
+    res.append(
+      "Set-Cookie",
+      `${VISITOR_COOKIE}=${visitorId}; Path=/; HttpOnly; SameSite=Strict`
+    );
+  }
+  return `<input type="hidden" name="token" value="${escapeHtml(
+    createFormToken(action, visitorId)
+  )}" />`;
+};
+
+// Check the token of a submitted form: sends the 403 page and returns false
+// when it is missing, expired or from another visitor or form
+const checkFormToken = (req, res, action) => {
+  if (verifyFormToken(req.body?.token, action, readVisitorId(req))) {
+    return true;
+  }
+  res
+    .status(403)
+    .send(
+      renderSpecialPage(
+        "Form expired",
+        "<p>This form has expired or was not sent from this wiki. Go back, reload the page and try again.</p>"
+      )
+    );
+  return false;
 };
 
 // Middleware
@@ -89,8 +272,9 @@ app.use(
     contentSecurityPolicy: {
       directives: {
         defaultSrc: ["'self'"],
-        scriptSrc: ["'self'", "'unsafe-inline'"],
-        scriptSrcAttr: ["'unsafe-inline'"],
+        // No inline scripts or event handler attributes: all page scripts live in public/
+        scriptSrc: ["'self'"],
+        scriptSrcAttr: ["'none'"],
         styleSrc: ["'self'", "'unsafe-inline'"],
         imgSrc: ["'self'", "data:", "https:", "https://replicate.delivery"],
       },
@@ -98,7 +282,13 @@ app.use(
   })
 );
 app.use(cors());
-app.use(express.json());
+
+// Bundle uploads are read raw by their own route, whatever their type
+const skipBundleUploads = (parser) => (req, res, next) =>
+  req.path === "/api/bundle" ? next() : parser(req, res, next);
+app.use(skipBundleUploads(express.json()));
+// Forms on special pages (regenerate, roll back)
+app.use(skipBundleUploads(express.urlencoded({ extended: false })));
 
 // Trust proxy to get real IP addresses
 app.set("trust proxy", true);
@@ -135,7 +325,7 @@ app.get("/images/:filename.:ext", async (req, res) => {
       if (cached && cached.buffer) {
         console.log(`Serving cached image: ${filename}.${ext}`);
         res.set({
-          "Content-Type": `image/${ext === "jpg" ? "jpeg" : ext}`,
+          "Content-Type": getImageContentType(ext),
           "Cache-Control": "public, max-age=604800", // Cache for 7 days
         });
         return res.send(cached.buffer);
@@ -174,29 +364,26 @@ app.get("/images/:filename.:ext", async (req, res) => {
     // Extract aspect ratio from URL if provided, default to 4:3
     const aspectRatio = req.query.aspect || "4:3";
 
-    // Generate image using the pre-generated prompt
-    const imageBuffer = await generateWikiImage(
-      title,
-      promptData.prompt,
-      aspectRatio
-    );
+    // Generate each image once, however many requests or processes ask for it
+    const imageBuffer = await generateOnce(cacheKey, async () => {
+      // Another process may have generated it while we waited for the lock
+      if (isCached(cacheKey, 168, true)) {
+        const cached = getCache(cacheKey, true);
+        if (cached && cached.buffer) {
+          return cached.buffer;
+        }
+      }
 
-    // Cache the image
-    setCache(
-      cacheKey,
-      imageBuffer,
-      {
-        originalFilename: `${filename}.${ext}`,
-        title: title,
-        format: ext,
-        generatedAt: new Date().toISOString(),
-      },
-      true
-    );
+      // Generate and cache the image using the pre-generated prompt
+      return buildImage(filename, promptData.prompt, {
+        aspectRatio,
+        format: ext.toLowerCase(),
+      });
+    });
 
     // Set appropriate headers and send image
     res.set({
-      "Content-Type": `image/${ext === "jpg" ? "jpeg" : ext}`,
+      "Content-Type": getImageContentType(ext),
       "Cache-Control": "public, max-age=604800", // Cache for 7 days
     });
     res.send(imageBuffer);
@@ -208,6 +395,34 @@ app.get("/images/:filename.:ext", async (req, res) => {
   }
 });
 
+// Most autocomplete suggestions returned; existing pages come first
+const MAX_SUGGESTIONS = 8;
+
+// Suggest pages for a search: matching generated pages, then titles suggested
+// by the LLM when there are few of those
+async function suggestPages(query) {
+  // Pages that already exist are instant, so they rank first
+  const existing = searchPages(query, { limit: 5 }).map(({ title, slug }) => ({
+    title,
+    slug,
+    exists: true,
+  }));
+  if (existing.length >= 5) {
+    return existing;
+  }
+
+  const generated = await generateSearchSuggestions(query);
+
+  // Add suggested pages to valid cache
+  addSuggestionsToValid(generated);
+
+  const existingSlugs = new Set(existing.map(({ slug }) => slug));
+  return [
+    ...existing,
+    ...generated.filter(({ slug }) => !existingSlugs.has(slug)),
+  ].slice(0, MAX_SUGGESTIONS);
+}
+
 // API route for search autocomplete
 app.get("/api/search", async (req, res) => {
   const { q } = req.query;
@@ -216,170 +431,1002 @@ app.get("/api/search", async (req, res) => {
     return res.json([]);
   }
 
-  const query = q.trim();
-
   try {
-    const suggestions = await generateSearchSuggestions(query);
+    res.json(await suggestPages(q.trim()));
+  } catch (error) {
+    console.error("Search API error:", error);
+    res.status(500).json({ error: "Failed to generate suggestions" });
+  }
+});
 
-    // Add suggested pages to valid cache
-    addSuggestionsToValid(suggestions);
+// Absolute URL of a path on this server, for clients on other hosts
+const absoluteUrl = (req, path) =>
+  `${req.protocol}://${req.get("host")}${path}`;
+
+// Suggestions in the OpenSearch format, [search, titles, descriptions, urls],
+// from the same suggestions as the search box
+async function getOpenSearchSuggestions(req, search, limit = MAX_SUGGESTIONS) {
+  const query = typeof search === "string" ? search.trim() : "";
+  const suggestions =
+    query.length >= 2 ? (await suggestPages(query)).slice(0, limit) : [];
+  return [
+    query,
+    suggestions.map(({ title }) => title),
+    suggestions.map(() => ""),
+    suggestions.map(({ slug }) =>
+      absoluteUrl(req, `/wiki/${encodeURIComponent(slug)}`)
+    ),
+  ];
+}
+
+// OpenSearch description, so browsers can add the wiki as a search engine
+app.get("/opensearch.xml", (req, res) => {
+  res.type("application/opensearchdescription+xml");
+  res.send(renderOpenSearchDescription(absoluteUrl(req, "")));
+});
 
-    res.json(suggestions);
+// API route for browser search suggestions (OpenSearch suggestions format)
+app.get("/api/opensearch", async (req, res) => {
+  try {
+    const suggestions = await getOpenSearchSuggestions(req, req.query.search);
+    res.type("application/x-suggestions+json");
+    res.send(JSON.stringify(suggestions));
   } catch (error) {
-    console.error("Search API error:", error);
+    console.error("OpenSearch suggestions error:", error);
     res.status(500).json({ error: "Failed to generate suggestions" });
   }
 });
 
-// Route for wiki pages - stream blank page then complete content
-app.get("/wiki/:page", async (req, res) => {
+// URL of a page reached through a redirect, remembering where it came from
+const redirectUrl = (fromSlug, toSlug) =>
+  `/wiki/${encodeURIComponent(toSlug)}?redirectedfrom=${encodeURIComponent(
+    fromSlug
+  )}`;
+
+// Add the "Redirected from" notice when the request arrived through a redirect
+function withRedirectNotice(res, pageHtml) {
+  const { redirectedFrom } = res.locals;
+  return redirectedFrom
+    ? addRedirectNotice(pageHtml, wikipediaSlugToTitle(redirectedFrom))
+    : pageHtml;
+}
+
+// Add the page actions (history, regenerate) and any redirect notice to a
+// wiki page for this response
+function decoratePage(res, pageHtml) {
+  const withNotice = withRedirectNotice(res, pageHtml);
+  return res.locals.pageSlug
+    ? addPageActions(withNotice, res.locals.pageSlug)
+    : withNotice;
+}
+
+// Send a complete page, with link status classes, page actions and any
+// redirect notice
+function sendPage(res, pageHtml) {
+  res.send(markLinks(decoratePage(res, pageHtml)));
+}
+
+// Article body shown when page generation fails
+const PAGE_ERROR_CONTENT =
+  '<h2>Error</h2><p>Sorry, there was an error generating this page.</p><p><a href="/">Back to Home</a></p>';
+
+// Render a stored article (e.g. an earlier revision) to a complete page,
+// without generating any text. Returns { page, linkedPages, imageRefs,
+// article }.
+function renderArticlePage(title, article) {
+  const rendered = renderArticle(title, article);
+  addLinkedPagesToValid(rendered.linkedPages);
+
+  // Regenerated sections may bring images that have no prompt yet
+  ensureImagePrompts(rendered.imageRefs, title);
+  return {
+    page: assembleArticlePage(title, article, rendered),
+    linkedPages: rendered.linkedPages,
+    imageRefs: rendered.imageRefs,
+    article,
+  };
+}
+
+// Rendered article bodies of recently served page documents, by slug, so
+// serving a cached page skips the markdown rendering. The templates are
+// applied on every request, so template changes show at once.
+const RENDERED_ARTICLES_MAX = 200;
+const renderedArticles = new Map();
+
+// Render the article of a cached page document, reusing the last rendering
+// of the same document
+function getRenderedArticle(slug, document) {
+  const { title, article, generatedAt } = document;
+
+  let rendered = renderedArticles.get(slug);
+  if (rendered && rendered.generatedAt === generatedAt) {
+    // Keep recently served pages last, so the oldest is dropped first
+    renderedArticles.delete(slug);
+  } else {
+    rendered = { generatedAt, ...renderArticle(title, article) };
+  }
+  renderedArticles.set(slug, rendered);
+  if (renderedArticles.size > RENDERED_ARTICLES_MAX) {
+    renderedArticles.delete(renderedArticles.keys().next().value);
+  }
+  return rendered;
+}
+
+// Render a cached page to a complete page. Pages cached before documents were
+// stored hold their final HTML.
+function renderCachedPage(slug, cached) {
+  if (!isPageDocument(cached)) {
+    return cached;
+  }
+  const { title, article } = cached;
+  return assembleArticlePage(title, article, getRenderedArticle(slug, cached));
+}
+
+// Read a cached page as HTML
+function readCachedPage(cacheKey) {
+  return renderCachedPage(cacheKey.slice("wiki_".length), getCache(cacheKey));
+}
+
+// Get the cached copy of a page if another process refreshed it while we
+// waited for the generation lock
+function getFreshPage(cacheKey) {
+  return isCached(cacheKey, PAGE_FRESH_HOURS) ? readCachedPage(cacheKey) : null;
+}
+
+// Stream a freshly generated page to res and return the complete page for
+// the cache and any requests coalesced onto this generation
+async function streamNewPage(res, cacheKey, title) {
+  const freshPage = getFreshPage(cacheKey);
+  if (freshPage) {
+    sendPage(res, freshPage);
+    return freshPage;
+  }
+
+  console.log(`Generating new page: ${title}`);
+
+  // A disambiguation page is a single generation call, so there is nothing
+  // to stream: send it whole
+  if (isDisambiguationTitle(title)) {
+    const built = await buildPage(title);
+    sendPage(res, built.page);
+    storePage(cacheKey, title, built, { action: "generate" });
+    return built.page;
+  }
+
+  // Set headers for streaming HTML
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.setHeader("Transfer-Encoding", "chunked");
+
+  // Flush the layout, title and skeleton TOC straight away; the rest of the
+  // article streams into its slots as each generation call resolves
+  const shell = renderStreamingShell(title);
+  res.write(decoratePage(res, shell.head));
+
+  // Generate the article, streaming each part as it is ready
+  let built;
   try {
-    const { page } = req.params;
-    const decodedPage = decodeURIComponent(page);
-    const cacheKey = `wiki_${decodedPage}`;
-
-    // Check file cache first
-    if (isCached(cacheKey)) {
-      const cachedPage = getCache(cacheKey);
-      if (cachedPage) {
-        console.log(`Serving cached page: ${decodedPage}`);
-        return res.send(cachedPage);
-      }
-    }
+    built = await buildPage(title, {
+      onInfobox: (infoboxData) => {
+        res.write(
+          renderStreamFill(
+            "infobox",
+            markLinks(renderInfobox(title, infoboxData))
+          )
+        );
+      },
+      onOutline: (sectionTitles) => {
+        res.write(
+          renderStreamFill("sections", renderSectionSkeletons(sectionTitles))
+        );
+      },
+      onTableOfContents: (tocHtml) => {
+        res.write(renderStreamFill("toc", tocHtml));
+      },
+      onOpening: (html) => {
+        res.write(renderStreamFill("opening", markLinks(html)));
+      },
+      onSection: (index, html, anchor) => {
+        const sectionHtml = anchor
+          ? addSectionAction(html, res.locals.pageSlug, anchor, index)
+          : html;
+        res.write(renderStreamFill(`section-${index}`, markLinks(sectionHtml)));
+      },
+    });
+  } catch (error) {
+    // Mid-stream: replace the placeholders with the error and close the page
+    res.write(renderStreamFill("opening", PAGE_ERROR_CONTENT));
+    res.write(renderStreamFill("toc", ""));
+    res.write(renderStreamFill("sections", ""));
+    res.write(shell.tail);
+    res.end();
+    throw error;
+  }
 
-    // Check rate limit for non-cached content generation
-    if (!checkRateLimit(req, res)) {
-      return; // Rate limit response already sent
+  // Close the streamed page
+  res.write(shell.tail);
+  res.end();
+
+  storePage(cacheKey, title, built, { action: "generate" });
+  return built.page;
+}
+
+// Generate a page without streaming it, however fresh the cached copy is,
+// and return the complete page
+async function rebuildPage(cacheKey, title, action) {
+  const built = await buildPage(title);
+  storePage(cacheKey, title, built, { action });
+  return built.page;
+}
+
+// Regenerate a page without streaming it and return the complete page, unless
+// another process refreshed it meanwhile. action is recorded in the history.
+async function regeneratePage(cacheKey, title, action = "refresh") {
+  const freshPage = getFreshPage(cacheKey);
+  if (freshPage) {
+    return freshPage;
+  }
+
+  console.log(`Regenerating page: ${title}`);
+  return rebuildPage(cacheKey, title, action);
+}
+
+// Wait for a page generation and send its result. If it fails and an older
+// copy exists, send that copy with a notice instead of the error page.
+async function sendGeneratedPage(res, generation, previousPage) {
+  try {
+    sendPage(res, await generation);
+  } catch (error) {
+    if (!previousPage) {
+      throw error;
     }
+    console.error("Serving previous copy after generation error:", error);
+    sendPage(res, addStaleNotice(previousPage));
+  }
+}
+
+// Render a page built by the server (special pages, search results)
+function renderSpecialPage(title, content) {
+  return markLinks(
+    renderTemplate("page", {
+      TITLE: `${title} - Wiki Simulator`,
+      INFOBOX: "",
+      CONTENT: content,
+    })
+  );
+}
+
+// Render a list of links to wiki pages
+function renderPageList(slugs) {
+  const items = slugs.map(
+    (slug) =>
+      `<li><a href="/wiki/${escapeHtml(encodeURIComponent(slug))}">${escapeHtml(
+        wikipediaSlugToTitle(slug)
+      )}</a></li>`
+  );
+  return `<ul class="special-page-list">\n${items.join("\n")}\n</ul>`;
+}
+
+// Special:WhatLinksHere/<slug> - pages whose generated articles link here
+app.get(/^\/wiki\/Special:WhatLinksHere\/(.+)$/, (req, res) => {
+  const slug = titleToWikipediaSlug(req.params[0]);
+  const title = wikipediaSlugToTitle(slug);
+  const backlinks = getBacklinks(slug);
+  const targetLink = `<a href="/wiki/${escapeHtml(
+    encodeURIComponent(slug)
+  )}">${escapeHtml(title)}</a>`;
+
+  const content =
+    backlinks.length > 0
+      ? `<p>The following pages link to ${targetLink}:</p>\n${renderPageList(
+          backlinks
+        )}`
+      : `<p>No generated pages link to ${targetLink}.</p>`;
+
+  res.send(renderSpecialPage(`Pages that link to "${title}"`, content));
+});
 
-    // Check if page is in valid cache
-    if (!isValidPage(decodedPage)) {
-      console.log(`Validating new page: ${decodedPage}`);
+// Special:Redirects - every alias and the page it leads to
+app.get(/^\/wiki\/Special:Redirects$/, (req, res) => {
+  const redirects = listRedirects();
+  const pageLink = (slug) =>
+    `<a href="/wiki/${escapeHtml(encodeURIComponent(slug))}">${escapeHtml(
+      wikipediaSlugToTitle(slug)
+    )}</a>`;
+
+  const content =
+    redirects.length > 0
+      ? `<p>${redirects.length} ${
+          redirects.length === 1 ? "redirect" : "redirects"
+        }:</p>
+<ul class="special-page-list">
+${redirects
+  .map(
+    ({ from, to, source }) =>
+      `<li>${pageLink(from)} → ${pageLink(
+        to
+      )} <span class="redirect-source">(${escapeHtml(source)})</span></li>`
+  )
+  .join("\n")}
+</ul>`
+      : "<p>No redirects have been recorded yet.</p>";
+
+  res.send(renderSpecialPage("Redirects", content));
+});
 
-      // Convert slug to readable title for validation
-      const candidateTitle = wikipediaSlugToTitle(decodedPage);
+// Read a non-negative integer (revision id, section index) from a request
+// parameter, or null
+const readIndexParam = (value) =>
+  typeof value === "string" && /^\d+$/.test(value) ? Number(value) : null;
+
+// Link to a wiki page from a special page
+const wikiPageLink = (slug, text = wikipediaSlugToTitle(slug)) =>
+  `<a href="/wiki/${escapeHtml(encodeURIComponent(slug))}">${escapeHtml(
+    text
+  )}</a>`;
+
+// URL of a page's history, with optional query parameters
+const historyUrl = (slug, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `/wiki/Special:History/${encodeURIComponent(slug)}${
+    query ? `?${query}` : ""
+  }`;
+};
 
-      // Validate content appropriateness
-      const isValidContent = await validateContent(candidateTitle);
+// Revision time as shown in the history, e.g. "2025-01-31 14:05 UTC"
+const formatRevisionTime = (timestamp) =>
+  `${timestamp.slice(0, 10)} ${timestamp.slice(11, 16)} UTC`;
+
+// Describe what created a revision
+function describeRevision(revision) {
+  switch (revision.action) {
+    case "generate":
+      return "generated";
+    case "refresh":
+      return "refreshed";
+    case "regenerate":
+      return "regenerated";
+    case "regenerate-section": {
+      const section = revision.article.sections?.[revision.section];
+      return `regenerated section "${
+        section ? section.title : revision.section
+      }"`;
+    }
+    case "rollback":
+      return `rolled back to revision ${revision.rolledBackTo}`;
+    default:
+      return revision.action;
+  }
+}
+
+// Describe how a revision was generated: provider, models and prompt version
+function describeGeneration({ provider, models, promptVersion }) {
+  const modelNames = [...new Set(Object.values(models || {}))];
+  return [provider, ...modelNames, `prompts v${promptVersion}`].join(" · ");
+}
+
+// Render a line diff as a table, keeping a few unchanged lines around each
+// change and collapsing the rest
+const DIFF_CONTEXT_LINES = 2;
+
+function renderDiff(changes) {
+  const nearChange = changes.map((change, index) =>
+    changes
+      .slice(
+        Math.max(0, index - DIFF_CONTEXT_LINES),
+        index + DIFF_CONTEXT_LINES + 1
+      )
+      .some(({ type }) => type !== "same")
+  );
 
-      if (!isValidContent) {
-        console.log(`Content rejected as inappropriate: ${candidateTitle}`);
-        return res.status(404).send(
-          renderTemplate("page", {
-            TITLE: "Page Not Found - Wiki Simulator",
-            INFOBOX: "",
-            CONTENT: `<div style="text-align: center; padding: 60px;">
-            <h1>404 - Page Not Found</h1>
-            <p>The requested page could not be found or is not available.</p>
-            <a href="/" style="color: #0645ad;">Return to home page</a>
-          </div>`,
-          })
+  const rows = [];
+  changes.forEach(({ type, line }, index) => {
+    if (!nearChange[index]) {
+      if (index === 0 || nearChange[index - 1]) {
+        rows.push(
+          '<tr class="diff-skip"><td class="diff-marker"></td><td>…</td></tr>'
         );
       }
+      return;
+    }
+    const marker = { same: "", removed: "−", added: "+" }[type];
+    rows.push(
+      `<tr class="diff-${type}"><td class="diff-marker">${marker}</td><td>${escapeHtml(
+        line
+      )}</td></tr>`
+    );
+  });
 
-      // Content is valid, rewrite slug to proper format
-      const properTitle = await rewriteSlugToTitle(decodedPage);
-      const properSlug = titleToWikipediaSlug(properTitle);
+  return `<table class="diff">\n${rows.join("\n")}\n</table>`;
+}
+
+// Render the list of a page's revisions, newest first, with links to view and
+// compare them and a rollback button for each earlier revision
+function renderHistoryList(slug, revisions, tokenInput) {
+  const [latest] = revisions;
+  const oldest = revisions[revisions.length - 1];
+
+  const items = revisions.map((revision) => {
+    const cur =
+      revision.id === latest.id
+        ? "cur"
+        : `<a href="${escapeHtml(
+            historyUrl(slug, { diff: latest.id, oldid: revision.id })
+          )}">cur</a>`;
+    const prev =
+      revision.id === oldest.id
+        ? "prev"
+        : `<a href="${escapeHtml(
+            historyUrl(slug, { diff: revision.id })
+          )}">prev</a>`;
+    const rollback =
+      revision.id === latest.id
+        ? '<span class="revision-current">(current)</span>'
+        : `<form class="rollback-form" method="post" action="${escapeHtml(
+            historyUrl(slug)
+          )}">
+      <input type="hidden" name="rollback" value="${revision.id}" />
+      ${tokenInput}
+      <button type="submit">Roll back to this revision</button>
+    </form>`;
+
+    return `<li class="history-entry">
+    (${cur} | ${prev})
+    <a href="${escapeHtml(
+      historyUrl(slug, { oldid: revision.id })
+    )}">${escapeHtml(formatRevisionTime(revision.timestamp))}</a>
+    <span class="revision-action">${escapeHtml(
+      describeRevision(revision)
+    )}</span>
+    <span class="revision-generation">${escapeHtml(
+      describeGeneration(revision)
+    )}</span>
+    ${rollback}
+  </li>`;
+  });
 
-      // If the proper slug is different, redirect to the corrected version
-      if (properSlug !== decodedPage) {
-        console.log(
-          `Redirecting ${decodedPage} -> ${properSlug} (${properTitle})`
-        );
-        addValidPage(properTitle); // Add to valid cache
-        return res.redirect(301, `/wiki/${encodeURIComponent(properSlug)}`);
-      }
+  return `<p>Revisions of ${wikiPageLink(
+    slug
+  )}, newest first. "cur" compares a revision with the current one, "prev" with the one before it.</p>
+<ul class="history-list">
+  ${items.join("\n  ")}
+</ul>`;
+}
+
+// Special:History/<slug> - the revisions of a page. ?oldid=N shows revision
+// N; ?diff=N compares it with the revision before (or with ?oldid=M).
+app.get(/^\/wiki\/Special:History\/(.+)$/, (req, res) => {
+  const slug = titleToWikipediaSlug(req.params[0]);
+  const title = wikipediaSlugToTitle(slug);
+  const revisions = getRevisions(slug);
+  const diffId = readIndexParam(req.query.diff);
+  const oldId = readIndexParam(req.query.oldid);
+
+  const notFound = (message) =>
+    res
+      .status(404)
+      .send(renderSpecialPage("No such revision", `<p>${message}</p>`));
+
+  if (diffId !== null) {
+    const revision = getRevision(slug, diffId);
+    // Compare with the revision before unless another one is asked for
+    const base =
+      oldId !== null
+        ? getRevision(slug, oldId)
+        : revisions.find(({ id }) => id < diffId) || null;
+    if (!revision || (oldId !== null && !base)) {
+      return notFound(
+        `The requested revisions of ${wikiPageLink(slug)} are not stored.`
+      );
+    }
+
+    const changes = diffLines(
+      base ? revisionToText(base) : "",
+      revisionToText(revision)
+    );
+    const revisionLink = (shown) =>
+      `<a href="${escapeHtml(
+        historyUrl(slug, { oldid: shown.id })
+      )}">revision ${shown.id}</a> (${escapeHtml(
+        formatRevisionTime(shown.timestamp)
+      )}, ${escapeHtml(describeRevision(shown))})`;
+    const content = `<p>${
+      base
+        ? `Changes from ${revisionLink(base)} to ${revisionLink(revision)}:`
+        : `${revisionLink(revision)} is the first stored revision:`
+    }</p>
+${
+  changes.some(({ type }) => type !== "same")
+    ? renderDiff(changes)
+    : "<p>No differences.</p>"
+}
+<p><a href="${escapeHtml(historyUrl(slug))}">Back to the history</a></p>`;
+
+    return res.send(
+      renderSpecialPage(`Difference between revisions of "${title}"`, content)
+    );
+  }
 
-      // Add to valid cache for future requests
-      addValidPage(properTitle);
+  if (oldId !== null) {
+    const revision = getRevision(slug, oldId);
+    if (!revision) {
+      return notFound(
+        `Revision ${oldId} of ${wikiPageLink(slug)} is not stored.`
+      );
     }
 
-    // Convert Wikipedia slug back to readable title
-    const title = wikipediaSlugToTitle(decodedPage);
+    const { page } = renderArticlePage(title, revision.article);
+    const notice = `This is an old revision of this page, ${escapeHtml(
+      describeRevision(revision)
+    )} on ${escapeHtml(formatRevisionTime(revision.timestamp))}. ${wikiPageLink(
+      slug,
+      "View the current version"
+    )} or the
+  <a href="${escapeHtml(historyUrl(slug))}">page history</a>.`;
+    return res.send(markLinks(addRevisionNotice(page, notice)));
+  }
+
+  const content =
+    revisions.length > 0
+      ? renderHistoryList(
+          slug,
+          revisions,
+          formTokenInput(req, res, `rollback:${slug}`)
+        )
+      : `<p>No revisions of ${wikiPageLink(
+          slug
+        )} have been stored yet. Pages get their first revision when they are next generated.</p>`;
+  res.send(renderSpecialPage(`Revision history of "${title}"`, content));
+});
+
+// Roll a page back to an earlier revision, which becomes a new revision
+app.post(/^\/wiki\/Special:History\/(.+)$/, async (req, res) => {
+  const slug = titleToWikipediaSlug(req.params[0]);
+  const title = wikipediaSlugToTitle(slug);
+  const cacheKey = `wiki_${slug}`;
+  if (!checkFormToken(req, res, `rollback:${slug}`)) {
+    return;
+  }
+  const rollbackId = readIndexParam(req.body.rollback);
+  const revision = rollbackId !== null ? getRevision(slug, rollbackId) : null;
+
+  if (!revision) {
+    return res
+      .status(404)
+      .send(
+        renderSpecialPage(
+          "No such revision",
+          `<p>There is no stored revision of ${wikiPageLink(
+            slug
+          )} to roll back to.</p>`
+        )
+      );
+  }
+
+  // Rollbacks rewrite the page, so they count like generations
+  if (!checkRateLimit(req, res)) {
+    return;
+  }
+
+  try {
+    // Wait for any generation of the page, so the rollback lands last
+    await withCacheLock(cacheKey, async () => {
+      storePage(cacheKey, title, renderArticlePage(title, revision.article), {
+        action: "rollback",
+        rolledBackTo: revision.id,
+        // The text is the old revision's, so record how that was generated
+        promptVersion: revision.promptVersion,
+        provider: revision.provider,
+        models: revision.models,
+      });
+    });
+    console.log(`↩️ Rolled back ${slug} to revision ${revision.id}`);
+    res.redirect(303, `/wiki/${encodeURIComponent(slug)}`);
+  } catch (error) {
+    console.error(`Rollback failed for ${slug}:`, error);
+    res.status(500).send(renderSpecialPage("Error", PAGE_ERROR_CONTENT));
+  }
+});
 
-    console.log(`Generating new page: ${title}`);
+// Check that a page (or one of its sections) can be regenerated. Returns
+// { section } with the stored section (null for the whole page), or
+// { error } explaining why not.
+function findRegenerationTarget(slug, sectionIndex) {
+  const cacheKey = `wiki_${slug}`;
+  if (getCacheAgeHours(cacheKey) === null && !getLatestRevision(slug)) {
+    return {
+      error: `${wikiPageLink(
+        slug
+      )} has not been generated yet; open it to generate it.`,
+    };
+  }
+  if (sectionIndex === null) {
+    return { section: null };
+  }
 
-    // Set headers for streaming HTML
-    res.setHeader("Content-Type", "text/html; charset=utf-8");
-    res.setHeader("Transfer-Encoding", "chunked");
+  const latest = getLatestRevision(slug);
+  const section = latest?.article?.sections?.[sectionIndex];
+  if (!section) {
+    return {
+      error: `${wikiPageLink(
+        slug
+      )} has no stored section ${sectionIndex}. Pages generated before sections were stored need to be regenerated as a whole first.`,
+    };
+  }
+  return { section };
+}
+
+// Special:Regenerate/<slug>[?section=N] - confirm regenerating a page or one
+// of its sections
+app.get(/^\/wiki\/Special:Regenerate\/(.+)$/, (req, res) => {
+  const slug = titleToWikipediaSlug(req.params[0]);
+  const sectionIndex = readIndexParam(req.query.section);
+  const { section, error } = findRegenerationTarget(slug, sectionIndex);
+
+  if (error) {
+    return res
+      .status(404)
+      .send(renderSpecialPage("Cannot regenerate", `<p>${error}</p>`));
+  }
 
-    // Send just the DOCTYPE and opening HTML to start the stream (makes browser think it's loading)
-    res.write("<!DOCTYPE html>\n");
+  const what = section
+    ? `the section "${escapeHtml(section.title)}" of ${wikiPageLink(slug)}`
+    : wikiPageLink(slug);
+  // Posts back to this URL, section included
+  const content = `<form class="regenerate-form" method="post">
+  <p>Generate ${what} again? The current version stays available in the
+    <a href="${escapeHtml(historyUrl(slug))}">page history</a>.</p>
+  ${formTokenInput(req, res, `regenerate:${slug}`)}
+  <button type="submit">${
+    section ? "Regenerate section" : "Regenerate page"
+  }</button>
+  ${wikiPageLink(slug, "Cancel")}
+</form>`;
+
+  res.send(
+    renderSpecialPage(`Regenerate "${wikipediaSlugToTitle(slug)}"`, content)
+  );
+});
 
-    // Generate content and infobox using Groq in parallel
-    const [pageResult, infoboxData] = await Promise.all([
-      generatePageContent(title),
-      generateInfobox(title),
-    ]);
+// Regenerate a page or one of its sections, then show the page
+app.post(/^\/wiki\/Special:Regenerate\/(.+)$/, async (req, res) => {
+  const slug = titleToWikipediaSlug(req.params[0]);
+  const title = wikipediaSlugToTitle(slug);
+  const cacheKey = `wiki_${slug}`;
+  const sectionIndex = readIndexParam(req.query.section);
+  if (!checkFormToken(req, res, `regenerate:${slug}`)) {
+    return;
+  }
+  const { error } = findRegenerationTarget(slug, sectionIndex);
 
-    const { content, linkedPages } = pageResult;
+  if (error) {
+    return res
+      .status(404)
+      .send(renderSpecialPage("Cannot regenerate", `<p>${error}</p>`));
+  }
 
-    // Add all linked pages to valid cache (they don't need validation)
-    if (linkedPages && linkedPages.length > 0) {
-      linkedPages.forEach((pageTitle) => {
-        addValidPage(pageTitle);
+  // Regeneration calls the LLM just like a new page
+  if (!checkRateLimit(req, res)) {
+    return;
+  }
+
+  try {
+    if (sectionIndex !== null) {
+      // Build on the newest revision once any running generation is done
+      await withCacheLock(cacheKey, async () => {
+        const { article } = getLatestRevision(slug);
+        console.log(`Regenerating section ${sectionIndex} of ${title}`);
+        const updated = await regenerateArticleSection(
+          title,
+          article,
+          sectionIndex
+        );
+        storePage(cacheKey, title, renderArticlePage(title, updated), {
+          action: "regenerate-section",
+          section: sectionIndex,
+        });
+      });
+    } else {
+      // Unlike a refresh, this replaces the page however fresh it is
+      await generateOnce(cacheKey, () => {
+        console.log(`Regenerating page on request: ${title}`);
+        return rebuildPage(cacheKey, title, "regenerate");
       });
-      console.log(
-        `Added ${linkedPages.length} linked pages from content to valid cache`
-      );
     }
+    res.redirect(303, `/wiki/${encodeURIComponent(slug)}`);
+  } catch (generationError) {
+    console.error(`Regeneration failed for ${title}:`, generationError);
+    res.status(500).send(renderSpecialPage("Error", PAGE_ERROR_CONTENT));
+  }
+});
 
-    // Extract and add linked pages from infobox data to valid cache
-    const infoboxLinkedPages = extractInfoboxLinkedPages(infoboxData);
-    if (infoboxLinkedPages.length > 0) {
-      infoboxLinkedPages.forEach((pageTitle) => {
-        addValidPage(pageTitle);
-      });
+// Search results page over the generated pages
+app.get("/search", (req, res) => {
+  const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  const form = `<form class="search-page-form" action="/search" method="get">
+    <input type="search" name="q" class="search-input" value="${escapeHtml(
+      query
+    )}" aria-label="Search" />
+    <button type="submit">Search</button>
+  </form>`;
+
+  if (!query) {
+    return res.send(renderSpecialPage("Search", form));
+  }
+
+  // Offer the page named by the query, as pressing Enter used to
+  const querySlug = titleToWikipediaSlug(query);
+  const goTo = `<p class="search-go">Go to page: <a href="/wiki/${escapeHtml(
+    encodeURIComponent(querySlug)
+  )}">${escapeHtml(query)}</a></p>`;
+
+  const results = searchPages(query);
+  const resultList =
+    results.length > 0
+      ? `<p>${results.length} matching ${
+          results.length === 1 ? "page" : "pages"
+        }:</p>
+  <ul class="search-results">
+    ${results
+      .map(
+        ({ slug, title, snippet }) => `<li class="search-result">
+      <a href="/wiki/${escapeHtml(encodeURIComponent(slug))}">${escapeHtml(
+          title
+        )}</a>
+      <div class="search-snippet">${snippet}</div>
+    </li>`
+      )
+      .join("\n    ")}
+  </ul>`
+      : "<p>No generated pages match this search.</p>";
+
+  res.send(
+    renderSpecialPage(
+      `Search results for "${query}"`,
+      `${form}\n${goTo}\n${resultList}`
+    )
+  );
+});
+
+/**
+ * Work out how to answer a request for a wiki page, following the same
+ * caching, validation and rate limiting for every route that serves pages.
+ * Stale copies start a background refresh; new titles are validated and
+ * rewritten, and count against the rate limit.
+ * @param {Object} req - Express request
+ * @param {string} page - Requested slug, as given in the URL
+ * @returns {Promise<Object>} - { outcome, slug, ... } where outcome is one of
+ *   "bad-title", "special", "rejected";
+ *   "rate-limited" (retryAfter holds the seconds until the client may retry);
+ *   "redirect" (to slug; redirectedFrom is set for aliases and rewrites, and
+ *   keepQuery for other spellings of the same title);
+ *   "cached" (cached holds the cached page, stale whether it is being
+ *   refreshed); "generating" (generation resolves once the page is cached,
+ *   previous is a copy to fall back on or null); "new" (nothing is cached or
+ *   being generated yet). The last three also have cacheKey and title.
+ */
+async function resolvePageRequest(req, page) {
+  // Equivalent spellings of a title share one canonical slug (and so one
+  // cache entry); send other spellings to it
+  const slug = titleToWikipediaSlug(page);
+  if (!slug) {
+    return { outcome: "bad-title", slug };
+  }
+  if (slug !== page) {
+    return { outcome: "redirect", slug, keepQuery: true };
+  }
+
+  // The Special: namespace is never generated
+  if (slug.startsWith("Special:")) {
+    return { outcome: "special", slug };
+  }
+
+  // Aliases lead to their page, which notes where the reader came from
+  const redirectTarget = getRedirect(slug);
+  if (redirectTarget) {
+    console.log(`Following redirect: ${slug} -> ${redirectTarget}`);
+    return { outcome: "redirect", slug: redirectTarget, redirectedFrom: slug };
+  }
+
+  const cacheKey = `wiki_${slug}`;
+  const title = wikipediaSlugToTitle(slug);
+  const found = { slug, cacheKey, title };
+
+  // Check file cache first
+  const cacheAgeHours = getCacheAgeHours(cacheKey);
+  const cached = cacheAgeHours !== null ? getCache(cacheKey) : null;
+
+  if (cached && cacheAgeHours < PAGE_FRESH_HOURS) {
+    console.log(`Serving cached page: ${slug}`);
+    return { ...found, outcome: "cached", cached, stale: false };
+  }
+
+  // Stale: serve the copy now and refresh it in the background
+  if (cached && cacheAgeHours < PAGE_FRESH_HOURS + PAGE_STALE_HOURS) {
+    console.log(`Serving stale page and revalidating: ${slug}`);
+    generateOnce(cacheKey, () => regeneratePage(cacheKey, title)).catch(
+      (error) => {
+        console.error(`Background regeneration failed for ${title}:`, error);
+      }
+    );
+    return { ...found, outcome: "cached", cached, stale: true };
+  }
+
+  // Another request is already generating this page: wait for it instead
+  if (getInFlight(cacheKey)) {
+    console.log(`Joining in-flight generation: ${slug}`);
+    return {
+      ...found,
+      outcome: "generating",
+      generation: getInFlight(cacheKey),
+      previous: cached,
+    };
+  }
+
+  // A known page spelled with different letter case is the same article
+  const knownVariant = findValidPageVariant(slug);
+  if (knownVariant && knownVariant !== slug) {
+    console.log(`Case variant: ${slug} -> ${knownVariant}`);
+    return { outcome: "redirect", slug: knownVariant };
+  }
+
+  // Check rate limit for non-cached content generation
+  const retryAfter = takeRateLimit(req);
+  if (retryAfter !== null) {
+    return { outcome: "rate-limited", slug, retryAfter };
+  }
+
+  // Check if page is in valid cache
+  if (!isValidPage(slug)) {
+    console.log(`Validating new page: ${slug}`);
+
+    // Validate content appropriateness
+    const isValidContent = await validateContent(title);
+
+    if (!isValidContent) {
+      console.log(`Content rejected as inappropriate: ${title}`);
+      return { outcome: "rejected", slug };
+    }
+
+    // Content is valid, rewrite slug to proper format. Ambiguous terms are
+    // rewritten to their disambiguation page.
+    const { title: properTitle, ambiguous } = await rewriteSlugToTitle(slug);
+    const properSlug = titleToWikipediaSlug(properTitle);
+
+    // If the proper slug is different, redirect to the corrected version
+    // and remember the alias, so the next visit skips the LLM
+    if (properSlug !== slug) {
       console.log(
-        `Added ${infoboxLinkedPages.length} linked pages from infobox to valid cache`
+        `Redirecting ${slug} -> ${properSlug} (${properTitle}${
+          ambiguous ? ", ambiguous" : ""
+        })`
       );
+      addValidPage(properTitle); // Add to valid cache
+      const redirect = addRedirect(slug, properSlug);
+      return { outcome: "redirect", slug: redirect.to, redirectedFrom: slug };
     }
 
-    // Render the infobox HTML
-    const infoboxHtml = renderInfobox(title, infoboxData);
+    // Add to valid cache for future requests
+    addValidPage(properTitle);
+  }
 
-    // Now send the complete page
-    const completePage = renderTemplate("page", {
-      TITLE: `${title} - Wiki Simulator`,
-      INFOBOX: infoboxHtml,
-      CONTENT: content,
-    });
+  // A concurrent request may have started generating while we validated
+  if (getInFlight(cacheKey)) {
+    console.log(`Joining in-flight generation: ${slug}`);
+    return {
+      ...found,
+      outcome: "generating",
+      generation: getInFlight(cacheKey),
+      previous: cached,
+    };
+  }
 
-    // Remove the DOCTYPE from the complete page since we already sent it
-    const pageWithoutDoctype = completePage.replace("<!DOCTYPE html>\n", "");
+  // An expired copy exists: regenerate before serving so the copy can be
+  // served instead if generation fails
+  if (cached) {
+    return {
+      ...found,
+      outcome: "generating",
+      generation: generateOnce(cacheKey, () => regeneratePage(cacheKey, title)),
+      previous: cached,
+    };
+  }
 
-    res.write(pageWithoutDoctype);
-    res.end();
+  return { ...found, outcome: "new" };
+}
+
+// URL a wiki page request is redirected to
+function wikiRedirectUrl(req, { slug, redirectedFrom, keepQuery }) {
+  if (redirectedFrom) {
+    return redirectUrl(redirectedFrom, slug);
+  }
+  const queryIndex = req.originalUrl.indexOf("?");
+  const query =
+    keepQuery && queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : "";
+  return `/wiki/${encodeURIComponent(slug)}${query}`;
+}
+
+// Route for wiki pages - stream the page shell, then each part as it is generated
+app.get("/wiki/:page", async (req, res) => {
+  try {
+    const resolved = await resolvePageRequest(req, req.params.page);
+    const { outcome, slug } = resolved;
+
+    if (outcome === "rate-limited") {
+      return sendRateLimited(res, resolved.retryAfter);
+    }
+    if (outcome === "bad-title") {
+      return res
+        .status(404)
+        .send(
+          renderSpecialPage(
+            "Bad title",
+            "<p>The requested page title is empty or contains only characters that are not allowed in titles.</p>"
+          )
+        );
+    }
+    if (outcome === "special") {
+      return res
+        .status(404)
+        .send(
+          renderSpecialPage(
+            "No such special page",
+            "<p>The requested special page does not exist.</p>"
+          )
+        );
+    }
+    if (outcome === "rejected") {
+      return res.status(404).send(
+        renderTemplate("page", {
+          TITLE: "Page Not Found - Wiki Simulator",
+          INFOBOX: "",
+          CONTENT: `<div style="text-align: center; padding: 60px;">
+            <h1>404 - Page Not Found</h1>
+            <p>The requested page could not be found or is not available.</p>
+            <a href="/" style="color: #0645ad;">Return to home page</a>
+          </div>`,
+        })
+      );
+    }
+    if (outcome === "redirect") {
+      return res.redirect(301, wikiRedirectUrl(req, resolved));
+    }
+
+    res.locals.pageSlug = slug;
+    const { redirectedfrom } = req.query;
+    if (
+      typeof redirectedfrom === "string" &&
+      getRedirect(redirectedfrom) === slug
+    ) {
+      res.locals.redirectedFrom = redirectedfrom;
+    }
 
-    // Cache the complete page for future requests
-    setCache(cacheKey, completePage);
+    if (outcome === "cached") {
+      return sendPage(res, renderCachedPage(slug, resolved.cached));
+    }
+    if (outcome === "generating") {
+      return sendGeneratedPage(
+        res,
+        resolved.generation,
+        resolved.previous ? renderCachedPage(slug, resolved.previous) : null
+      );
+    }
 
-    // Add to valid pages cache since it was successfully generated
-    addValidPage(title);
+    // This request streams; concurrent ones are sent the finished page
+    const { cacheKey, title } = resolved;
+    await generateOnce(cacheKey, () => streamNewPage(res, cacheKey, title));
   } catch (error) {
     console.error("Error generating page:", error);
 
-    // If we haven't sent headers yet, send error page normally
+    // If we haven't sent headers yet, send error page normally (a streamed
+    // page has already been closed with the error by streamNewPage)
     if (!res.headersSent) {
       const errorPage = renderTemplate("page", {
         TITLE: "Error - Wiki Simulator",
         INFOBOX: "",
-        CONTENT:
-          '<h2>Error</h2><p>Sorry, there was an error generating this page.</p><p><a href="/">Back to Home</a></p>',
+        CONTENT: PAGE_ERROR_CONTENT,
       });
       return res.status(500).send(errorPage);
     }
-
-    // If headers are already sent, send error page without DOCTYPE
-    const errorPage = renderTemplate("page", {
-      TITLE: "Error - Wiki Simulator",
-      INFOBOX: "",
-      CONTENT:
-        '<h2>Error</h2><p>Sorry, there was an error generating this page.</p><p><a href="/">Back to Home</a></p>',
-    });
-    const errorWithoutDoctype = errorPage.replace("<!DOCTYPE html>\n", "");
-    res.write(errorWithoutDoctype);
-    res.end();
   }
 });
 
@@ -391,20 +1438,814 @@ app.get("/", (req, res) => {
   res.send(homePage);
 });
 
+// API route for backlinks: the pages whose generated articles link to a page
+app.get("/api/backlinks/:slug", (req, res) => {
+  const slug = titleToWikipediaSlug(req.params.slug);
+  res.json({
+    slug,
+    title: wikipediaSlugToTitle(slug),
+    backlinks: getBacklinks(slug).map((source) => ({
+      slug: source,
+      title: wikipediaSlugToTitle(source),
+    })),
+  });
+});
+
+// API route for link previews: summary of an already generated page. Never
+// generates anything, so hovering a link cannot start a generation.
+app.get("/api/summary/:slug", (req, res) => {
+  const summary = getPageSummary(
+    titleToWikipediaSlug(req.params.slug),
+    PAGE_FRESH_HOURS + PAGE_STALE_HOURS
+  );
+  if (!summary) {
+    return res.status(404).json({ error: "Page not generated yet" });
+  }
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(summary);
+});
+
+// URL an article image is served at, by its slug and file extension
+function getImageUrl(image) {
+  const extension = /\.([^/.]+)$/.exec(image.filename)?.[1] || "webp";
+  return `/images/${image.slug}.${extension}`;
+}
+
+// Describe an article image for the JSON API: its URL and how far along it is
+function describeImage(image) {
+  return {
+    ...image,
+    url: getImageUrl(image),
+    ...getImageStatus(image.slug),
+  };
+}
+
+// Describe a cached page document for the JSON API: each part of the article
+// as markdown and HTML, its infobox data, links and images, and how it was
+// generated
+function describePageDocument(slug, document, stale) {
+  const { title, article, generatedAt, linkedPages, imageRefs } = document;
+  const rendered = getRenderedArticle(slug, document);
+  const latest = getLatestRevision(slug);
+  const isDisambiguation = article.kind === "disambiguation";
+
+  return {
+    slug,
+    title,
+    url: `/wiki/${encodeURIComponent(slug)}`,
+    kind: isDisambiguation ? "disambiguation" : "article",
+    generatedAt,
+    stale,
+    generation: latest
+      ? {
+          revision: latest.id,
+          action: latest.action,
+          timestamp: latest.timestamp,
+          promptVersion: latest.promptVersion,
+          provider: latest.provider,
+          models: latest.models,
+        }
+      : null,
+    infobox: isDisambiguation ? null : article.infobox || null,
+    opening: isDisambiguation
+      ? null
+      : { markdown: article.opening, html: rendered.openingHtml },
+    sections: isDisambiguation
+      ? []
+      : article.sections.map((section, index) => ({
+          title: section.title,
+          description: section.description,
+          markdown: section.markdown,
+          html: rendered.sectionHtmls[index],
+          anchor: rendered.sectionAnchors[index],
+        })),
+    ...(isDisambiguation ? { meanings: article.meanings } : {}),
+    seeAlso: article.seeAlso || [],
+    links: linkedPages
+      .map((linkTitle) => ({
+        title: linkTitle,
+        slug: titleToWikipediaSlug(linkTitle),
+      }))
+      .filter((link) => link.slug)
+      .map((link) => ({
+        ...link,
+        status: getLinkStatus(link.slug, PAGE_FRESH_HOURS + PAGE_STALE_HOURS),
+      })),
+    images: imageRefs.map(describeImage),
+    html: rendered.content,
+  };
+}
+
+// Get the document of a requested page, generating it as /wiki/:page would.
+// Returns { outcome: "document", slug, document, stale }, or what
+// resolvePageRequest returned when there is no document to show (bad titles,
+// special or rejected pages, redirects and rate-limited requests).
+async function resolvePageDocument(req, page) {
+  const resolved = await resolvePageRequest(req, page);
+  const { outcome, slug, cacheKey, title } = resolved;
+
+  if (!["cached", "generating", "new"].includes(outcome)) {
+    return resolved;
+  }
+  if (outcome === "cached" && isPageDocument(resolved.cached)) {
+    return {
+      outcome: "document",
+      slug,
+      document: resolved.cached,
+      stale: resolved.stale,
+    };
+  }
+
+  let generation = resolved.generation;
+  if (outcome === "cached") {
+    // Pages cached before documents were stored only hold their HTML, so
+    // generate the document (joining the refresh of a stale copy)
+    if (!getInFlight(cacheKey)) {
+      const retryAfter = takeRateLimit(req);
+      if (retryAfter !== null) {
+        return { outcome: "rate-limited", slug, retryAfter };
+      }
+    }
+    generation = generateOnce(cacheKey, () =>
+      rebuildPage(cacheKey, title, "refresh")
+    );
+  } else if (outcome === "new") {
+    generation = generateOnce(cacheKey, () =>
+      regeneratePage(cacheKey, title, "generate")
+    );
+  }
+
+  try {
+    await generation;
+  } catch (error) {
+    // As on the wiki, an older copy is better than an error
+    if (!isPageDocument(resolved.previous)) {
+      throw error;
+    }
+    console.error("Serving previous copy after generation error:", error);
+    return {
+      outcome: "document",
+      slug,
+      document: resolved.previous,
+      stale: true,
+    };
+  }
+
+  const document = getCache(cacheKey);
+  if (!isPageDocument(document)) {
+    throw new Error(`No page document cached for ${slug}`);
+  }
+  return { outcome: "document", slug, document, stale: false };
+}
+
+// Answer a page API request that did not resolve to a document. Redirects
+// keep the rest of the API path (pathSuffix).
+function sendUnresolvedPage(res, resolved, pathSuffix = "") {
+  const { outcome, slug } = resolved;
+  if (outcome === "rate-limited") {
+    return sendRateLimited(res, resolved.retryAfter);
+  }
+  if (outcome === "bad-title") {
+    return res.status(400).json({ error: "Bad title" });
+  }
+  if (outcome === "redirect") {
+    return res.redirect(
+      301,
+      `/api/page/${encodeURIComponent(slug)}${pathSuffix}`
+    );
+  }
+  res.status(404).json({ error: "Page not found" });
+}
+
+// API route for the structured article of a page: sections as markdown and
+// HTML, infobox data, links, images and generation details. Pages are cached,
+// generated and rate limited exactly as for /wiki/:page.
+app.get("/api/page/:slug", async (req, res) => {
+  try {
+    const found = await resolvePageDocument(req, req.params.slug);
+    if (found.outcome !== "document") {
+      return sendUnresolvedPage(res, found);
+    }
+    res.json(describePageDocument(found.slug, found.document, found.stale));
+  } catch (error) {
+    console.error("Page API error:", error);
+    res.status(500).json({ error: "Failed to generate page" });
+  }
+});
+
+// API route for the infobox of a page (generated like /api/page/:slug)
+app.get("/api/page/:slug/infobox", async (req, res) => {
+  try {
+    const found = await resolvePageDocument(req, req.params.slug);
+    if (found.outcome !== "document") {
+      return sendUnresolvedPage(res, found, "/infobox");
+    }
+    const { title, article } = found.document;
+    const infoboxImage = getInfoboxImage(article.infobox);
+    res.json({
+      slug: found.slug,
+      title,
+      stale: found.stale,
+      infobox: article.infobox || null,
+      image: infoboxImage ? describeImage(infoboxImage) : null,
+    });
+  } catch (error) {
+    console.error("Infobox API error:", error);
+    res.status(500).json({ error: "Failed to generate page" });
+  }
+});
+
+// API route for whether an image can be shown yet. Never generates anything;
+// the lazy loader polls it while an image prompt is being written.
+app.get("/api/image/:slug/status", (req, res) => {
+  const { slug } = req.params;
+  const { status, prompt } = getImageStatus(slug);
+  if (status === "missing") {
+    return res.status(404).json({ slug, status, error: "Unknown image" });
+  }
+  res.set("Cache-Control", "no-store");
+  res.json({ slug, status, prompt });
+});
+
+// API routes for redirects: anyone may list them, admins add and remove them
+app.get("/api/redirects", (req, res) => {
+  res.json(listRedirects());
+});
+
+app.post("/api/redirects", requireAdmin, (req, res) => {
+  const { from, to } = req.body || {};
+  if (typeof from !== "string" || typeof to !== "string") {
+    return res.status(400).json({ error: 'Body needs "from" and "to"' });
+  }
+  if (from.startsWith("Special:") || to.startsWith("Special:")) {
+    return res.status(400).json({ error: "Special pages cannot redirect" });
+  }
+
+  try {
+    const redirect = addRedirect(from, to, { source: "admin" });
+    // An admin vouches for the target, so it needs no validation
+    addValidPage(wikipediaSlugToTitle(redirect.to));
+    console.log(`Redirect added: ${redirect.from} -> ${redirect.to}`);
+    res.status(201).json(redirect);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete("/api/redirects/:from", requireAdmin, (req, res) => {
+  if (!removeRedirect(req.params.from)) {
+    return res.status(404).json({ error: "No such redirect" });
+  }
+  console.log(`Redirect removed: ${req.params.from}`);
+  res.status(204).end();
+});
+
+// Largest bundle the import endpoint accepts
+const BUNDLE_UPLOAD_LIMIT = `${
+  parseInt(process.env.BUNDLE_MAX_MB, 10) || 512
+}mb`;
+
+// Content types a bundle upload can be sent as
+const BUNDLE_CONTENT_TYPES = [
+  "application/gzip",
+  "application/x-gzip",
+  "application/octet-stream",
+];
+
+// Admin API for wiki bundles (see utils/wikiBundle.js): download the whole
+// wiki as a .tar.gz, or upload one to merge into this wiki
+app.get("/api/bundle", requireAdmin, async (req, res) => {
+  try {
+    const { tarball, manifest } = await createWikiBundle();
+    console.log(`📦 Exported wiki bundle (${tarball.length} bytes)`);
+    res.set("Cache-Control", "no-store");
+    res.attachment(`wiki-bundle-${manifest.createdAt.slice(0, 10)}.tar.gz`);
+    res.type("application/gzip").send(tarball);
+  } catch (error) {
+    console.error("Bundle export failed:", error);
+    res.status(500).json({ error: "Failed to export bundle" });
+  }
+});
+
+app.post(
+  "/api/bundle",
+  requireAdmin,
+  (req, res, next) => {
+    if (!req.is(BUNDLE_CONTENT_TYPES)) {
+      return res.status(415).json({
+        error: `Send the bundle as ${BUNDLE_CONTENT_TYPES.join(
+          " or "
+        )} (e.g. curl --data-binary @bundle.tar.gz -H "Content-Type: application/gzip")`,
+      });
+    }
+    next();
+  },
+  express.raw({ type: BUNDLE_CONTENT_TYPES, limit: BUNDLE_UPLOAD_LIMIT }),
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Body needs a bundle (.tar.gz) file" });
+    }
+
+    const policy = req.query.policy || "keep-newer";
+    try {
+      const { manifest, imported, skipped } = await importWikiBundle(req.body, {
+        policy,
+      });
+      console.log(`📥 Imported wiki bundle from ${manifest.createdAt}`);
+      res.json({ policy, manifest, imported, skipped });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Most results of a list=search query or an opensearch
+const MEDIAWIKI_MAX_RESULTS = 50;
+
+// Modules of action=query that the Action API shim answers
+const MEDIAWIKI_QUERY_MODULES = {
+  prop: ["extracts", "pageimages", "info"],
+  list: ["search"],
+  meta: ["siteinfo"],
+};
+
+// What action=parse returns when prop is not given. Modules the simulator has
+// no data for (categories, templates, ...) are answered empty.
+const MEDIAWIKI_PARSE_PROPS = [
+  "text",
+  "langlinks",
+  "categories",
+  "links",
+  "templates",
+  "images",
+  "externallinks",
+  "sections",
+  "revid",
+  "displaytitle",
+  "iwlinks",
+  "properties",
+];
+const MEDIAWIKI_EMPTY_PARSE_PROPS = [
+  "langlinks",
+  "categories",
+  "templates",
+  "externallinks",
+  "iwlinks",
+  "properties",
+];
+
+// MediaWiki boolean parameters are true when present, whatever their value
+const isFlagSet = (value) => value !== undefined;
+
+// Read a generated page for the Action API without generating anything: the
+// cached document (or HTML of pages cached before documents), or null
+function readGeneratedPage(slug) {
+  const cacheKey = `wiki_${slug}`;
+  return isCached(cacheKey, PAGE_FRESH_HOURS + PAGE_STALE_HOURS)
+    ? getCache(cacheKey)
+    : null;
+}
+
+// prop=extracts: the page text as HTML, or plain text with explaintext.
+// exintro stops after the opening; exchars shortens plain text.
+function getPageExtract(slug, cached, params) {
+  const intro = isFlagSet(params.exintro);
+  const plainText = isFlagSet(params.explaintext);
+
+  // Pages cached as HTML only offer their opening as text
+  if (!isPageDocument(cached)) {
+    return extractPageSummary(cached).extract;
+  }
+
+  const { article } = cached;
+  let extract;
+  if (article.kind === "disambiguation") {
+    extract = plainText
+      ? extractDocumentText(cached)
+      : getRenderedArticle(slug, cached).content;
+  } else if (plainText) {
+    extract = articleToPlainText(article, { intro });
+  } else {
+    const { openingHtml, sectionHtmls } = getRenderedArticle(slug, cached);
+    extract = intro ? openingHtml : [openingHtml, ...sectionHtmls].join("\n");
+  }
+  return plainText
+    ? truncateExtract(extract, parseInt(params.exchars, 10))
+    : extract;
+}
+
+// prop=pageimages: the infobox image, once it can be served. Thumbnails
+// have the 4:3 shape images are generated in.
+function describePageImage(req, cached, params) {
+  const image = isPageDocument(cached)
+    ? getInfoboxImage(cached.article.infobox)
+    : null;
+  if (!image || getImageStatus(image.slug).status === "missing") {
+    return {};
+  }
+
+  const url = getImageUrl(image);
+  const piprop = isFlagSet(params.piprop)
+    ? splitMultiValue(params.piprop)
+    : ["thumbnail", "name"];
+  const width = readLimitParam(params.pithumbsize, 50, 2000);
+  return {
+    ...(piprop.includes("thumbnail")
+      ? {
+          thumbnail: {
+            source: absoluteUrl(req, url),
+            width,
+            height: Math.round((width * 3) / 4),
+          },
+        }
+      : {}),
+    ...(piprop.includes("name")
+      ? { pageimage: url.slice("/images/".length) }
+      : {}),
+  };
+}
+
+// prop=info: page details, with the newest revision as lastrevid
+function describePageInfo(slug, cached) {
+  const latest = getLatestRevision(slug);
+  const ageHours = getCacheAgeHours(`wiki_${slug}`);
+  return {
+    contentmodel: "wikitext",
+    pagelanguage: "en",
+    pagelanguagehtmlcode: "en",
+    pagelanguagedir: "ltr",
+    touched: isPageDocument(cached)
+      ? cached.generatedAt
+      : new Date(Date.now() - ageHours * 60 * 60 * 1000).toISOString(),
+    lastrevid: latest ? latest.id : 0,
+    length: isPageDocument(cached)
+      ? revisionToText(cached).length
+      : cached.length,
+  };
+}
+
+// Describe one page of a query. Pages are only read from the cache: valid
+// titles that are not generated yet are missing but known.
+function describeQueryPage(req, slug, props, params) {
+  const title = wikipediaSlugToTitle(slug);
+  if (slug.startsWith("Special:")) {
+    return { ns: -1, title, special: true };
+  }
+
+  const cached = readGeneratedPage(slug);
+  if (!cached) {
+    return {
+      ns: 0,
+      title,
+      missing: true,
+      known: isValidPage(slug, { touch: false }),
+    };
+  }
+
+  return {
+    pageid: getPageId(slug),
+    ns: 0,
+    title,
+    ...(props.includes("info") ? describePageInfo(slug, cached) : {}),
+    ...(props.includes("extracts")
+      ? { extract: getPageExtract(slug, cached, params) }
+      : {}),
+    ...(props.includes("pageimages")
+      ? describePageImage(req, cached, params)
+      : {}),
+  };
+}
+
+// action=query: pages by title (prop=extracts|pageimages|info), list=search
+// and meta=siteinfo
+function mediawikiQuery(req, params, formatVersion) {
+  const modules = Object.fromEntries(
+    Object.keys(MEDIAWIKI_QUERY_MODULES).map((name) => [
+      name,
+      splitMultiValue(params[name]),
+    ])
+  );
+  const unknown = Object.entries(modules).flatMap(([name, values]) =>
+    values
+      .filter((value) => !MEDIAWIKI_QUERY_MODULES[name].includes(value))
+      .map((value) => `Unrecognized value for parameter "${name}": ${value}.`)
+  );
+
+  const titles = splitMultiValue(params.titles);
+  if (titles.length > MEDIAWIKI_MAX_TITLES) {
+    return mediawikiError(
+      "toomanyvalues",
+      `Too many values supplied for parameter "titles". The limit is ${MEDIAWIKI_MAX_TITLES}.`,
+      formatVersion
+    );
+  }
+  if (modules.list.includes("search") && !params.srsearch) {
+    return mediawikiError(
+      "missingparam",
+      'The "srsearch" parameter must be set.',
+      formatVersion
+    );
+  }
+
+  const response = { batchcomplete: true };
+  const query = {};
+
+  if (titles.length > 0) {
+    const normalized = [];
+    const redirects = [];
+    const pages = [];
+    const seen = new Set();
+    titles.forEach((title) => {
+      const slug = titleToWikipediaSlug(title);
+      if (!slug) {
+        pages.push({
+          title,
+          invalidreason:
+            "The requested page title is empty or contains only characters that are not allowed in titles.",
+          invalid: true,
+        });
+        return;
+      }
+
+      const pageTitle = wikipediaSlugToTitle(slug);
+      if (pageTitle !== title) {
+        normalized.push({ from: title, to: pageTitle });
+      }
+      let target = slug;
+      if (isFlagSet(params.redirects) && getRedirect(slug)) {
+        target = getRedirect(slug);
+        redirects.push({ from: pageTitle, to: wikipediaSlugToTitle(target) });
+      }
+      if (!seen.has(target)) {
+        seen.add(target);
+        pages.push(describeQueryPage(req, target, modules.prop, params));
+      }
+    });
+
+    if (normalized.length > 0) {
+      query.normalized = normalized;
+    }
+    if (redirects.length > 0) {
+      query.redirects = redirects;
+    }
+    query.pages = formatQueryPages(pages, formatVersion);
+  }
+
+  if (modules.list.includes("search")) {
+    const limit = readLimitParam(params.srlimit, 10, MEDIAWIKI_MAX_RESULTS);
+    const offset = Math.max(parseInt(params.sroffset, 10) || 0, 0);
+    const results = searchPages(params.srsearch, { limit: Infinity });
+    query.searchinfo = { totalhits: results.length };
+    query.search = results
+      .slice(offset, offset + limit)
+      .map(({ slug, title, snippet }) => ({
+        ns: 0,
+        title,
+        pageid: getPageId(slug),
+        snippet: toSearchMatchSnippet(snippet),
+      }));
+    if (offset + limit < results.length) {
+      response.continue = { sroffset: offset + limit, continue: "-||" };
+    }
+  }
+
+  if (modules.meta.includes("siteinfo")) {
+    query.general = {
+      mainpage: "Main Page",
+      base: absoluteUrl(req, "/"),
+      sitename: "Wiki Simulator",
+      generator: "Wiki Simulator",
+      case: "first-letter",
+      lang: "en",
+      server: absoluteUrl(req, ""),
+      articlepath: "/wiki/$1",
+      scriptpath: "/w",
+      script: "/w/api.php",
+    };
+  }
+
+  if (unknown.length > 0) {
+    response.warnings = mediawikiWarning(
+      "query",
+      unknown.join("\n"),
+      formatVersion
+    );
+  }
+  if (Object.keys(query).length > 0) {
+    response.query = query;
+  }
+  return response;
+}
+
+// Most redirects action=parse follows to reach a page
+const MEDIAWIKI_MAX_REDIRECTS = 5;
+
+// action=parse: a page's HTML, sections, links and images. Pages are
+// generated as on the wiki (and count against the same rate limit); redirects
+// and other spellings are followed.
+async function mediawikiParse(req, res, params, formatVersion) {
+  if (typeof params.page !== "string" || params.page === "") {
+    return mediawikiError(
+      "missingparam",
+      'The "page" parameter must be set.',
+      formatVersion
+    );
+  }
+
+  const redirects = [];
+  let resolved = await resolvePageDocument(req, params.page);
+  for (
+    let hops = 0;
+    resolved.outcome === "redirect" && hops < MEDIAWIKI_MAX_REDIRECTS;
+    hops++
+  ) {
+    if (resolved.redirectedFrom) {
+      redirects.push({
+        from: wikipediaSlugToTitle(resolved.redirectedFrom),
+        to: wikipediaSlugToTitle(resolved.slug),
+      });
+    }
+    resolved = await resolvePageDocument(req, resolved.slug);
+  }
+
+  if (resolved.outcome === "rate-limited") {
+    res.status(429).set("Retry-After", String(resolved.retryAfter));
+    return mediawikiError(
+      "ratelimited",
+      "You've exceeded your rate limit. Please wait some time and try again.",
+      formatVersion
+    );
+  }
+  if (resolved.outcome === "bad-title") {
+    return mediawikiError(
+      "invalidtitle",
+      `Bad title "${params.page}".`,
+      formatVersion
+    );
+  }
+  if (resolved.outcome !== "document") {
+    return mediawikiError(
+      "missingtitle",
+      "The page you specified doesn't exist.",
+      formatVersion
+    );
+  }
+
+  const { slug, document } = resolved;
+  const { title, article, linkedPages, imageRefs } = document;
+  const rendered = getRenderedArticle(slug, document);
+  const isDisambiguation = article.kind === "disambiguation";
+  const props = isFlagSet(params.prop)
+    ? splitMultiValue(params.prop)
+    : MEDIAWIKI_PARSE_PROPS;
+
+  const parse = { title, pageid: getPageId(slug) };
+  if (redirects.length > 0) {
+    parse.redirects = redirects;
+  }
+  if (props.includes("revid")) {
+    parse.revid = getLatestRevision(slug)?.id ?? 0;
+  }
+  if (props.includes("displaytitle")) {
+    parse.displaytitle = escapeHtml(title);
+  }
+  if (props.includes("text")) {
+    const html = markLinks(
+      `<div class="mw-parser-output">${
+        isDisambiguation ? "" : renderInfobox(title, article.infobox)
+      }${rendered.content}</div>`
+    );
+    parse.text = formatVersion === 2 ? html : { "*": html };
+  }
+  if (props.includes("sections")) {
+    parse.sections = isDisambiguation
+      ? []
+      : formatParseSections(
+          article.sections.map((section, index) => ({
+            title: section.title,
+            anchor: rendered.sectionAnchors[index],
+          })),
+          title
+        );
+  }
+  if (props.includes("links")) {
+    parse.links = linkedPages
+      .filter((linkTitle) => titleToWikipediaSlug(linkTitle))
+      .map((linkTitle) => {
+        const exists =
+          getLinkStatus(
+            titleToWikipediaSlug(linkTitle),
+            PAGE_FRESH_HOURS + PAGE_STALE_HOURS
+          ) === "generated";
+        return formatVersion === 2
+          ? { ns: 0, title: linkTitle, exists }
+          : { ns: 0, exists, "*": linkTitle };
+      });
+  }
+  if (props.includes("images")) {
+    parse.images = imageRefs.map((image) =>
+      getImageUrl(image).slice("/images/".length)
+    );
+  }
+  MEDIAWIKI_EMPTY_PARSE_PROPS.filter((prop) => props.includes(prop)).forEach(
+    (prop) => {
+      parse[prop] = [];
+    }
+  );
+  return { parse };
+}
+
+// action=opensearch: the OpenSearch suggestions of the search box
+function mediawikiOpenSearch(req, params) {
+  return getOpenSearchSuggestions(
+    req,
+    params.search,
+    readLimitParam(params.limit, 10, MEDIAWIKI_MAX_RESULTS)
+  );
+}
+
+// MediaWiki Action API shim: action=query, parse and opensearch answered in
+// MediaWiki's JSON formats (formatversion 1 or 2), so existing bots and tools
+// work against the simulator
+async function handleMediaWikiApi(req, res) {
+  const params = { ...req.query, ...(req.body || {}) };
+  const formatVersion = readFormatVersion(params.formatversion);
+  const send = (body) =>
+    res.json(formatVersion === 2 ? body : toFormatVersion1(body));
+
+  try {
+    switch (params.action) {
+      case "query":
+        return send(mediawikiQuery(req, params, formatVersion));
+      case "parse":
+        return send(await mediawikiParse(req, res, params, formatVersion));
+      case "opensearch":
+        return res.json(await mediawikiOpenSearch(req, params));
+      case undefined:
+        return send(
+          mediawikiError(
+            "missingparam",
+            'The "action" parameter must be set.',
+            formatVersion
+          )
+        );
+      default:
+        return send(
+          mediawikiError(
+            "badvalue",
+            `Unrecognized value for parameter "action": ${params.action}.`,
+            formatVersion
+          )
+        );
+    }
+  } catch (error) {
+    console.error("MediaWiki API error:", error);
+    res
+      .status(500)
+      .json(
+        mediawikiError(
+          "internal_api_error",
+          "There was an error generating this page.",
+          formatVersion
+        )
+      );
+  }
+}
+
+app.get("/w/api.php", handleMediaWikiApi);
+app.post("/w/api.php", handleMediaWikiApi);
+
 // Cache stats endpoint (optional - for monitoring)
 app.get("/api/cache-stats", (req, res) => {
   const stats = getCacheStats();
   res.json(stats);
 });
 
-// Start server
-app.listen(port, () => {
-  console.log(`Wiki server running at http://localhost:${port}`);
-  console.log("Make sure to set your GROQ_API_KEY environment variable");
+// Start server when run directly (tests import the app without listening)
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  app.listen(port, () => {
+    console.log(`Wiki server running at http://localhost:${port}`);
+    if ((process.env.LLM_PROVIDER || "groq").toLowerCase() === "groq") {
+      console.log("Make sure to set your GROQ_API_KEY environment variable");
+    }
 
-  // Log cache stats on startup
-  const stats = getCacheStats();
-  console.log(
-    `Cache: ${stats.fileCount} files (${stats.textFiles} text, ${stats.binaryFiles} binary), ${stats.totalSizeMB}MB`
-  );
-});
+    // Keep the cache within its size budgets
+    startCacheSweeper();
+
+    // Index the cached pages now rather than during the first search
+    buildSearchIndex();
+
+    // Log cache stats on startup
+    const stats = getCacheStats();
+    console.log(
+      `Cache (${stats.backend}): ${stats.fileCount} entries (${stats.textFiles} text, ${stats.binaryFiles} binary), ${stats.totalSizeMB}MB`
+    );
+  });
+}
+
+export default app;
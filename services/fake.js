@@ -0,0 +1,357 @@
+// Deterministic fake LLM and image backends for offline development and CI
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// 1x1 lossless WebP used as the raster placeholder image
+const PLACEHOLDER_WEBP = Buffer.from(
+  "UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA==",
+  "base64"
+);
+
+const OUTLINE_SECTIONS = [
+  { title: "History", description: "Historical background" },
+  { title: "Description", description: "Key characteristics" },
+  { title: "Characteristics", description: "Distinguishing features" },
+  { title: "Types", description: "Main varieties and classifications" },
+  { title: "Applications", description: "Practical uses" },
+  { title: "Development", description: "How it evolved over time" },
+  { title: "Impact", description: "Effects on society and culture" },
+  { title: "Reception", description: "Critical and public response" },
+  { title: "Legacy", description: "Lasting influence" },
+];
+
+const LINK_TERMS = [
+  "Natural philosophy",
+  "Industrial Revolution",
+  "Mathematics",
+  "Royal Society",
+  "Classical antiquity",
+  "Printing press",
+  "Cartography",
+  "Renaissance",
+  "Economics",
+  "Linguistics",
+  "Astronomy",
+  "Trade route",
+  "Bronze Age",
+  "Scientific method",
+  "Urbanization",
+  "Public health",
+];
+
+const PEOPLE = [
+  "Ada Lovelace",
+  "Ibn Khaldun",
+  "Marie Curie",
+  "Alexander von Humboldt",
+  "Hypatia",
+  "Zhang Heng",
+  "Mary Somerville",
+  "Leonhard Euler",
+];
+
+const PLACES = [
+  "Alexandria",
+  "Samarkand",
+  "Florence",
+  "Kyoto",
+  "Timbuktu",
+  "Edinburgh",
+  "Cusco",
+  "Baghdad",
+];
+
+const TYPES = [
+  "Concept",
+  "Historical period",
+  "Field of study",
+  "Technology",
+  "Cultural movement",
+  "Organization",
+];
+
+// Terms the fake slug rewriter treats as ambiguous
+const AMBIGUOUS_TERMS = ["mercury", "java", "python", "jaguar", "phoenix"];
+
+// Kinds of meaning listed on fake disambiguation pages
+const MEANING_KINDS = [
+  {
+    qualifier: "mythology",
+    group: "Religion and mythology",
+    description: "a figure in classical mythology",
+  },
+  {
+    qualifier: "planet",
+    group: "Science",
+    description: "a body in a distant planetary system",
+  },
+  { qualifier: "element", group: "Science", description: "a chemical element" },
+  {
+    qualifier: "band",
+    group: "Arts and entertainment",
+    description: "a rock band formed in the 1970s",
+  },
+  {
+    qualifier: "film",
+    group: "Arts and entertainment",
+    description: "a drama film",
+  },
+  {
+    qualifier: "novel",
+    group: "Arts and entertainment",
+    description: "a historical novel",
+  },
+  {
+    qualifier: "ship",
+    group: "Transport",
+    description: "a merchant sailing ship",
+  },
+  { qualifier: "surname", group: "People", description: "a family name" },
+];
+
+const PALETTE = ["#6b8cae", "#a3b18a", "#d4a373", "#9d8189", "#7d8597"];
+
+// FNV-1a string hash, used to seed the PRNG
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random generator (mulberry32) for a given topic
+ * @param {...string} parts - Values mixed into the seed alongside FAKE_SEED
+ * @returns {Object} - Generator with next(), pick() and pickMany()
+ */
+export function createSeededRandom(...parts) {
+  let state = hashString(
+    [process.env.FAKE_SEED || "wiki-simulator", ...parts].join(":")
+  );
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const pick = (items) => items[Math.floor(next() * items.length)];
+
+  const pickMany = (items, count) => {
+    const pool = [...items];
+    const picked = [];
+    while (picked.length < count && pool.length > 0) {
+      picked.push(pool.splice(Math.floor(next() * pool.length), 1)[0]);
+    }
+    return picked;
+  };
+
+  return { next, pick, pickMany };
+}
+
+// Read a `Label: "value"` field out of a prompt
+function readField(text, label) {
+  const match = text.match(new RegExp(`${label}:\\s*"([^"]*)"`));
+  return match ? match[1] : "";
+}
+
+function toFileSlug(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+function fakeSearch(query) {
+  const random = createSeededRandom("search", query);
+  const base = query.charAt(0).toUpperCase() + query.slice(1);
+  const variants = [
+    base,
+    `History of ${query}`,
+    `${base} (theory)`,
+    `${base} in popular culture`,
+    `Philosophy of ${query}`,
+    `${base} Society`,
+    `Applied ${query}`,
+  ];
+  return [base, ...random.pickMany(variants.slice(1), 4)].join("\n");
+}
+
+function fakeOutline(topic) {
+  const random = createSeededRandom("outline", topic);
+  const count = 4 + Math.floor(random.next() * 3);
+  const sections = [
+    OUTLINE_SECTIONS[0],
+    ...random.pickMany(OUTLINE_SECTIONS.slice(1), count - 1),
+  ];
+  return JSON.stringify({
+    summary: `${topic} is a subject documented in the simulated encyclopedia.`,
+    sections,
+    see_also: random.pickMany(LINK_TERMS, 3),
+  });
+}
+
+function fakeOpening(topic) {
+  const random = createSeededRandom("opening", topic);
+  const [first, second] = random.pickMany(LINK_TERMS, 2);
+  const place = random.pick(PLACES);
+  const year = 1400 + Math.floor(random.next() * 600);
+  return `**${topic}** is a ${random
+    .pick(TYPES)
+    .toLowerCase()} first described in [[${place}]] around ${year}. It is closely associated with [[${first}]] and the study of [[${second}|${second.toLowerCase()}]].`;
+}
+
+function fakeSection(topic, sectionTitle) {
+  const random = createSeededRandom("section", topic, sectionTitle);
+  const [first, second, third] = random.pickMany(LINK_TERMS, 3);
+  const person = random.pick(PEOPLE);
+  const place = random.pick(PLACES);
+  const year = 1500 + Math.floor(random.next() * 500);
+  const paragraphs = [];
+
+  // Roughly two thirds of sections carry an image
+  if (random.next() < 0.66) {
+    const imageSlug = toFileSlug(`${topic} ${sectionTitle}`);
+    const aspect = random.pick(["4:3", "16:9", "1:1", "3:2"]);
+    paragraphs.push(
+      `[[Image:${imageSlug}.webp|medium|${aspect}|${sectionTitle} of ${topic}]]`
+    );
+  }
+
+  paragraphs.push(
+    `In ${year}, [[${person}]] published an influential account of ${topic} while working in [[${place}]]. The work drew on [[${first}]] and contributed to later debates about [[${second}|${second.toLowerCase()}]].`
+  );
+  paragraphs.push(
+    `Subsequent scholarship linked ${topic} to [[${third}]], and surveys conducted during the twentieth century documented regional variation in its ${sectionTitle.toLowerCase()}.`
+  );
+
+  return paragraphs.join("\n\n");
+}
+
+function fakeDisambiguation(term) {
+  const random = createSeededRandom("disambiguation", term);
+  const kinds = random.pickMany(
+    MEANING_KINDS,
+    4 + Math.floor(random.next() * 3)
+  );
+  return JSON.stringify({
+    meanings: kinds.map(({ qualifier, group, description }) => ({
+      title: `${term} (${qualifier})`,
+      description,
+      group,
+    })),
+  });
+}
+
+function fakeInfobox(topic) {
+  const random = createSeededRandom("infobox", topic);
+  return JSON.stringify({
+    name: topic,
+    image: `${toFileSlug(topic)}.webp`,
+    type: random.pick(TYPES),
+    founded: `${1400 + Math.floor(random.next() * 600)}`,
+    location: random.pick(PLACES),
+    key_figures: random.pickMany(PEOPLE, 2).join(", "),
+    related: random.pickMany(LINK_TERMS, 3).join(", "),
+  });
+}
+
+function fakeImagePrompts(userMessage) {
+  const subject = readField(userMessage, "Subject");
+  if (subject) {
+    return `Documentary photograph of ${subject}, neutral background`;
+  }
+
+  // Batch request: one prompt per numbered line
+  return userMessage
+    .split("\n")
+    .map((line) => line.match(/^\d+\.\s*(.+)$/))
+    .filter(Boolean)
+    .map((match) => `Documentary photograph of ${match[1]}`)
+    .join("\n");
+}
+
+/**
+ * Fake LLM provider - produces well-formed, seed-stable output for each task
+ * @returns {Object} - Provider with a complete() method
+ */
+export function createFakeLLMProvider() {
+  return {
+    name: "fake",
+    async complete({ task, messages }) {
+      const userMessage =
+        [...messages].reverse().find((message) => message.role === "user")
+          ?.content || "";
+
+      switch (task) {
+        case "search":
+          return fakeSearch(readField(userMessage, "Search query"));
+        case "outline":
+          return fakeOutline(userMessage.match(/"([^"]+)"/)?.[1] || "");
+        case "opening":
+          return fakeOpening(readField(userMessage, "Topic"));
+        case "section":
+          return fakeSection(
+            readField(userMessage, "Topic"),
+            readField(userMessage, "Section")
+          );
+        case "infobox":
+          return fakeInfobox(userMessage.match(/"([^"]+)"/)?.[1] || "");
+        case "validation":
+          // Lets tests exercise the rejection path deterministically
+          return /forbidden/i.test(userMessage) ? "INVALID" : "VALID";
+        case "slug": {
+          const title = userMessage.replace(/^[^:]*:\s*/, "").trim();
+          const properTitle = title.charAt(0).toUpperCase() + title.slice(1);
+          return AMBIGUOUS_TERMS.includes(title.toLowerCase())
+            ? `${properTitle} (disambiguation)`
+            : properTitle;
+        }
+        case "disambiguation":
+          return fakeDisambiguation(readField(userMessage, "Term"));
+        case "imagePrompt":
+          return fakeImagePrompts(userMessage);
+        default:
+          throw new Error(`Fake LLM provider has no output for task: ${task}`);
+      }
+    },
+  };
+}
+
+/**
+ * Generate a placeholder image for the fake image backend
+ * @param {string} subject - The subject of the image
+ * @param {string} format - Requested file extension (svg gets a labelled SVG)
+ * @param {string} aspectRatio - Aspect ratio for the image
+ * @returns {Buffer} - Image buffer
+ */
+export function generateFakeImage(
+  subject,
+  format = "webp",
+  aspectRatio = "4:3"
+) {
+  if (format !== "svg") {
+    return PLACEHOLDER_WEBP;
+  }
+
+  const [ratioWidth, ratioHeight] = aspectRatio.split(":").map(Number);
+  const width = 400;
+  const height = Math.round((width * (ratioHeight || 3)) / (ratioWidth || 4));
+  const color = createSeededRandom("image", subject).pick(PALETTE);
+  const label = subject
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="100%" height="100%" fill="${color}"/>
+  <text x="50%" y="50%" fill="#ffffff" font-family="sans-serif" font-size="20" text-anchor="middle" dominant-baseline="middle">${label}</text>
+</svg>`
+  );
+}
@@ -1,20 +1,26 @@
-import { Groq } from "groq-sdk";
 import { marked } from "marked";
-import { titleToWikipediaSlug } from "../utils/slugs.js";
+import {
+  DISAMBIGUATION_SUFFIX,
+  getDisambiguationTerm,
+  imageNameToSlug,
+  isDisambiguationTitle,
+  titleToWikipediaSlug,
+} from "../utils/slugs.js";
 import {
   extractImageReferences,
+  getInfoboxImage,
   markPromptsGenerating,
   mergeInfoboxImageReferences,
 } from "../utils/imageContext.js";
+import { extractInfoboxLinkedPages } from "../utils/templates.js";
+import {
+  escapeHtml,
+  sanitizeArticleHtml,
+  unescapeHtml,
+} from "../utils/html.js";
+import { isCached } from "../utils/fileCache.js";
 import { generateBatchImagePrompts } from "./replicate.js";
-import dotenv from "dotenv";
-
-dotenv.config();
-
-// Initialize Groq client
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+import { chatCompletion, getModelForTask, getProvider } from "./llm.js";
 
 // Configure marked options
 marked.setOptions({
@@ -22,6 +28,33 @@ marked.setOptions({
   gfm: true,
 });
 
+// Version of the article prompts below, recorded with each page revision.
+// Bump it whenever a prompt changes what gets generated.
+export const PROMPT_VERSION = 2;
+
+// Generation tasks whose models shape an article
+const ARTICLE_TASKS = [
+  "outline",
+  "infobox",
+  "opening",
+  "section",
+  "disambiguation",
+];
+
+/**
+ * Describe how articles are currently generated, for revision records
+ * @returns {Object} - { promptVersion, provider, models } (models by task)
+ */
+export function getGenerationInfo() {
+  return {
+    promptVersion: PROMPT_VERSION,
+    provider: getProvider().name,
+    models: Object.fromEntries(
+      ARTICLE_TASKS.map((task) => [task, getModelForTask(task)])
+    ),
+  };
+}
+
 // Static system prompt for search suggestions (cacheable)
 const SEARCH_SYSTEM_PROMPT = `Suggest 5 Wikipedia article topics related to the search query.
 
@@ -31,11 +64,12 @@ Return only topic titles, one per line:
 - Suggest related concepts
 - Use proper capitalization`;
 
-// Function to generate search suggestions using Groq
+// Function to generate search suggestions using the LLM provider
 export async function generateSearchSuggestions(query) {
   try {
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
+    const response = await chatCompletion(
+      "search",
+      [
         {
           role: "system",
           content: SEARCH_SYSTEM_PROMPT,
@@ -45,14 +79,9 @@ export async function generateSearchSuggestions(query) {
           content: `Search query: "${query}"`,
         },
       ],
-      model: "gemma2-9b-it",
-      temperature: 0.7,
-      max_completion_tokens: 200,
-      top_p: 0.9,
-      stream: false,
-    });
+      { temperature: 0.7, maxTokens: 200, topP: 0.9 }
+    );
 
-    const response = chatCompletion.choices[0]?.message?.content || "";
     const suggestions = response
       .split("\n")
       .filter((line) => line.trim().length > 0)
@@ -73,15 +102,18 @@ export async function generateSearchSuggestions(query) {
 export function extractLinkedPages(markdownContent) {
   const linkedPages = new Set();
 
+  // [[Image:...]] embeds an image rather than linking to a page
+  const isImage = (link) => /^\s*image:/i.test(link);
+
   // Extract from [[link|display text]]
   markdownContent.replace(/\[\[([^|\]]+)\|([^\]]+)\]\]/g, (match, link) => {
-    linkedPages.add(link.trim());
+    if (!isImage(link)) linkedPages.add(link.trim());
     return match;
   });
 
   // Extract from [[link]]
   markdownContent.replace(/\[\[([^\]]+)\]\]/g, (match, text) => {
-    linkedPages.add(text.trim());
+    if (!isImage(text)) linkedPages.add(text.trim());
     return match;
   });
 
@@ -132,7 +164,7 @@ function parseAspectRatio(aspectSpec) {
 }
 
 // Function to process markdown and convert **bold**, [[links]], and [[Image:...]] to appropriate HTML
-function processMarkdownForWikiLinks(
+export function processMarkdownForWikiLinks(
   markdownContent,
   articleTitle = "",
   sectionTitle = ""
@@ -143,9 +175,11 @@ function processMarkdownForWikiLinks(
     (match, filename, sizeSpec, aspectRatio, caption) => {
       // Extract just the filename without extension to use as slug
       const nameWithoutExt = filename.replace(/\.[^/.]+$/, "");
-      const slug = titleToWikipediaSlug(nameWithoutExt);
+      const slug = imageNameToSlug(nameWithoutExt);
       // Preserve the original extension from filename
       const extension = filename.split(".").pop() || "webp";
+      const safeFilename = escapeHtml(`${slug}.${extension}`);
+      const safeCaption = escapeHtml(caption);
 
       // Force section images to medium size
       const size = { width: 250, height: "auto", float: "right" };
@@ -161,13 +195,13 @@ function processMarkdownForWikiLinks(
             }; margin-left: ${size.float === "left" ? "0" : "15px"};`;
 
       return `<figure class="wiki-figure ${floatClass}" style="${floatStyle}" data-aspect-ratio="${aspectRatioSpec}">
-        <img data-src="/images/${slug}.${extension}" 
-             alt="${caption}" 
-             title="${caption}" 
+        <img data-src="/images/${safeFilename}" 
+             alt="${safeCaption}" 
+             title="${safeCaption}" 
              class="wiki-image lazy-load" 
              width="250" 
              style="height: auto;">
-        <figcaption class="wiki-caption">${caption}</figcaption>
+        <figcaption class="wiki-caption">${safeCaption}</figcaption>
       </figure>`;
     }
   );
@@ -178,9 +212,11 @@ function processMarkdownForWikiLinks(
     (match, filename, sizeSpec, caption) => {
       // Extract just the filename without extension to use as slug
       const nameWithoutExt = filename.replace(/\.[^/.]+$/, "");
-      const slug = titleToWikipediaSlug(nameWithoutExt);
+      const slug = imageNameToSlug(nameWithoutExt);
       // Preserve the original extension from filename
       const extension = filename.split(".").pop() || "webp";
+      const safeFilename = escapeHtml(`${slug}.${extension}`);
+      const safeCaption = escapeHtml(caption);
 
       // Force section images to medium size
       const size = { width: 250, height: "auto", float: "right" };
@@ -195,13 +231,13 @@ function processMarkdownForWikiLinks(
             }; margin-left: ${size.float === "left" ? "0" : "15px"};`;
 
       return `<figure class="wiki-figure ${floatClass}" style="${floatStyle}" data-aspect-ratio="4:3">
-        <img src="/images/${slug}.${extension}" 
-             alt="${caption}" 
-             title="${caption}" 
+        <img src="/images/${safeFilename}" 
+             alt="${safeCaption}" 
+             title="${safeCaption}" 
              class="wiki-image" 
              width="250" 
              style="height: auto;">
-        <figcaption class="wiki-caption">${caption}</figcaption>
+        <figcaption class="wiki-caption">${safeCaption}</figcaption>
       </figure>`;
     }
   );
@@ -212,9 +248,11 @@ function processMarkdownForWikiLinks(
     (match, filename, caption) => {
       // Extract just the filename without extension to use as slug
       const nameWithoutExt = filename.replace(/\.[^/.]+$/, "");
-      const slug = titleToWikipediaSlug(nameWithoutExt);
+      const slug = imageNameToSlug(nameWithoutExt);
       // Preserve the original extension from filename
       const extension = filename.split(".").pop() || "webp";
+      const safeFilename = escapeHtml(`${slug}.${extension}`);
+      const safeCaption = escapeHtml(caption);
 
       // Use default medium size for legacy format
       const size = { width: 250, height: "auto", float: "right" };
@@ -229,13 +267,13 @@ function processMarkdownForWikiLinks(
             }; margin-left: ${size.float === "left" ? "0" : "15px"};`;
 
       return `<figure class="wiki-figure ${floatClass}" style="${floatStyle}" data-aspect-ratio="4:3">
-        <img src="/images/${slug}.${extension}" 
-             alt="${caption}" 
-             title="${caption}" 
+        <img src="/images/${safeFilename}" 
+             alt="${safeCaption}" 
+             title="${safeCaption}" 
              class="wiki-image" 
              width="${size.width}" 
              style="height: ${size.height}; max-width: 100%;">
-        <figcaption class="wiki-caption">${caption}</figcaption>
+        <figcaption class="wiki-caption">${safeCaption}</figcaption>
       </figure>`;
     }
   );
@@ -246,10 +284,11 @@ function processMarkdownForWikiLinks(
     (match, filename) => {
       // Extract just the filename without extension to use as slug
       const nameWithoutExt = filename.replace(/\.[^/.]+$/, "");
-      const slug = titleToWikipediaSlug(nameWithoutExt);
+      const slug = imageNameToSlug(nameWithoutExt);
       // Preserve the original extension from filename
       const extension = filename.split(".").pop() || "webp";
-      const altText = nameWithoutExt.replace(/_/g, " ");
+      const safeFilename = escapeHtml(`${slug}.${extension}`);
+      const safeAltText = escapeHtml(nameWithoutExt.replace(/_/g, " "));
 
       // Use default medium size for images without size specification
       const size = { width: 250, height: "auto", float: "right" };
@@ -261,9 +300,9 @@ function processMarkdownForWikiLinks(
               size.float === "right" ? "15px" : "0"
             }; margin-left: ${size.float === "left" ? "0" : "15px"};`;
 
-      return `<img data-src="/images/${slug}.${extension}" 
-               alt="${altText}" 
-               title="${altText}" 
+      return `<img data-src="/images/${safeFilename}" 
+               alt="${safeAltText}" 
+               title="${safeAltText}" 
                class="wiki-image wiki-image-inline lazy-load" 
                width="${size.width}" 
                style="height: ${size.height}; max-width: 100%; ${floatStyle}">`;
@@ -296,7 +335,7 @@ function processMarkdownForWikiLinks(
 }
 
 // Function to generate table of contents from markdown headers
-function generateTableOfContents(markdownContent) {
+export function generateTableOfContents(markdownContent) {
   const lines = markdownContent.split("\n");
   const tocItems = [];
   let tocCounter = 1;
@@ -350,14 +389,14 @@ function generateTableOfContents(markdownContent) {
   tocItems.forEach((item, index) => {
     const number = index + 1;
     tocHtml += `        <div class="toc-item toc-level-2">
-          <a href="#${item.id}">${number} ${item.title}</a>
+          <a href="#${item.id}">${number} ${escapeHtml(item.title)}</a>
         </div>\n`;
 
     // Add subsections
     item.children.forEach((child, childIndex) => {
       const subNumber = `${number}.${childIndex + 1}`;
       tocHtml += `        <div class="toc-item toc-level-3">
-          <a href="#${child.id}">${subNumber} ${child.title}</a>
+          <a href="#${child.id}">${subNumber} ${escapeHtml(child.title)}</a>
         </div>\n`;
     });
   });
@@ -368,21 +407,14 @@ function generateTableOfContents(markdownContent) {
   return tocHtml;
 }
 
-// Function to add IDs to headers in HTML for table of contents linking
-function addHeaderIds(htmlContent) {
-  let tocCounter = 1;
+// Function to add IDs to headers in HTML for table of contents linking.
+// Headers are numbered in document order from firstId, matching generateTableOfContents.
+function addHeaderIds(htmlContent, firstId = 1) {
+  let tocCounter = firstId;
 
-  // Add IDs to h2 elements
-  htmlContent = htmlContent.replace(/<h2>/g, () => {
-    return `<h2 id="toc-${tocCounter++}">`;
+  return htmlContent.replace(/<h([23])>/g, (match, level) => {
+    return `<h${level} id="toc-${tocCounter++}">`;
   });
-
-  // Add IDs to h3 elements
-  htmlContent = htmlContent.replace(/<h3>/g, () => {
-    return `<h3 id="toc-${tocCounter++}">`;
-  });
-
-  return htmlContent;
 }
 
 // Static system prompt for article outline generation (cacheable)
@@ -394,10 +426,12 @@ Return ONLY valid JSON:
   "sections": [
     {"title": "History", "description": "Historical background"},
     {"title": "Description", "description": "Key characteristics"}
-  ]
+  ],
+  "see_also": ["Closely related article", "Another related article"]
 }
 
-Choose 4-6 relevant sections from: History, Description, Characteristics, Types, Applications, Development, Impact, Reception, Legacy.`;
+Choose 4-6 relevant sections from: History, Description, Characteristics, Types, Applications, Development, Impact, Reception, Legacy.
+List 3-5 existing Wikipedia article titles for "see_also": closely related topics a reader might want next, not the topic itself.`;
 
 // Static system prompt for article opening generation (cacheable)
 const OPENING_SYSTEM_PROMPT = `Write a Wikipedia opening paragraph in neutral, encyclopedic tone.
@@ -485,12 +519,15 @@ Rules:
 - Use standard Wikipedia naming conventions
 - Keep it concise and encyclopedic
 - Return ONLY the corrected title, nothing else
+- If the input has several common meanings and none is clearly primary, add " (disambiguation)" to the title
+- Keep an existing " (disambiguation)" suffix
 
 Examples:
 "us congress" → "United States Congress"
 "world war 2" → "World War II"
 "covid" → "COVID-19"
-"apple company" → "Apple Inc."`;
+"apple company" → "Apple Inc."
+"mercury" → "Mercury (disambiguation)"`;
 
 // Static system prompt for infobox generation (cacheable)
 const INFOBOX_SYSTEM_PROMPT = `You are a Wikipedia infobox data generator. Return ONLY valid JSON, no explanations or other text.
@@ -519,11 +556,33 @@ Example format:
   "population": "12 million (peak)"
 }`;
 
-// Function to generate article outline using Groq
+// Static system prompt for disambiguation page generation (cacheable)
+const DISAMBIGUATION_SYSTEM_PROMPT = `Generate a Wikipedia disambiguation page in JSON format.
+
+Return ONLY valid JSON:
+{
+  "meanings": [
+    {"title": "Mercury (planet)", "description": "the smallest planet in the Solar System", "group": "Science"},
+    {"title": "Mercury (element)", "description": "a chemical element with symbol Hg", "group": "Science"},
+    {"title": "Mercury (mythology)", "description": "a Roman god of commerce", "group": "Religion and mythology"}
+  ]
+}
+
+Requirements:
+- List 4-12 distinct meanings of the term, most common first
+- Each title is a Wikipedia article title; add a parenthetical qualifier when the bare term is ambiguous
+- Each description is a short lowercase phrase without a final period
+- Group meanings under short headings such as "Science", "People", "Places" or "Arts and entertainment"`;
+
+// Most "See also" entries kept from the outline
+const MAX_SEE_ALSO = 8;
+
+// Function to generate article outline using the LLM provider
 async function generateArticleOutline(topic) {
   try {
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
+    const completion = await chatCompletion(
+      "outline",
+      [
         {
           role: "system",
           content: OUTLINE_SYSTEM_PROMPT,
@@ -533,14 +592,10 @@ async function generateArticleOutline(topic) {
           content: `Generate an article outline for: "${topic}"`,
         },
       ],
-      model: "llama-3.1-8b-instant",
-      temperature: 0.3,
-      max_completion_tokens: 1024,
-      top_p: 0.9,
-      stream: false,
-    });
+      { temperature: 0.3, maxTokens: 1024, topP: 0.9 }
+    );
 
-    let response = chatCompletion.choices[0]?.message?.content || "{}";
+    let response = completion || "{}";
     response = response.replace(/<think>[\s\S]*?<\/think>/gi, "").trim();
 
     // Clean up response - remove any markdown code blocks
@@ -556,11 +611,12 @@ async function generateArticleOutline(topic) {
   }
 }
 
-// Function to generate opening paragraph using Groq
+// Function to generate opening paragraph using the LLM provider
 async function generateOpeningParagraph(topic, outline) {
   try {
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
+    let content = await chatCompletion(
+      "opening",
+      [
         {
           role: "system",
           content: OPENING_SYSTEM_PROMPT,
@@ -573,14 +629,9 @@ Context: ${outline.summary}
 Write a comprehensive Wikipedia opening paragraph that defines and contextualizes this topic.`,
         },
       ],
-      model: "llama-3.1-8b-instant",
-      temperature: 0.5,
-      max_completion_tokens: 512,
-      top_p: 0.9,
-      stream: false,
-    });
+      { temperature: 0.5, maxTokens: 512, topP: 0.9 }
+    );
 
-    let content = chatCompletion.choices[0]?.message?.content || "";
     content = content.replace(/<think>[\s\S]*?<\/think>/gi, "").trim();
 
     return content;
@@ -590,11 +641,12 @@ Write a comprehensive Wikipedia opening paragraph that defines and contextualize
   }
 }
 
-// Function to generate individual section content using Groq
+// Function to generate individual section content using the LLM provider
 async function generateSectionContent(topic, sectionTitle, sectionDescription) {
   try {
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
+    let content = await chatCompletion(
+      "section",
+      [
         {
           role: "system",
           content: SECTION_SYSTEM_PROMPT,
@@ -609,14 +661,9 @@ Write the content for this section. Remember to write 200-400 words of detailed,
 Use images sparingly—at most 2-3 per article, and only when they add significant value.`,
         },
       ],
-      model: "llama-3.1-8b-instant",
-      temperature: 0.6,
-      max_completion_tokens: 2048,
-      top_p: 0.95,
-      stream: false,
-    });
+      { temperature: 0.6, maxTokens: 2048, topP: 0.95 }
+    );
 
-    let content = chatCompletion.choices[0]?.message?.content || "";
     content = content.replace(/<think>[\s\S]*?<\/think>/gi, "").trim();
 
     return content;
@@ -626,142 +673,491 @@ Use images sparingly—at most 2-3 per article, and only when they add significa
   }
 }
 
-// Function to generate page content using structured approach
-export async function generatePageContent(topic) {
+// Function to get the usable "See also" titles from an outline: unique titles
+// that are not the topic itself and cannot break the [[link]] syntax
+function getSeeAlsoTitles(outline, topic) {
+  const suggestions = Array.isArray(outline.see_also) ? outline.see_also : [];
+  const seen = new Set([topic.toLowerCase()]);
+  return suggestions
+    .filter((title) => typeof title === "string")
+    .map((title) => title.trim())
+    .filter((title) => {
+      const key = title.toLowerCase();
+      if (!title || /[[\]|\n]/.test(title) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_SEE_ALSO);
+}
+
+// Maximum number of images per article, including the infobox image
+const MAX_ARTICLE_IMAGES = 3;
+
+// Function to remove article images whose slug is not in slugsToKeep
+function removeImagesExcept(htmlContent, slugsToKeep) {
+  htmlContent = htmlContent.replace(
+    /<figure[\s\S]*?<img[^>]+data-src="\/images\/([^".]+)\.[^">]+"[\s\S]*?<\/figure>/g,
+    (match, filename) => {
+      const slug = unescapeHtml(filename).replace(/\.[^/.]+$/, "");
+      return slugsToKeep.has(slug) ? match : "";
+    }
+  );
+  return htmlContent.replace(
+    /<img[^>]+(?:data-src|src)="\/images\/([^".]+)\.[^">]+"[^>]*>/g,
+    (match, filename) => {
+      const slug = unescapeHtml(filename).replace(/\.[^/.]+$/, "");
+      return slugsToKeep.has(slug) ? match : "";
+    }
+  );
+}
+
+// Function to render one markdown chunk (opening or section) to safe HTML.
+// Sanitizing runs before header IDs are added so model-supplied IDs can't shift the TOC.
+function renderMarkdownChunk(markdownContent, topic, firstHeaderId = 1) {
+  const processed = processMarkdownForWikiLinks(
+    markdownContent,
+    topic,
+    "Main Content"
+  );
+  const safeHtml = sanitizeArticleHtml(marked.parse(processed));
+  return addHeaderIds(safeHtml, firstHeaderId);
+}
+
+// Function to write the "See also" section as a markdown list of links
+function renderSeeAlsoMarkdown(seeAlso) {
+  return seeAlso.map((title) => `* [[${title}]]`).join("\n");
+}
+
+// Function to create a renderer that turns article parts into HTML in
+// document order: header IDs continue across sections, and images are kept
+// while the article budget lasts (the infobox image always counts)
+function createArticleRenderer(topic, infoboxData) {
+  const infoboxImage = getInfoboxImage(infoboxData);
+  const keptImageSlugs = new Set(infoboxImage ? [infoboxImage.slug] : []);
+  let markdownContent = "";
+  let openingHtml = "";
+  const sectionHtmls = [];
+  // Heading ID of each section, for linking to a section
+  const sectionAnchors = [];
+  let nextHeaderId = 1;
+
+  return {
+    renderOpening(opening) {
+      markdownContent += opening + "\n\n";
+      openingHtml = renderMarkdownChunk(opening, topic);
+      return openingHtml;
+    },
+
+    renderSection(title, text) {
+      const sectionMarkdown = `## ${title}\n\n${text}\n\n`;
+      markdownContent += sectionMarkdown;
+
+      let sectionHtml = renderMarkdownChunk(
+        sectionMarkdown,
+        topic,
+        nextHeaderId
+      );
+      const anchor = `toc-${nextHeaderId}`;
+      sectionAnchors.push(anchor);
+      nextHeaderId += (sectionHtml.match(/<h[23] id=/g) || []).length;
+
+      // Keep images while the article budget lasts, drop the rest
+      extractImageReferences(sectionHtml).forEach((image) => {
+        if (
+          !keptImageSlugs.has(image.slug) &&
+          keptImageSlugs.size < MAX_ARTICLE_IMAGES
+        ) {
+          keptImageSlugs.add(image.slug);
+        }
+      });
+      sectionHtml = removeImagesExcept(sectionHtml, keptImageSlugs);
+
+      sectionHtmls.push(sectionHtml);
+      return { html: sectionHtml, anchor };
+    },
+
+    // The table of contents (with ### subsections) sits between the opening
+    // and the first section
+    finish() {
+      const tableOfContents = generateTableOfContents(markdownContent);
+      const content = [openingHtml, tableOfContents, ...sectionHtmls].join(
+        "\n"
+      );
+      return {
+        content,
+        tableOfContents,
+        openingHtml,
+        sectionHtmls,
+        sectionAnchors,
+        // Linked pages from the markdown and the infobox (for valid page cache)
+        linkedPages: [
+          ...new Set([
+            ...extractLinkedPages(markdownContent),
+            ...extractInfoboxLinkedPages(infoboxData),
+          ]),
+        ],
+        imageRefs: mergeInfoboxImageReferences(content, infoboxData),
+      };
+    },
+  };
+}
+
+/**
+ * Render a stored article (as returned by generatePageContent or
+ * generateDisambiguationContent) to HTML, without calling the LLM
+ * @param {string} topic - The article title
+ * @param {Object} article - Stored article parts
+ * @returns {Object} - { content, linkedPages, imageRefs, openingHtml,
+ *   sectionHtmls, sectionAnchors }: sectionHtmls and sectionAnchors hold the
+ *   HTML and heading ID of each of article.sections
+ */
+export function renderArticle(topic, article) {
+  if (article.kind === "disambiguation") {
+    return {
+      content: renderDisambiguationList(
+        getDisambiguationTerm(topic),
+        article.meanings
+      ),
+      linkedPages: article.meanings.map((meaning) => meaning.title),
+      imageRefs: [],
+      openingHtml: "",
+      sectionHtmls: [],
+      sectionAnchors: [],
+    };
+  }
+
+  const renderer = createArticleRenderer(topic, article.infobox);
+  renderer.renderOpening(article.opening);
+  article.sections.forEach(({ title, markdown }) => {
+    renderer.renderSection(title, markdown);
+  });
+  if (article.seeAlso && article.seeAlso.length > 0) {
+    renderer.renderSection("See also", renderSeeAlsoMarkdown(article.seeAlso));
+  }
+  const {
+    content,
+    linkedPages,
+    imageRefs,
+    openingHtml,
+    sectionHtmls,
+    sectionAnchors,
+  } = renderer.finish();
+  // "See also" is not one of the stored sections
+  const sectionCount = article.sections.length;
+  return {
+    content,
+    linkedPages,
+    imageRefs,
+    openingHtml,
+    sectionHtmls: sectionHtmls.slice(0, sectionCount),
+    sectionAnchors: sectionAnchors.slice(0, sectionCount),
+  };
+}
+
+// Background prompt generations still running
+const pendingPromptJobs = new Set();
+
+/**
+ * Start background prompt generation for the images that have no prompt yet
+ * @param {Array} imageRefs - Images of an article (see renderArticle)
+ * @param {string} topic - The article title
+ */
+export function ensureImagePrompts(imageRefs, topic) {
+  const missing = imageRefs.filter(
+    (image) => !isCached(`img_prompt_${image.slug}`, 168)
+  );
+  if (missing.length === 0) {
+    return;
+  }
+  markPromptsGenerating(missing, topic);
+  const job = generateBatchImagePrompts(missing, topic)
+    .catch((error) => {
+      console.error("Background batch prompt generation failed:", error);
+    })
+    .finally(() => pendingPromptJobs.delete(job));
+  pendingPromptJobs.add(job);
+}
+
+/**
+ * Wait for the background prompt generations started by ensureImagePrompts,
+ * including those started while waiting
+ * @returns {Promise<void>}
+ */
+export async function waitForImagePrompts() {
+  while (pendingPromptJobs.size > 0) {
+    await Promise.all(pendingPromptJobs);
+  }
+}
+
+/**
+ * Generate one section of a stored article again, from its outline entry
+ * @param {string} topic - The article title
+ * @param {Object} article - Stored article parts
+ * @param {number} index - Index of the section in article.sections
+ * @returns {Promise<Object>} - The article with the new section markdown
+ */
+export async function regenerateArticleSection(topic, article, index) {
+  const section = article.sections?.[index];
+  if (!section) {
+    throw new Error(`"${topic}" has no section ${index}`);
+  }
+
+  const markdown = await generateSectionContent(
+    topic,
+    section.title,
+    section.description
+  );
+  return {
+    ...article,
+    sections: article.sections.map((existing, position) =>
+      position === index ? { ...existing, markdown } : existing
+    ),
+  };
+}
+
+/**
+ * Generate a complete article using the structured outline/section approach.
+ * Sections are generated in parallel and rendered in document order, so the
+ * optional handlers can stream the page while the remaining calls run.
+ * @param {string} topic - The article title
+ * @param {Object} handlers - Optional progress callbacks
+ * @param {Function} handlers.onInfobox - (infoboxData) as soon as the infobox is generated
+ * @param {Function} handlers.onOutline - (sectionTitles) once the outline is known
+ * @param {Function} handlers.onTableOfContents - (tocHtml) for the outline TOC, and again for the final TOC
+ * @param {Function} handlers.onOpening - (html) when the opening paragraph is rendered
+ * @param {Function} handlers.onSection - (index, html, anchor) as each section is rendered,
+ *   in order; anchor is the section heading's ID (null for "See also")
+ * @returns {Promise<Object>} - { content, infobox, linkedPages, imageRefs,
+ *   sectionAnchors, article }
+ *   linkedPages covers both the article text and the infobox; imageRefs are the
+ *   images (infobox first) whose prompts are being generated; article holds the
+ *   outline, infobox and markdown the page was built from (see renderArticle)
+ */
+export async function generatePageContent(topic, handlers = {}) {
+  const { onInfobox, onOutline, onTableOfContents, onOpening, onSection } =
+    handlers;
+
   try {
     console.log(`Generating structured article for: ${topic}`);
 
     // Step 1: Generate outline and infobox in parallel
     console.log("Step 1: Generating outline and infobox...");
-    const [outline, infoboxData] = await Promise.all([
-      generateArticleOutline(topic),
-      generateInfobox(topic),
-    ]);
+    // The infobox is generated once here and drives both rendering and image prompts
+    const infoboxPromise = generateInfobox(topic).then((infoboxData) => {
+      onInfobox?.(infoboxData);
+      return infoboxData;
+    });
+    // Avoid an unhandled rejection if the outline fails first
+    infoboxPromise.catch(() => {});
+
+    const outline = await generateArticleOutline(topic);
 
     console.log(`Generated outline with ${outline.sections.length} sections`);
 
-    // Step 2: Generate opening paragraph and all sections in parallel
-    console.log("Step 2: Generating opening and all sections in parallel...");
-    const sectionPromises = outline.sections.map((section) =>
-      generateSectionContent(topic, section.title, section.description)
+    // See also lists the related articles suggested with the outline
+    const seeAlso = getSeeAlsoTitles(outline, topic);
+    const sectionTitles = [
+      ...outline.sections.map((section) => section.title),
+      ...(seeAlso.length > 0 ? ["See also"] : []),
+    ];
+
+    onOutline?.(sectionTitles);
+    onTableOfContents?.(
+      generateTableOfContents(
+        sectionTitles.map((title) => `## ${title}`).join("\n")
+      )
     );
 
-    const [openingParagraph, ...sectionContents] = await Promise.all([
-      generateOpeningParagraph(topic, outline),
-      ...sectionPromises,
-    ]);
-    console.log("Opening and all sections generated successfully");
-
-    // Step 3: Assemble the complete article
+    // Step 2: Generate opening paragraph and all sections in parallel
+    console.log("Step 2: Generating opening and all sections in parallel...");
+    const openingPromise = generateOpeningParagraph(topic, outline);
+    const sectionPromises = [
+      ...outline.sections.map((section) =>
+        generateSectionContent(topic, section.title, section.description)
+      ),
+      ...(seeAlso.length > 0
+        ? [Promise.resolve(renderSeeAlsoMarkdown(seeAlso))]
+        : []),
+    ];
+    // Avoid unhandled rejections while earlier sections are still awaited
+    sectionPromises.forEach((promise) => promise.catch(() => {}));
+
+    // The infobox image always counts towards the image budget
+    const infoboxData = await infoboxPromise;
+    const renderer = createArticleRenderer(topic, infoboxData);
+
+    const openingParagraph = await openingPromise;
+    const openingHtml = renderer.renderOpening(openingParagraph);
+    onOpening?.(openingHtml);
+
+    // Step 3: Render each section in document order as soon as it is ready
     console.log("Step 3: Assembling article...");
+    const sectionTexts = [];
+    for (let index = 0; index < sectionTitles.length; index++) {
+      const sectionText = await sectionPromises[index];
+      sectionTexts.push(sectionText);
+      const { html, anchor } = renderer.renderSection(
+        sectionTitles[index],
+        sectionText
+      );
+      // "See also" comes after the outline's sections and has no anchor
+      onSection?.(index, html, index < outline.sections.length ? anchor : null);
+    }
+    console.log("Opening and all sections generated successfully");
 
-    // Start with the generated opening paragraph
-    let markdownContent = openingParagraph + "\n\n";
-
-    // Add each section with its content
-    outline.sections.forEach((section, index) => {
-      markdownContent += `## ${section.title}\n\n`;
-      markdownContent += sectionContents[index] + "\n\n";
-    });
-
-    // Add See also section
-    markdownContent += "## See also\n\n";
-    markdownContent += `* [[${topic} (disambiguation)]]\n`;
-    markdownContent += "* [[Related topics]]\n";
-
-    // Extract linked pages before processing markdown (for valid page cache)
-    const linkedPages = extractLinkedPages(markdownContent);
+    // Final table of contents includes ### subsections from the section text
+    const { content, tableOfContents, linkedPages, imageRefs, sectionAnchors } =
+      renderer.finish();
+    onTableOfContents?.(tableOfContents);
     if (linkedPages.length > 0) {
       console.log(`Found ${linkedPages.length} linked pages:`, linkedPages);
     }
 
-    // Generate table of contents from markdown headers
-    const tableOfContents = generateTableOfContents(markdownContent);
+    console.log("Article generation completed successfully");
 
-    // Process markdown to convert **bold** to wiki links
-    markdownContent = processMarkdownForWikiLinks(
-      markdownContent,
-      topic,
-      "Main Content"
-    );
+    // Start background prompt generation for the images that were kept
+    ensureImagePrompts(imageRefs, topic);
 
-    // Convert markdown to HTML
-    let htmlContent = marked.parse(markdownContent);
+    return {
+      content,
+      infobox: infoboxData,
+      linkedPages,
+      imageRefs,
+      sectionAnchors: sectionAnchors.slice(0, outline.sections.length),
+      article: {
+        outline,
+        infobox: infoboxData,
+        opening: openingParagraph,
+        sections: outline.sections.map((section, index) => ({
+          title: section.title,
+          description: section.description,
+          markdown: sectionTexts[index],
+        })),
+        seeAlso,
+      },
+    };
+  } catch (error) {
+    console.error("Error in structured article generation:", error);
+    throw error;
+  }
+}
 
-    // Add IDs to headers for table of contents linking
-    htmlContent = addHeaderIds(htmlContent);
+// Function to parse the meanings listed by the disambiguation model: unique
+// titles with a description and group, excluding the page's own titles
+function parseDisambiguationMeanings(response, term) {
+  const cleaned = response
+    .replace(/<think>[\s\S]*?<\/think>/gi, "")
+    .replace(/```json\s*/g, "")
+    .replace(/```\s*/g, "")
+    .trim();
+  const parsed = JSON.parse(cleaned);
+  const meanings = Array.isArray(parsed.meanings) ? parsed.meanings : [];
+
+  const seen = new Set([
+    term.toLowerCase(),
+    `${term}${DISAMBIGUATION_SUFFIX}`.toLowerCase(),
+  ]);
+  return meanings
+    .filter((meaning) => meaning && typeof meaning.title === "string")
+    .map((meaning) => ({
+      title: meaning.title.trim(),
+      description:
+        typeof meaning.description === "string"
+          ? meaning.description.trim().replace(/\.$/, "")
+          : "",
+      group: typeof meaning.group === "string" ? meaning.group.trim() : "",
+    }))
+    .filter(({ title }) => {
+      const key = title.toLowerCase();
+      if (!title || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
 
-    // Insert table of contents after the first paragraph (opening definition)
-    if (tableOfContents) {
-      const firstParagraphEnd = htmlContent.indexOf("</p>");
-      if (firstParagraphEnd !== -1) {
-        const beforeFirstP = htmlContent.substring(0, firstParagraphEnd + 4);
-        const afterFirstP = htmlContent.substring(firstParagraphEnd + 4);
-        htmlContent =
-          beforeFirstP + "\n" + tableOfContents + "\n" + afterFirstP;
-      }
-    }
+// Function to render disambiguation meanings as link lists, grouped under
+// headings in the order the groups first appear
+function renderDisambiguationList(term, meanings) {
+  const groups = new Map();
+  meanings.forEach((meaning) => {
+    const group = meaning.group || "Other uses";
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(meaning);
+  });
 
-    console.log("Article generation completed successfully");
+  const renderItems = (items) =>
+    `<ul class="disambiguation-list">\n${items
+      .map(
+        ({ title, description }) =>
+          `<li><a href="/wiki/${escapeHtml(
+            encodeURIComponent(titleToWikipediaSlug(title))
+          )}">${escapeHtml(title)}</a>${
+            description ? `, ${escapeHtml(description)}` : ""
+          }</li>`
+      )
+      .join("\n")}\n</ul>`;
+
+  const intro = `<p><strong>${escapeHtml(term)}</strong> may refer to:</p>`;
+  if (groups.size <= 1) {
+    return `${intro}\n${renderItems(meanings)}`;
+  }
+  return [
+    intro,
+    ...[...groups].map(
+      ([group, items]) => `<h2>${escapeHtml(group)}</h2>\n${renderItems(items)}`
+    ),
+  ].join("\n");
+}
 
-    // Extract all image references and start background prompt generation
-    const allImageRefs = mergeInfoboxImageReferences(htmlContent, infoboxData);
-    // Always keep infobox image (if present) as the first image
-    let cappedImageRefs = allImageRefs;
-    if (allImageRefs.length > 3) {
-      // If infobox image is present, keep it and the next 2 unique images
-      const infoboxImg = allImageRefs.find((img) => img.type === "infobox");
-      if (infoboxImg) {
-        // Remove all other occurrences of the infobox image
-        const rest = allImageRefs.filter((img) => img.slug !== infoboxImg.slug);
-        cappedImageRefs = [infoboxImg, ...rest.slice(0, 2)];
-      } else {
-        cappedImageRefs = allImageRefs.slice(0, 3);
-      }
-    }
-    // Remove all but the capped images from htmlContent (main article only)
-    if (allImageRefs.length > cappedImageRefs.length) {
-      const slugsToKeep = new Set(cappedImageRefs.map((img) => img.slug));
-      htmlContent = htmlContent.replace(
-        /<figure[\s\S]*?<img[^>]+data-src="\/images\/([^".]+)\.[^">]+"[\s\S]*?<\/figure>/g,
-        (match, filename) => {
-          const slug = filename.replace(/\.[^/.]+$/, "");
-          // Only remove if not the infobox image
-          return slugsToKeep.has(slug) ? match : "";
-        }
-      );
-      htmlContent = htmlContent.replace(
-        /<img[^>]+(?:data-src|src)="\/images\/([^".]+)\.[^">]+"[^>]*>/g,
-        (match, filename) => {
-          const slug = filename.replace(/\.[^/.]+$/, "");
-          // Only remove if not the infobox image
-          return slugsToKeep.has(slug) ? match : "";
-        }
-      );
-    }
-    // Use cappedImageRefs for prompt generation
-    if (cappedImageRefs.length > 0) {
-      markPromptsGenerating(cappedImageRefs, topic);
-      generateBatchImagePrompts(cappedImageRefs, topic).catch((error) => {
-        console.error("Background batch prompt generation failed:", error);
-      });
+/**
+ * Generate a disambiguation page listing the meanings of an ambiguous term
+ * @param {string} title - The page title, e.g. "Mercury (disambiguation)"
+ * @returns {Promise<Object>} - { content, meanings, linkedPages, article }
+ */
+export async function generateDisambiguationContent(title) {
+  const term = getDisambiguationTerm(title);
+
+  try {
+    console.log(`Generating disambiguation page for: ${term}`);
+
+    const completion = await chatCompletion(
+      "disambiguation",
+      [
+        {
+          role: "system",
+          content: DISAMBIGUATION_SYSTEM_PROMPT,
+        },
+        {
+          role: "user",
+          content: `Term: "${term}"`,
+        },
+      ],
+      { temperature: 0.3, maxTokens: 1024, topP: 0.9 }
+    );
+
+    const meanings = parseDisambiguationMeanings(completion || "{}", term);
+    if (meanings.length === 0) {
+      throw new Error(`No meanings generated for "${term}"`);
     }
 
     return {
-      content: htmlContent,
-      linkedPages: linkedPages,
+      content: renderDisambiguationList(term, meanings),
+      meanings,
+      linkedPages: meanings.map((meaning) => meaning.title),
+      article: { kind: "disambiguation", meanings },
     };
   } catch (error) {
-    console.error("Error in structured article generation:", error);
+    console.error("Error generating disambiguation page:", error);
     throw error;
   }
 }
 
-// Function to generate infobox data using Groq
+// Function to generate infobox data using the LLM provider
 export async function generateInfobox(topic) {
   try {
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
+    const completion = await chatCompletion(
+      "infobox",
+      [
         {
           role: "system",
           content: INFOBOX_SYSTEM_PROMPT,
@@ -771,15 +1167,15 @@ export async function generateInfobox(topic) {
           content: `Generate infobox data for: "${topic}"`,
         },
       ],
-      model: "llama-3.1-8b-instant",
-      temperature: 0.2,
-      max_completion_tokens: 600,
-      top_p: 0.8,
-      stream: false,
-      stop: ["\n\n", "```", "Note:", "Explanation:"],
-    });
+      {
+        temperature: 0.2,
+        maxTokens: 600,
+        topP: 0.8,
+        stop: ["\n\n", "```", "Note:", "Explanation:"],
+      }
+    );
 
-    let response = chatCompletion.choices[0]?.message?.content || "{}";
+    let response = completion || "{}";
 
     // Remove <think></think> tokens from the response
     response = response.replace(/<think>[\s\S]*?<\/think>/gi, "").trim();
@@ -832,11 +1228,12 @@ export async function generateInfobox(topic) {
   }
 }
 
-// Function to validate content appropriateness using Groq
+// Function to validate content appropriateness using the LLM provider
 export async function validateContent(topic) {
   try {
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
+    const completion = await chatCompletion(
+      "validation",
+      [
         {
           role: "system",
           content: CONTENT_VALIDATION_PROMPT,
@@ -846,14 +1243,10 @@ export async function validateContent(topic) {
           content: `Topic: "${topic}"`,
         },
       ],
-      model: "llama-3.1-8b-instant",
-      temperature: 0.1,
-      max_completion_tokens: 10,
-      top_p: 0.9,
-      stream: false,
-    });
+      { temperature: 0.1, maxTokens: 10, topP: 0.9 }
+    );
 
-    const response = chatCompletion.choices[0]?.message?.content?.trim() || "";
+    const response = completion.trim();
 
     if (!response) {
       throw new Error("LLM returned empty response for content validation");
@@ -866,11 +1259,17 @@ export async function validateContent(topic) {
   }
 }
 
-// Function to rewrite slug to proper Wikipedia title using Groq
+/**
+ * Rewrite a slug to a proper Wikipedia title using the LLM provider
+ * @param {string} slug - Requested page slug
+ * @returns {Promise<Object>} - { title, ambiguous }; ambiguous terms get a
+ *   disambiguation page title
+ */
 export async function rewriteSlugToTitle(slug) {
   try {
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
+    const completion = await chatCompletion(
+      "slug",
+      [
         {
           role: "system",
           content: SLUG_REWRITING_PROMPT,
@@ -883,14 +1282,10 @@ export async function rewriteSlugToTitle(slug) {
           )}`,
         },
       ],
-      model: "llama-3.1-8b-instant",
-      temperature: 0.2,
-      max_completion_tokens: 50,
-      top_p: 0.9,
-      stream: false,
-    });
+      { temperature: 0.2, maxTokens: 50, topP: 0.9 }
+    );
 
-    const response = chatCompletion.choices[0]?.message?.content?.trim() || "";
+    const response = completion.trim();
 
     // Remove quotes if LLM added them
     const cleanResponse = response.replace(/^["']|["']$/g, "");
@@ -899,7 +1294,10 @@ export async function rewriteSlugToTitle(slug) {
       throw new Error("LLM returned empty response for slug rewriting");
     }
 
-    return cleanResponse;
+    return {
+      title: cleanResponse,
+      ambiguous: isDisambiguationTitle(cleanResponse),
+    };
   } catch (error) {
     console.error("Error rewriting slug:", error);
     throw error;
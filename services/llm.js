@@ -0,0 +1,280 @@
+// LLM provider layer - routes every chat completion through the configured backend
+import fs from "fs";
+import { Groq } from "groq-sdk";
+import dotenv from "dotenv";
+import { createFakeLLMProvider } from "./fake.js";
+import { createThrottle } from "../utils/throttle.js";
+
+dotenv.config();
+
+// Default model for each generation task (used by the Groq provider)
+const DEFAULT_TASK_MODELS = {
+  search: "gemma2-9b-it",
+  outline: "llama-3.1-8b-instant",
+  opening: "llama-3.1-8b-instant",
+  section: "llama-3.1-8b-instant",
+  infobox: "llama-3.1-8b-instant",
+  validation: "llama-3.1-8b-instant",
+  slug: "llama-3.1-8b-instant",
+  disambiguation: "llama-3.1-8b-instant",
+  imagePrompt: "llama-3.1-8b-instant",
+};
+
+// Environment variable that overrides the model for each task
+const TASK_MODEL_ENV = {
+  search: "LLM_MODEL_SEARCH",
+  outline: "LLM_MODEL_OUTLINE",
+  opening: "LLM_MODEL_OPENING",
+  section: "LLM_MODEL_SECTION",
+  infobox: "LLM_MODEL_INFOBOX",
+  validation: "LLM_MODEL_VALIDATION",
+  slug: "LLM_MODEL_SLUG",
+  disambiguation: "LLM_MODEL_DISAMBIGUATION",
+  imagePrompt: "LLM_MODEL_IMAGE_PROMPT",
+};
+
+/**
+ * Resolve the model name for a task.
+ * Order: LLM_MODEL_<TASK>, then LLM_MODEL, then the built-in default.
+ * @param {string} task - Generation task name (outline, section, search, ...)
+ * @returns {string} - Model name to send to the provider
+ */
+export function getModelForTask(task) {
+  const envName = TASK_MODEL_ENV[task];
+  return (
+    (envName && process.env[envName]) ||
+    process.env.LLM_MODEL ||
+    DEFAULT_TASK_MODELS[task] ||
+    DEFAULT_TASK_MODELS.section
+  );
+}
+
+/**
+ * Groq cloud provider (default)
+ * @returns {Object} - Provider with a complete() method
+ */
+function createGroqProvider() {
+  const groq = new Groq({
+    apiKey: process.env.GROQ_API_KEY,
+  });
+
+  return {
+    name: "groq",
+    async complete({ model, messages, temperature, maxTokens, topP, stop }) {
+      const chatCompletion = await groq.chat.completions.create({
+        messages,
+        model,
+        temperature,
+        max_completion_tokens: maxTokens,
+        top_p: topP,
+        stream: false,
+        ...(stop ? { stop } : {}),
+      });
+
+      return chatCompletion.choices[0]?.message?.content || "";
+    },
+  };
+}
+
+/**
+ * Provider for any OpenAI-compatible /chat/completions endpoint
+ * (llama.cpp server, Ollama, vLLM, LM Studio, OpenAI itself)
+ * @returns {Object} - Provider with a complete() method
+ */
+function createOpenAICompatibleProvider() {
+  const baseUrl = (
+    process.env.LLM_BASE_URL || "http://localhost:8080/v1"
+  ).replace(/\/+$/, "");
+  const apiKey = process.env.LLM_API_KEY;
+  const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000;
+
+  return {
+    name: "openai",
+    async complete({ model, messages, temperature, maxTokens, topP, stop }) {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          top_p: topP,
+          stream: false,
+          ...(stop ? { stop } : {}),
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => "");
+        throw new Error(
+          `LLM endpoint returned ${response.status} ${
+            response.statusText
+          }: ${body.substring(0, 200)}`
+        );
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || "";
+    },
+  };
+}
+
+// Built-in fixture responses, one per task. {{topic}} is replaced with the
+// first quoted string in the user message (or the whole message if none).
+const DEFAULT_FIXTURES = {
+  search: "{{topic}}\n{{topic}} (history)\n{{topic}} (theory)",
+  outline: JSON.stringify({
+    summary: "{{topic}} is a fixture topic used for offline testing.",
+    sections: [
+      { title: "History", description: "Historical background" },
+      { title: "Description", description: "Key characteristics" },
+    ],
+  }),
+  opening:
+    "**{{topic}}** is a fixture article used for offline testing of the [[Wiki Simulator]].",
+  section:
+    "This fixture section about {{topic}} mentions [[Encyclopedia|encyclopedias]] and [[Testing]].",
+  infobox: JSON.stringify({
+    name: "{{topic}}",
+    type: "Fixture",
+  }),
+  validation: "VALID",
+  slug: "{{topic}}",
+  imagePrompt: "Documentary photograph of {{topic}}",
+};
+
+// Load fixture overrides from LLM_FIXTURES_FILE (JSON object keyed by task)
+function loadFixtures() {
+  const fixturesFile = process.env.LLM_FIXTURES_FILE;
+  if (!fixturesFile) {
+    return DEFAULT_FIXTURES;
+  }
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(fixturesFile, "utf8"));
+    return { ...DEFAULT_FIXTURES, ...overrides };
+  } catch (error) {
+    console.error(`Error loading LLM fixtures from ${fixturesFile}:`, error);
+    return DEFAULT_FIXTURES;
+  }
+}
+
+// Pull the subject out of a user message, e.g. `Topic: "Rome"` -> Rome
+function extractFixtureTopic(messages) {
+  const userMessage =
+    [...messages].reverse().find((message) => message.role === "user")
+      ?.content || "";
+  const quoted = userMessage.match(/"([^"]+)"/);
+  if (quoted) {
+    return quoted[1];
+  }
+  return userMessage.replace(/^[^:]*:\s*/, "").trim();
+}
+
+/**
+ * Deterministic fixture provider - never touches the network.
+ * Responses come from LLM_FIXTURES_FILE or the built-in defaults above.
+ * @returns {Object} - Provider with a complete() method
+ */
+function createFixtureProvider() {
+  const fixtures = loadFixtures();
+
+  return {
+    name: "fixture",
+    async complete({ task, messages }) {
+      const fixture = fixtures[task];
+      if (fixture === undefined) {
+        throw new Error(`No LLM fixture defined for task: ${task}`);
+      }
+
+      const text =
+        typeof fixture === "string" ? fixture : JSON.stringify(fixture);
+      const topic = extractFixtureTopic(messages);
+      return text.replace(/{{topic}}/g, topic);
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  groq: createGroqProvider,
+  openai: createOpenAICompatibleProvider,
+  fixture: createFixtureProvider,
+  fake: createFakeLLMProvider,
+};
+
+let provider = null;
+
+/**
+ * Get the active provider, creating it from LLM_PROVIDER on first use
+ * @returns {Object} - The active provider
+ */
+export function getProvider() {
+  if (!provider) {
+    const providerName = (process.env.LLM_PROVIDER || "groq").toLowerCase();
+    const factory = PROVIDER_FACTORIES[providerName];
+    if (!factory) {
+      throw new Error(
+        `Unknown LLM_PROVIDER "${providerName}" (expected one of: ${Object.keys(
+          PROVIDER_FACTORIES
+        ).join(", ")})`
+      );
+    }
+    provider = factory();
+    console.log(`LLM provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (used by tests and embedding code)
+ * @param {Object|null} customProvider - Object with a complete() method, or null to reset
+ */
+export function setProvider(customProvider) {
+  provider = customProvider;
+}
+
+// Awaited before each completion when a request rate limit is set
+let throttle = null;
+let requestsPerMinuteLimit = null;
+
+/**
+ * Limit how many completions start per minute, whatever the provider (e.g. to
+ * stay within Groq's rate limit during batch generation)
+ * @param {number|null} requestsPerMinute - Limit, or 0/null for no limit
+ * @returns {number|null} - The previous limit, to set again when done
+ */
+export function setLLMRequestsPerMinute(requestsPerMinute) {
+  const previous = requestsPerMinuteLimit;
+  requestsPerMinuteLimit = requestsPerMinute > 0 ? requestsPerMinute : null;
+  throttle = requestsPerMinuteLimit
+    ? createThrottle(requestsPerMinuteLimit)
+    : null;
+  return previous;
+}
+
+/**
+ * Run a chat completion for a generation task
+ * @param {string} task - Generation task name, selects the model
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @param {Object} options - Sampling options (temperature, maxTokens, topP, stop)
+ * @returns {Promise<string>} - The completion text
+ */
+export async function chatCompletion(task, messages, options = {}) {
+  if (throttle) {
+    await throttle();
+  }
+  return getProvider().complete({
+    task,
+    model: getModelForTask(task),
+    messages,
+    temperature: options.temperature,
+    maxTokens: options.maxTokens,
+    topP: options.topP,
+    stop: options.stop,
+  });
+}
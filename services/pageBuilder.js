@@ -0,0 +1,123 @@
+// Page and image building: generates articles and images and stores them in
+// the cache. Shared by the server and the crawler (scripts/crawl.js).
+import {
+  assemblePage,
+  assembleDisambiguationPage,
+} from "../utils/templates.js";
+import {
+  generatePageContent,
+  generateDisambiguationContent,
+  getGenerationInfo,
+} from "./groq.js";
+import { generateWikiImage } from "./replicate.js";
+import { isDisambiguationTitle, wikipediaSlugToTitle } from "../utils/slugs.js";
+import { addValidPage } from "../utils/validPages.js";
+import { setPageLinks } from "../utils/linkGraph.js";
+import { addRevision } from "../utils/revisions.js";
+import { createPageDocument } from "../utils/pageDocuments.js";
+import { setCache } from "../utils/fileCache.js";
+
+// Add the pages an article links to (article and infobox) to the valid
+// cache: they don't need validation
+export function addLinkedPagesToValid(linkedPages) {
+  if (linkedPages && linkedPages.length > 0) {
+    linkedPages.forEach((pageTitle) => {
+      addValidPage(pageTitle);
+    });
+    console.log(`Added ${linkedPages.length} linked pages to valid cache`);
+  }
+}
+
+// Generate the list of meanings for a disambiguation title and render the
+// complete page. Returns { page, linkedPages, imageRefs, article }.
+async function buildDisambiguationPage(title) {
+  const { content, linkedPages, article } = await generateDisambiguationContent(
+    title
+  );
+
+  // The listed meanings are the pages readers will go on to open
+  addLinkedPagesToValid(linkedPages);
+
+  return {
+    page: assembleDisambiguationPage(title, content),
+    linkedPages,
+    imageRefs: [],
+    article,
+  };
+}
+
+// Generate the article for a title and render the complete page.
+// handlers are passed through to generatePageContent for streaming.
+// Returns { page, linkedPages, imageRefs, article }.
+export async function buildPage(title, handlers = {}) {
+  if (isDisambiguationTitle(title)) {
+    return buildDisambiguationPage(title);
+  }
+
+  const generated = await generatePageContent(title, handlers);
+  addLinkedPagesToValid(generated.linkedPages);
+
+  // Render the infobox HTML from the same data used for image prompts
+  return {
+    page: assemblePage(title, generated),
+    linkedPages: generated.linkedPages || [],
+    imageRefs: generated.imageRefs,
+    article: generated.article,
+  };
+}
+
+// Cache a newly built page as a document, record its outgoing links and keep
+// it as a revision. revision holds the action and any details of how the
+// article was made that differ from the current generation settings.
+export function storePage(cacheKey, title, built, revision) {
+  const slug = cacheKey.slice("wiki_".length);
+  const { linkedPages, article } = built;
+
+  // Cache what the page is made of; it is rendered when served
+  setCache(cacheKey, createPageDocument(title, built));
+
+  // Replace the links recorded for any earlier version of the page
+  setPageLinks(slug, linkedPages);
+
+  // Add to valid pages cache since it was successfully generated
+  addValidPage(title);
+
+  // Keep what the page was rendered from, for regeneration and rollback
+  addRevision(slug, {
+    ...getGenerationInfo(),
+    ...revision,
+    article,
+    linkedPages,
+  });
+}
+
+/**
+ * Generate an image from its ready prompt and cache it
+ * @param {string} imageSlug - Image slug (the file name without extension)
+ * @param {string} prompt - Image prompt (see utils/imageContext.js)
+ * @param {Object} options - { aspectRatio, format } (format is the requested
+ *   file extension)
+ * @returns {Promise<Buffer>} - Image buffer
+ */
+export async function buildImage(
+  imageSlug,
+  prompt,
+  { aspectRatio = "4:3", format = "webp" } = {}
+) {
+  // Convert the slug to a readable title for image generation
+  const title = wikipediaSlugToTitle(imageSlug);
+  const buffer = await generateWikiImage(title, prompt, aspectRatio, format);
+
+  setCache(
+    `image_${imageSlug}`,
+    buffer,
+    {
+      originalFilename: `${imageSlug}.${format}`,
+      title: title,
+      format: format,
+      generatedAt: new Date().toISOString(),
+    },
+    true
+  );
+  return buffer;
+}
@@ -1,9 +1,11 @@
 import Replicate from "replicate";
 import fs from "node:fs";
 import { promisify } from "util";
-import { Groq } from "groq-sdk";
 import dotenv from "dotenv";
 import { storeImagePrompt } from "../utils/imageContext.js";
+import { chatCompletion } from "./llm.js";
+import { generateFakeImage } from "./fake.js";
+import { createThrottle } from "../utils/throttle.js";
 
 dotenv.config();
 
@@ -11,10 +13,24 @@ const replicate = new Replicate({
   auth: process.env.REPLICATE_API_TOKEN,
 });
 
-// Initialize Groq client for prompt generation
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+// Awaited before each image generation when a request rate limit is set
+let throttle = null;
+let requestsPerMinuteLimit = null;
+
+/**
+ * Limit how many images start generating per minute (e.g. to stay within
+ * Replicate's rate limit during batch generation)
+ * @param {number|null} requestsPerMinute - Limit, or 0/null for no limit
+ * @returns {number|null} - The previous limit, to set again when done
+ */
+export function setImageRequestsPerMinute(requestsPerMinute) {
+  const previous = requestsPerMinuteLimit;
+  requestsPerMinuteLimit = requestsPerMinute > 0 ? requestsPerMinute : null;
+  throttle = requestsPerMinuteLimit
+    ? createThrottle(requestsPerMinuteLimit)
+    : null;
+  return previous;
+}
 
 // System prompt for generating image prompts (simplified for speed)
 const IMAGE_PROMPT_SYSTEM = `Generate a concise prompt for a Wikipedia-style educational image.
@@ -31,34 +47,31 @@ For each image, return ONLY the prompt (max 100 characters), one per line, in th
 Style: Documentary photography, professional, neutral, well-lit, clean background, encyclopedia quality.`;
 
 /**
- * Generate an AI image prompt using Groq's Llama model
+ * Generate an AI image prompt using the configured LLM provider
  * @param {string} subject - The subject to generate an image for
  * @param {string} context - Additional context about the subject
  * @returns {Promise<string>} - Generated image prompt
  */
 async function generateImagePrompt(subject, context = "") {
   try {
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: IMAGE_PROMPT_SYSTEM,
-        },
-        {
-          role: "user",
-          content: `Subject: "${subject}"${
-            context ? `\nContext: ${context.substring(0, 200)}` : ""
-          }`,
-        },
-      ],
-      model: "llama-3.1-8b-instant",
-      temperature: 0.3,
-      max_completion_tokens: 150,
-      top_p: 0.8,
-      stream: false,
-    });
-
-    const prompt = chatCompletion.choices[0]?.message?.content?.trim() || "";
+    const prompt = (
+      await chatCompletion(
+        "imagePrompt",
+        [
+          {
+            role: "system",
+            content: IMAGE_PROMPT_SYSTEM,
+          },
+          {
+            role: "user",
+            content: `Subject: "${subject}"${
+              context ? `\nContext: ${context.substring(0, 200)}` : ""
+            }`,
+          },
+        ],
+        { temperature: 0.3, maxTokens: 150, topP: 0.8 }
+      )
+    ).trim();
     if (!prompt) {
       throw new Error("Failed to generate image prompt");
     }
@@ -105,25 +118,22 @@ ${imageList}
 
 Generate a concise prompt (max 100 chars) for each image:`;
 
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: BATCH_IMAGE_PROMPT_SYSTEM,
-        },
-        {
-          role: "user",
-          content: userPrompt,
-        },
-      ],
-      model: "llama-3.1-8b-instant",
-      temperature: 0.3,
-      max_completion_tokens: 500,
-      top_p: 0.8,
-      stream: false,
-    });
-
-    const response = chatCompletion.choices[0]?.message?.content?.trim() || "";
+    const response = (
+      await chatCompletion(
+        "imagePrompt",
+        [
+          {
+            role: "system",
+            content: BATCH_IMAGE_PROMPT_SYSTEM,
+          },
+          {
+            role: "user",
+            content: userPrompt,
+          },
+        ],
+        { temperature: 0.3, maxTokens: 500, topP: 0.8 }
+      )
+    ).trim();
     if (!response) {
       throw new Error("Failed to generate batch image prompts");
     }
@@ -166,9 +176,24 @@ Generate a concise prompt (max 100 chars) for each image:`;
  * @param {string} subject - The subject to generate an image for
  * @param {string} prompt - Pre-generated image prompt
  * @param {string} aspectRatio - Aspect ratio for the image
+ * @param {string} format - Requested file extension (only used by the fake backend)
  * @returns {Promise<Buffer>} - Image buffer
  */
-export async function generateWikiImage(subject, prompt, aspectRatio = "4:3") {
+export async function generateWikiImage(
+  subject,
+  prompt,
+  aspectRatio = "4:3",
+  format = "webp"
+) {
+  if (throttle) {
+    await throttle();
+  }
+
+  // Offline placeholder images (IMAGE_PROVIDER=fake)
+  if ((process.env.IMAGE_PROVIDER || "replicate").toLowerCase() === "fake") {
+    return generateFakeImage(subject, format, aspectRatio);
+  }
+
   const startTime = Date.now();
   console.log(
     `🎨 Starting image generation for: "${subject}" (${aspectRatio})`
@@ -0,0 +1,205 @@
+import { cacheDir } from "./helpers/setup.js";
+import { test, describe, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { createFsCacheStore, encodeCacheKey } from "../utils/fsCacheStore.js";
+import { createSqliteCacheStore } from "../utils/sqliteCacheStore.js";
+
+const hasSqlite = (() => {
+  try {
+    createRequire(import.meta.url)("better-sqlite3");
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const backends = [
+  {
+    name: "fs",
+    create: () => createFsCacheStore(path.join(cacheDir, "store-fs")),
+  },
+  {
+    name: "sqlite",
+    create: () =>
+      createSqliteCacheStore(path.join(cacheDir, "store-sqlite", "cache.db")),
+    skip: !hasSqlite && "better-sqlite3 is not installed",
+  },
+];
+
+// The same contract runs against every backend
+for (const backend of backends) {
+  describe(`${backend.name} cache store`, { skip: backend.skip }, () => {
+    const store = backend.skip ? null : backend.create();
+
+    after(() => {
+      if (store && store.close) store.close();
+    });
+
+    test("round-trips text entries", () => {
+      store.write("page", false, "<p>Hello</p>");
+
+      const entry = store.read("page", false);
+      assert.equal(entry.content, "<p>Hello</p>");
+      assert.ok(Date.now() - entry.timestamp < 60 * 1000);
+      assert.ok(store.stat("page", false).size > 0);
+    });
+
+    test("round-trips binary entries with metadata", () => {
+      const buffer = Buffer.from([1, 2, 3, 4]);
+      store.write("image", true, buffer, { format: "webp" });
+
+      const entry = store.read("image", true);
+      assert.deepEqual(entry.content, buffer);
+      assert.deepEqual(entry.metadata, { format: "webp" });
+    });
+
+    test("keeps text and binary entries with the same key apart", () => {
+      store.write("shared", false, { prompt: "text" });
+      store.write("shared", true, Buffer.from("bytes"));
+
+      assert.deepEqual(store.read("shared", false).content, {
+        prompt: "text",
+      });
+      assert.equal(store.read("shared", true).content.toString(), "bytes");
+    });
+
+    test("returns null for missing entries", () => {
+      assert.equal(store.read("missing", false), null);
+      assert.equal(store.stat("missing", true), null);
+    });
+
+    test("stores an explicit timestamp", () => {
+      const past = Date.now() - 48 * 60 * 60 * 1000;
+      store.write("old", false, "old", {}, past);
+
+      assert.ok(Math.abs(store.stat("old", false).timestamp - past) < 1000);
+      store.remove("old", false);
+    });
+
+    test("overwrites and removes entries", () => {
+      store.write("removable", false, "first");
+      store.write("removable", false, "second");
+      assert.equal(store.read("removable", false).content, "second");
+
+      store.remove("removable", false);
+      assert.equal(store.read("removable", false), null);
+    });
+
+    test("lists entries once each", () => {
+      const keys = store
+        .list()
+        .map(({ key, isBinary }) => `${key}:${isBinary}`)
+        .sort();
+
+      assert.deepEqual(keys, [
+        "image:true",
+        "page:false",
+        "shared:false",
+        "shared:true",
+      ]);
+    });
+  });
+}
+
+test("encodeCacheKey produces safe, distinct file names", () => {
+  const keys = [
+    "wiki_../../etc/passwd",
+    "wiki_a/b\u0000c",
+    "wiki_Rome",
+    "wiki_rome",
+    "wiki_Caf\u00e9",
+    "wiki_Cafe\u0301",
+    `wiki_${"\u6771".repeat(500)}`,
+  ];
+  const names = keys.map(encodeCacheKey);
+
+  names.forEach((name) => {
+    assert.match(name, /^[A-Za-z0-9_-]*\.[0-9a-f]{16}$/);
+    assert.ok(name.length < 120);
+  });
+  assert.equal(new Set(names.map((name) => name.toLowerCase())).size, 7);
+  assert.match(encodeCacheKey("wiki_Ancient_Rome"), /^wiki_Ancient_Rome\./);
+});
+
+test("fs cache store keeps entries inside its directory", () => {
+  const dir = path.join(cacheDir, "store-traversal");
+  const store = createFsCacheStore(dir);
+
+  store.write("wiki_../../escaped", false, "<p>Inside</p>");
+
+  assert.equal(fs.existsSync(path.join(cacheDir, "escaped.json")), false);
+  assert.equal(
+    store.read("wiki_../../escaped", false).content,
+    "<p>Inside</p>"
+  );
+  assert.deepEqual(
+    store.list().map(({ key }) => key),
+    ["wiki_../../escaped"]
+  );
+});
+
+test("fs cache store recovers keys missing from its index", () => {
+  const dir = path.join(cacheDir, "store-recover");
+  createFsCacheStore(dir).write("wiki_Elsewhere", false, "<p>Hi</p>");
+  fs.rmSync(path.join(dir, "_index.json"));
+  fs.writeFileSync(path.join(dir, "_index.json"), '{"keys":{}}');
+
+  assert.deepEqual(
+    createFsCacheStore(dir)
+      .list()
+      .map(({ key }) => key),
+    ["wiki_Elsewhere"]
+  );
+});
+
+test("fs cache store migrates entries written by earlier versions", () => {
+  const dir = path.join(cacheDir, "store-legacy");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, "wiki_Old.json"),
+    JSON.stringify({ key: "wiki_Old", content: "<p>Old</p>", timestamp: 1 })
+  );
+  fs.writeFileSync(path.join(dir, "image_old.bin"), Buffer.from("img"));
+  fs.writeFileSync(
+    path.join(dir, "image_old_meta.json"),
+    JSON.stringify({ key: "image_old", metadata: { format: "png" } })
+  );
+
+  fs.writeFileSync(path.join(dir, "validPages.json"), '["Old"]');
+
+  const store = createFsCacheStore(dir);
+
+  assert.equal(store.read("wiki_Old", false).content, "<p>Old</p>");
+  assert.deepEqual(store.read("image_old", true).metadata, { format: "png" });
+  assert.equal(store.list().length, 2);
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    "_index.json",
+    `${encodeCacheKey("image_old")}.bin`,
+    `${encodeCacheKey("image_old")}.meta.json`,
+    "validPages.json",
+    `${encodeCacheKey("wiki_Old")}.json`,
+  ]);
+});
+
+test("fs cache store saves its index in batches and rebuilds a lost one", async () => {
+  const dir = path.join(cacheDir, "store-index");
+  const readIndexKeys = () =>
+    Object.values(
+      JSON.parse(fs.readFileSync(path.join(dir, "_index.json"), "utf8")).keys
+    ).sort();
+  const store = createFsCacheStore(dir, { indexSaveDelayMs: 20 });
+
+  ["wiki_One", "wiki_Two", "wiki_Three"].forEach((key) =>
+    store.write(key, false, "<p>Hi</p>")
+  );
+  assert.deepEqual(readIndexKeys(), []);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(readIndexKeys(), ["wiki_One", "wiki_Three", "wiki_Two"]);
+
+  fs.rmSync(path.join(dir, "_index.json"));
+  createFsCacheStore(dir);
+  assert.deepEqual(readIndexKeys(), ["wiki_One", "wiki_Three", "wiki_Two"]);
+});
@@ -0,0 +1,119 @@
+import { cacheDir } from "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { getCache, isCached } from "../utils/fileCache.js";
+import { isValidPage } from "../utils/validPages.js";
+import { titleToWikipediaSlug } from "../utils/slugs.js";
+import { setLLMRequestsPerMinute } from "../services/llm.js";
+import { setImageRequestsPerMinute } from "../services/replicate.js";
+import { crawlWiki, getFeaturedTopics } from "../scripts/crawl.js";
+
+const statePath = path.join(cacheDir, "crawl-test-state.json");
+const crawlOptions = {
+  depth: 1,
+  concurrency: 2,
+  groqRpm: 0,
+  replicateRpm: 0,
+  statePath,
+};
+
+test("getFeaturedTopics reads the home page topics", () => {
+  const topics = getFeaturedTopics();
+  assert.ok(topics.includes("Quantum Computing"));
+  assert.ok(topics.includes("Artificial Intelligence"));
+});
+
+test("crawlWiki generates pages breadth-first within its budget and resumes", async () => {
+  const first = await crawlWiki({
+    ...crawlOptions,
+    seeds: ["Crawl Seed"],
+    maxPages: 3,
+  });
+  assert.equal(first.generated, 3);
+  assert.equal(first.complete, false);
+
+  const seed = getCache("wiki_Crawl_Seed");
+  assert.equal(seed.title, "Crawl Seed");
+  assert.ok(isValidPage("Crawl_Seed"));
+
+  const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  assert.equal(state.generated, 3);
+  assert.equal(state.visited[0], "Crawl_Seed");
+  assert.ok(state.frontier.every(({ depth }) => depth === 1));
+  assert.equal(first.remaining, state.frontier.length);
+
+  // Stopped crawls leave the frontier as it was
+  const controller = new AbortController();
+  controller.abort();
+  const stopped = await crawlWiki({
+    ...crawlOptions,
+    maxPages: 1000,
+    signal: controller.signal,
+  });
+  assert.equal(stopped.generated, 0);
+  assert.equal(stopped.remaining, first.remaining);
+
+  // Each run gets the whole budget again
+  const second = await crawlWiki({ ...crawlOptions, maxPages: 3 });
+  assert.equal(second.generated, 3);
+  assert.equal(second.remaining, first.remaining - 3);
+  const secondState = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  assert.equal(secondState.generated, 6);
+
+  // Resuming with a larger budget finishes the links of the seed only
+  const resumed = await crawlWiki({ ...crawlOptions, maxPages: 1000 });
+  assert.equal(resumed.complete, true);
+  assert.equal(resumed.failed, 0);
+  assert.equal(fs.existsSync(statePath), false);
+  const linkedSlugs = new Set(seed.linkedPages.map(titleToWikipediaSlug));
+  linkedSlugs.delete("Crawl_Seed");
+  linkedSlugs.forEach((slug) => {
+    assert.ok(isCached(`wiki_${slug}`), slug);
+  });
+  assert.equal(
+    first.generated + second.generated + resumed.generated,
+    linkedSlugs.size + 1
+  );
+});
+
+test("crawlWiki can pre-generate the images of crawled pages", async () => {
+  const result = await crawlWiki({
+    ...crawlOptions,
+    seeds: ["Crawl Picture"],
+    depth: 0,
+    images: true,
+  });
+  assert.equal(result.generated, 1);
+
+  const { imageRefs } = getCache("wiki_Crawl_Picture");
+  assert.ok(imageRefs.length > 0);
+  assert.equal(result.images, imageRefs.length);
+  imageRefs.forEach(({ slug }) => {
+    assert.ok(isCached(`image_${slug}`, 1, true), slug);
+  });
+});
+
+test("crawlWiki waits for image prompts and restores the previous limits", async () => {
+  setLLMRequestsPerMinute(6000);
+  setImageRequestsPerMinute(3000);
+  try {
+    const result = await crawlWiki({
+      ...crawlOptions,
+      seeds: ["Crawl Prompts"],
+      depth: 0,
+      groqRpm: 600,
+      replicateRpm: 300,
+    });
+    assert.equal(result.generated, 1);
+
+    const { imageRefs } = getCache("wiki_Crawl_Prompts");
+    imageRefs.forEach(({ slug }) => {
+      assert.equal(getCache(`img_prompt_${slug}`).ready, true, slug);
+    });
+  } finally {
+    assert.equal(setLLMRequestsPerMinute(null), 6000);
+    assert.equal(setImageRequestsPerMinute(null), 3000);
+  }
+});
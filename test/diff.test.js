@@ -0,0 +1,28 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffLines } from "../utils/diff.js";
+
+test("diffLines keeps common lines and marks removals and additions", () => {
+  assert.deepEqual(diffLines("a\nb\nc\nd", "a\nc\nx\nd"), [
+    { type: "same", line: "a" },
+    { type: "removed", line: "b" },
+    { type: "same", line: "c" },
+    { type: "added", line: "x" },
+    { type: "same", line: "d" },
+  ]);
+});
+
+test("diffLines lists a changed line as a removal then an addition", () => {
+  assert.deepEqual(diffLines("one\ntwo", "one\n2"), [
+    { type: "same", line: "one" },
+    { type: "removed", line: "two" },
+    { type: "added", line: "2" },
+  ]);
+});
+
+test("diffLines reports identical texts as unchanged", () => {
+  assert.ok(
+    diffLines("same\ntext", "same\ntext").every(({ type }) => type === "same")
+  );
+});
@@ -0,0 +1,84 @@
+import { cacheDir } from "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setCache } from "../utils/fileCache.js";
+import { createPageDocument } from "../utils/pageDocuments.js";
+import { exportStaticSite } from "../scripts/exportStatic.js";
+
+test("exportStaticSite writes cached pages and images as a static site", () => {
+  setCache(
+    "wiki_Ancient_Rome",
+    createPageDocument("Ancient Rome", {
+      article: {
+        infobox: { name: "Ancient Rome", image: "Roman Forum.webp" },
+        opening: "**Ancient Rome** ruled from [[Rome]].",
+        sections: [
+          {
+            title: "History",
+            description: "Historical background",
+            markdown: "It fought [[Carthage]] and was home to the [[Senate]].",
+          },
+        ],
+        seeAlso: [],
+      },
+      linkedPages: ["Rome", "Carthage", "Senate"],
+    })
+  );
+  setCache("wiki_Senate", "<html><body><p>The Senate.</p></body></html>");
+  setCache(
+    "image_Roman_Forum",
+    Buffer.from("image bytes"),
+    { format: "webp" },
+    true
+  );
+
+  const outDir = path.join(cacheDir, "static-export");
+  const result = exportStaticSite(outDir);
+  assert.deepEqual(result, { pages: 2, images: 1 });
+
+  const page = fs.readFileSync(
+    path.join(outDir, "wiki", "Ancient_Rome.html"),
+    "utf8"
+  );
+  assert.match(page, /<title>Ancient Rome - Wiki Simulator<\/title>/);
+  assert.match(page, /href="Senate\.html"|href="\.\.\/wiki\/Senate\.html"/);
+  assert.match(
+    page,
+    /href="\.\.\/not-generated\.html" class="wiki-link-unknown">Carthage/
+  );
+  assert.match(page, /data-src="\.\.\/images\/Roman_Forum\.webp"/);
+  assert.doesNotMatch(page, /Special:|section-actions|\/api\//);
+
+  assert.equal(
+    fs.readFileSync(path.join(outDir, "images", "Roman_Forum.webp"), "utf8"),
+    "image bytes"
+  );
+  ["index.html", "not-generated.html", "styles.css", "lazy-loader.js"].forEach(
+    (file) => assert.ok(fs.existsSync(path.join(outDir, file)), file)
+  );
+  assert.match(
+    fs.readFileSync(path.join(outDir, "index.html"), "utf8"),
+    /<a href="wiki\/Ancient_Rome\.html" class="wiki-link-generated">Ancient Rome<\/a>/
+  );
+
+  const searchIndex = JSON.parse(
+    fs.readFileSync(path.join(outDir, "search-index.json"), "utf8")
+  );
+  assert.deepEqual(
+    searchIndex.map(({ title, url }) => ({ title, url })),
+    [
+      { title: "Ancient Rome", url: "wiki/Ancient_Rome.html" },
+      { title: "Senate", url: "wiki/Senate.html" },
+    ]
+  );
+  assert.match(searchIndex[0].text, /fought Carthage/);
+
+  // An existing export is only written over on request
+  assert.throws(() => exportStaticSite(outDir), /not empty/);
+  assert.deepEqual(exportStaticSite(outDir, { force: true }), {
+    pages: 2,
+    images: 1,
+  });
+});
@@ -0,0 +1,69 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeLLMProvider, generateFakeImage } from "../services/fake.js";
+
+const provider = createFakeLLMProvider();
+
+const complete = (task, content) =>
+  provider.complete({ task, messages: [{ role: "user", content }] });
+
+test("fake provider output is stable for the same seed and topic", async () => {
+  const first = await complete("section", 'Topic: "Rome"\nSection: "History"');
+  const second = await complete("section", 'Topic: "Rome"\nSection: "History"');
+
+  assert.equal(first, second);
+  assert.match(first, /\[\[[^\]]+\]\]/);
+});
+
+test("fake provider output changes with the seed", async () => {
+  const outline = await complete(
+    "outline",
+    'Generate an article outline for: "Rome"'
+  );
+
+  process.env.FAKE_SEED = "another-seed";
+  try {
+    const reseeded = await complete(
+      "outline",
+      'Generate an article outline for: "Rome"'
+    );
+    assert.notEqual(reseeded, outline);
+  } finally {
+    process.env.FAKE_SEED = "test-seed";
+  }
+});
+
+test("fake outline and infobox are valid JSON", async () => {
+  const outline = JSON.parse(
+    await complete("outline", 'Generate an article outline for: "Rome"')
+  );
+  const infobox = JSON.parse(
+    await complete("infobox", 'Generate infobox data for: "Rome"')
+  );
+
+  assert.ok(outline.sections.length >= 4 && outline.sections.length <= 6);
+  assert.equal(outline.sections[0].title, "History");
+  assert.equal(infobox.name, "Rome");
+  assert.equal(infobox.image, "rome.webp");
+});
+
+test("fake batch image prompts return one line per image", async () => {
+  const prompts = await complete(
+    "imagePrompt",
+    'Article: "Rome"\n\nImages to generate prompts for:\n1. The Forum\n2. A coin\n\nGenerate:'
+  );
+
+  assert.deepEqual(prompts.split("\n"), [
+    "Documentary photograph of The Forum",
+    "Documentary photograph of A coin",
+  ]);
+});
+
+test("generateFakeImage returns an SVG sized to the aspect ratio", () => {
+  const svg = generateFakeImage("Rome <3", "svg", "16:9").toString();
+
+  assert.match(svg, /^<svg /);
+  assert.match(svg, /width="400" height="225"/);
+  assert.match(svg, /Rome &lt;3/);
+});
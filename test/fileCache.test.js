@@ -0,0 +1,137 @@
+import { cacheDir } from "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  acquireCacheLock,
+  releaseCacheLock,
+  withCacheLock,
+  getCacheStats,
+  getCache,
+  setCache,
+  getCacheStore,
+  getCacheEntryType,
+  sweepCache,
+} from "../utils/fileCache.js";
+import { encodeCacheKey } from "../utils/fsCacheStore.js";
+
+const lockPathFor = (key) => path.join(cacheDir, `${encodeCacheKey(key)}.lock`);
+
+test("acquireCacheLock is exclusive until released", () => {
+  assert.equal(acquireCacheLock("lock_exclusive"), true);
+  assert.equal(acquireCacheLock("lock_exclusive"), false);
+
+  releaseCacheLock("lock_exclusive");
+  assert.equal(acquireCacheLock("lock_exclusive"), true);
+  releaseCacheLock("lock_exclusive");
+});
+
+test("acquireCacheLock breaks locks left behind by a dead process", () => {
+  const lockPath = lockPathFor("lock_stale");
+  fs.writeFileSync(lockPath, "{}");
+  const past = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockPath, past, past);
+
+  assert.equal(acquireCacheLock("lock_stale", 1000), true);
+  releaseCacheLock("lock_stale");
+});
+
+test("withCacheLock runs holders one at a time", async () => {
+  const order = [];
+  const hold = (name) =>
+    withCacheLock(
+      "lock_serial",
+      async () => {
+        order.push(`${name} start`);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        order.push(`${name} end`);
+      },
+      { pollMs: 5 }
+    );
+
+  await Promise.all([hold("a"), hold("b")]);
+
+  assert.deepEqual(order, ["a start", "a end", "b start", "b end"]);
+  assert.equal(fs.existsSync(lockPathFor("lock_serial")), false);
+});
+
+test("lock files are not counted as cache entries", () => {
+  const before = getCacheStats().fileCount;
+  acquireCacheLock("lock_stats");
+
+  assert.equal(getCacheStats().fileCount, before);
+  releaseCacheLock("lock_stats");
+});
+
+// Cache entries and mark them as last used in the given order, oldest first
+function cacheInUseOrder(keys) {
+  const start = Date.now() - 60 * 60 * 1000;
+  keys.forEach((key, index) => {
+    setCache(key, "x".repeat(1000));
+    getCacheStore().touch(key, false, start + index * 1000);
+  });
+}
+
+const sizeOf = (...keys) =>
+  keys.reduce((sum, key) => sum + getCacheStore().stat(key, false).size, 0);
+
+test("getCacheEntryType classifies keys by prefix", () => {
+  assert.equal(getCacheEntryType("wiki_Rome"), "pages");
+  assert.equal(getCacheEntryType("image_forum"), "images");
+  assert.equal(getCacheEntryType("img_prompt_forum"), "prompts");
+  assert.equal(getCacheEntryType("validPages"), "other");
+});
+
+test("sweepCache evicts the least recently used entries over a type budget", () => {
+  cacheInUseOrder(["wiki_Lru_B", "wiki_Lru_A", "wiki_Lru_C"]);
+  const before = getCacheStats().evictions.byType.pages;
+
+  const evicted = sweepCache({
+    total: null,
+    pages: sizeOf("wiki_Lru_A", "wiki_Lru_C"),
+  });
+
+  assert.equal(evicted, 1);
+  assert.equal(getCache("wiki_Lru_B"), null);
+  assert.ok(getCache("wiki_Lru_A"));
+  assert.equal(getCacheStats().evictions.byType.pages, before + 1);
+});
+
+test("getCache marks an entry as recently used", () => {
+  cacheInUseOrder(["img_prompt_lru_old", "img_prompt_lru_new"]);
+  getCache("img_prompt_lru_old");
+
+  sweepCache({ total: null, prompts: sizeOf("img_prompt_lru_old") });
+
+  assert.ok(getCache("img_prompt_lru_old"));
+  assert.equal(getCache("img_prompt_lru_new"), null);
+});
+
+test("sweepCache enforces the total budget without evicting untyped entries", () => {
+  cacheInUseOrder(["misc_entry", "wiki_Total_A", "wiki_Total_B"]);
+
+  sweepCache({ total: 1 });
+
+  assert.ok(getCache("misc_entry"));
+  assert.equal(getCache("wiki_Total_A"), null);
+  assert.equal(getCache("wiki_Total_B"), null);
+  assert.ok(getCacheStats().evictions.lastSweepAt);
+});
+
+test("sweepCache leaves untyped entries out of the total budget", () => {
+  setCache("revisions_Sweep_History", "x".repeat(5000));
+  setCache("wiki_Sweep_Oldest", "x".repeat(1000));
+  getCacheStore().touch("wiki_Sweep_Oldest", false, 0);
+  setCache("wiki_Sweep_Recent", "x".repeat(1000));
+  const { byType } = getCacheStats();
+  const typedSize =
+    byType.pages.size + byType.images.size + byType.prompts.size;
+
+  const evicted = sweepCache({ total: typedSize - 1 });
+
+  assert.equal(evicted, 1);
+  assert.equal(getCache("wiki_Sweep_Oldest"), null);
+  assert.ok(getCache("wiki_Sweep_Recent"));
+  assert.ok(getCache("revisions_Sweep_History"));
+});
@@ -0,0 +1,51 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createVisitorId,
+  createFormToken,
+  verifyFormToken,
+} from "../utils/formTokens.js";
+
+test("form tokens are only valid for their action and visitor", () => {
+  const visitor = createVisitorId();
+  const token = createFormToken("rollback:Some_Page", visitor);
+
+  assert.equal(verifyFormToken(token, "rollback:Some_Page", visitor), true);
+  assert.equal(verifyFormToken(token, "rollback:Other_Page", visitor), false);
+  assert.equal(verifyFormToken(token, "regenerate:Some_Page", visitor), false);
+  assert.equal(
+    verifyFormToken(token, "rollback:Some_Page", createVisitorId()),
+    false
+  );
+  assert.equal(verifyFormToken(token, "rollback:Some_Page", null), false);
+  assert.equal(
+    verifyFormToken(undefined, "rollback:Some_Page", visitor),
+    false
+  );
+  assert.equal(
+    verifyFormToken("1.forged", "rollback:Some_Page", visitor),
+    false
+  );
+});
+
+test("form tokens expire", () => {
+  const visitor = createVisitorId();
+  const issued = Date.now();
+  const token = createFormToken("regenerate:Some_Page", visitor, issued);
+  const threeHours = 3 * 60 * 60 * 1000;
+
+  assert.equal(
+    verifyFormToken(token, "regenerate:Some_Page", visitor, issued + 1000),
+    true
+  );
+  assert.equal(
+    verifyFormToken(
+      token,
+      "regenerate:Some_Page",
+      visitor,
+      issued + threeHours
+    ),
+    false
+  );
+});
@@ -0,0 +1,151 @@
+import "./helpers/setup.js";
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setProvider } from "../services/llm.js";
+import { generatePageContent } from "../services/groq.js";
+import { getCache } from "../utils/fileCache.js";
+import { renderInfobox } from "../utils/templates.js";
+
+// Stub provider: three sections with two images each, optional infobox image
+// and "See also" suggestions. Returns a per-task call counter.
+function useStubProvider({
+  infoboxImage,
+  seeAlso = ["Stub history", "Stub theory"],
+} = {}) {
+  const calls = {};
+  setProvider({
+    name: "stub",
+    async complete({ task, messages }) {
+      calls[task] = (calls[task] || 0) + 1;
+      const userMessage = messages[messages.length - 1].content;
+      switch (task) {
+        case "outline":
+          return JSON.stringify({
+            summary: "Stub summary",
+            sections: [
+              { title: "One", description: "First" },
+              { title: "Two", description: "Second" },
+              { title: "Three", description: "Third" },
+            ],
+            see_also: seeAlso,
+          });
+        case "infobox":
+          return JSON.stringify({
+            name: "Stub Topic",
+            ...(infoboxImage ? { image: infoboxImage } : {}),
+          });
+        case "opening":
+          return "**Stub Topic** is a stub.";
+        case "section": {
+          const section = userMessage.match(/Section: "([^"]+)"/)[1];
+          const name = section.toLowerCase();
+          return [
+            `[[Image:${name}_a.webp|medium|4:3|${section} A]]`,
+            `Text for ${section}.`,
+            `[[Image:${name}_b.webp|medium|4:3|${section} B]]`,
+            `More text for [[${section} topic]].`,
+          ].join("\n\n");
+        }
+        case "imagePrompt":
+          return "Prompt";
+        default:
+          throw new Error(`Unexpected task ${task}`);
+      }
+    },
+  });
+  return calls;
+}
+
+const figureSlugs = (html) =>
+  [...html.matchAll(/<figure[\s\S]*?data-src="\/images\/([^".]+)\./g)].map(
+    (match) => match[1]
+  );
+
+afterEach(() => {
+  setProvider(null);
+});
+
+test("generatePageContent keeps the infobox image plus two article images", async () => {
+  useStubProvider({ infoboxImage: "stub_lead.webp" });
+
+  const { content, linkedPages } = await generatePageContent("Stub Topic");
+
+  assert.deepEqual(figureSlugs(content), ["one_a", "one_b"]);
+  assert.ok(linkedPages.includes("One topic"));
+
+  // Only the kept images get prompt records
+  assert.ok(getCache("img_prompt_stub_lead"));
+  assert.ok(getCache("img_prompt_one_b"));
+  assert.equal(getCache("img_prompt_two_a"), null);
+});
+
+test("generatePageContent keeps the first three images without an infobox image", async () => {
+  useStubProvider();
+
+  const { content } = await generatePageContent("Stub Topic");
+
+  assert.deepEqual(figureSlugs(content), ["one_a", "one_b", "two_a"]);
+  assert.equal(getCache("img_prompt_two_b"), null);
+});
+
+test("generatePageContent builds a table of contents and heading anchors", async () => {
+  useStubProvider();
+
+  const { content } = await generatePageContent("Stub Topic");
+
+  assert.match(content, /<a href="#toc-1">1 One<\/a>/);
+  assert.match(content, /<h2 id="toc-1">One<\/h2>/);
+  assert.match(content, /<h2 id="toc-4">See also<\/h2>/);
+});
+
+test("generatePageContent generates the infobox once and returns it with the image refs", async () => {
+  const calls = useStubProvider({ infoboxImage: "Stub Lead Image.webp" });
+  const streamedInfoboxes = [];
+
+  const result = await generatePageContent("Stub Topic", {
+    onInfobox: (infoboxData) => streamedInfoboxes.push(infoboxData),
+  });
+
+  assert.equal(calls.infobox, 1);
+  assert.deepEqual(streamedInfoboxes, [result.infobox]);
+  assert.equal(result.infobox.image, "Stub Lead Image.webp");
+  assert.deepEqual(
+    result.imageRefs.map((image) => image.slug),
+    ["Stub_Lead_Image", "one_a", "one_b"]
+  );
+});
+
+test("rendered infobox image matches the image ref used for prompts", async () => {
+  useStubProvider({ infoboxImage: " Stub Lead Image.webp" });
+
+  const result = await generatePageContent("Stub Topic");
+  const infoboxRef = result.imageRefs.find((image) => image.type === "infobox");
+  const renderedSrc = renderInfobox("Stub Topic", result.infobox).match(
+    /data-src="\/images\/([^".]+)\./
+  )[1];
+
+  assert.equal(renderedSrc, infoboxRef.slug);
+  assert.ok(getCache(`img_prompt_${renderedSrc}`));
+});
+
+test("generatePageContent lists the suggested related articles under See also", async () => {
+  useStubProvider({
+    seeAlso: ["Stub history", "Stub Topic", "stub history", "Bad [[link", 7],
+  });
+
+  const { content, linkedPages } = await generatePageContent("Stub Topic");
+  const seeAlso = content.slice(content.indexOf('id="toc-4">See also'));
+
+  assert.match(seeAlso, /<a href="\/wiki\/Stub_history">Stub history<\/a>/);
+  assert.equal(seeAlso.match(/<li>/g).length, 1);
+  assert.doesNotMatch(content, /disambiguation|Related topics/);
+  assert.ok(linkedPages.includes("Stub history"));
+});
+
+test("generatePageContent leaves out See also without suggestions", async () => {
+  useStubProvider({ seeAlso: null });
+
+  const { content } = await generatePageContent("Stub Topic");
+
+  assert.doesNotMatch(content, /See also/);
+});
@@ -0,0 +1,24 @@
+// Shared test environment: isolated cache directory and offline fake backends.
+// Import this before any application module so the settings are seen at load time.
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "wiki-simulator-test-"));
+
+process.env.CACHE_DIR = cacheDir;
+process.env.LLM_PROVIDER = "fake";
+process.env.IMAGE_PROVIDER = "fake";
+process.env.FAKE_SEED = "test-seed";
+
+// The app logs heavily to stdout, which the test runner also uses for its own
+// protocol; keep it quiet unless TEST_VERBOSE is set
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+}
+
+process.on("exit", () => {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+export { cacheDir };
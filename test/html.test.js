@@ -0,0 +1,93 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { escapeHtml, sanitizeArticleHtml } from "../utils/html.js";
+import { renderInfobox, renderTemplate } from "../utils/templates.js";
+import { processMarkdownForWikiLinks } from "../services/groq.js";
+
+test("escapeHtml escapes markup and quotes", () => {
+  assert.equal(
+    escapeHtml(`<a href="x">'&'</a>`),
+    "&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;"
+  );
+  assert.equal(escapeHtml(undefined), "");
+});
+
+test("sanitizeArticleHtml strips scripts and event handlers", () => {
+  const html = sanitizeArticleHtml(
+    '<p onclick="steal()">Hi<script>alert(1)</script></p><a href="javascript:alert(1)">x</a>'
+  );
+
+  assert.equal(html, "<p>Hi</p><a>x</a>");
+});
+
+test("sanitizeArticleHtml drops images that are not served from /images/", () => {
+  const html = sanitizeArticleHtml(
+    '<img src="https://evil.example/x.png" onerror="alert(1)"><img data-src="/images/rome.webp" class="wiki-image lazy-load" alt="Rome">'
+  );
+
+  assert.doesNotMatch(html, /evil/);
+  assert.doesNotMatch(html, /onerror/);
+  assert.match(html, /<img data-src="\/images\/rome.webp"/);
+});
+
+test("sanitizeArticleHtml drops images with any URL outside /images/", () => {
+  const html = sanitizeArticleHtml(
+    '<img data-src="/images/rome.webp" src="https://evil.example/x.png"><img src="/images/forum.webp" data-src="//evil.example/y.png"><img alt="No URL"><img src="/images/ok.webp" data-src="/images/ok.webp">'
+  );
+
+  assert.doesNotMatch(html, /evil/);
+  assert.doesNotMatch(html, /rome|forum|No URL/);
+  assert.match(
+    html,
+    /<img src="\/images\/ok.webp" data-src="\/images\/ok.webp" \/>/
+  );
+});
+
+test("sanitizeArticleHtml keeps wiki figures intact", () => {
+  const figure = processMarkdownForWikiLinks(
+    "[[Image:forum.webp|large|16:9|The Forum]]"
+  );
+
+  const html = sanitizeArticleHtml(figure);
+
+  assert.match(html, /<figure class="wiki-figure wiki-figure-float"/);
+  assert.match(html, /style="float:right;margin:0 0 15px 15px/);
+  assert.match(html, /data-aspect-ratio="16:9"/);
+  assert.match(html, /<img data-src="\/images\/forum.webp"/);
+  assert.match(
+    html,
+    /<figcaption class="wiki-caption">The Forum<\/figcaption>/
+  );
+});
+
+test("wiki image captions are escaped", () => {
+  const html = processMarkdownForWikiLinks(
+    '[[Image:forum.webp|large|16:9|<img src=x onerror="alert(1)">]]'
+  );
+
+  assert.doesNotMatch(html, /<img src=x/);
+  assert.match(html, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+});
+
+test("renderTemplate escapes {{VAR}} but not {{{VAR}}}", () => {
+  const html = renderTemplate("article", {
+    TITLE: "<script>alert(1)</script>",
+    INFOBOX: "",
+    CONTENT: "<p>Body</p>",
+  });
+
+  assert.match(html, /<h1 class="article-title">&lt;script&gt;alert\(1\)/);
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.match(html, /<p>Body<\/p>/);
+});
+
+test("renderInfobox escapes generated values", () => {
+  const html = renderInfobox("<b>Topic</b>", {
+    founded: '<img src=x onerror="alert(1)">',
+  });
+
+  assert.doesNotMatch(html, /<b>Topic<\/b>/);
+  assert.doesNotMatch(html, /<img src=x/);
+  assert.match(html, /&lt;b&gt;Topic&lt;\/b&gt;/);
+});
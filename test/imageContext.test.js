@@ -0,0 +1,63 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  extractImageReferences,
+  mergeInfoboxImageReferences,
+} from "../utils/imageContext.js";
+import { processMarkdownForWikiLinks } from "../services/groq.js";
+
+test("extractImageReferences finds figures and standalone images", () => {
+  const html = processMarkdownForWikiLinks(
+    [
+      "[[Image:forum.webp|large|16:9|The Forum]]",
+      "[[Image:coin.webp]]",
+      "[[Image:temple.webp|small|Temple ruins]]",
+    ].join("\n\n")
+  );
+
+  const images = extractImageReferences(html);
+
+  assert.deepEqual(
+    images.map(({ slug, caption, type }) => ({ slug, caption, type })),
+    [
+      { slug: "forum", caption: "The Forum", type: "figure" },
+      { slug: "coin", caption: "coin", type: "standalone" },
+      { slug: "temple", caption: "Temple ruins", type: "standalone" },
+    ]
+  );
+});
+
+test("extractImageReferences ignores non-image links", () => {
+  const html = '<p><a href="/wiki/Rome">Rome</a></p>';
+
+  assert.deepEqual(extractImageReferences(html), []);
+});
+
+test("mergeInfoboxImageReferences puts the infobox image first", () => {
+  const html = processMarkdownForWikiLinks(
+    "[[Image:forum.webp|large|16:9|The Forum]]"
+  );
+
+  const images = mergeInfoboxImageReferences(html, {
+    name: "Ancient Rome",
+    image: "ancient rome.webp",
+  });
+
+  assert.equal(images.length, 2);
+  assert.equal(images[0].type, "infobox");
+  assert.equal(images[0].slug, "ancient_rome");
+  assert.equal(images[0].caption, "Ancient Rome");
+  assert.equal(images[1].slug, "forum");
+});
+
+test("mergeInfoboxImageReferences does not duplicate an image already in the article", () => {
+  const html = processMarkdownForWikiLinks(
+    "[[Image:forum.webp|large|16:9|The Forum]]"
+  );
+
+  const images = mergeInfoboxImageReferences(html, { image: "forum.webp" });
+
+  assert.equal(images.length, 1);
+  assert.equal(images[0].type, "figure");
+});
@@ -0,0 +1,44 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  setPageLinks,
+  removePageLinks,
+  getBacklinks,
+  getPageLinks,
+} from "../utils/linkGraph.js";
+import { setCache, deleteCache } from "../utils/fileCache.js";
+
+test("setPageLinks records backlinks by slug", () => {
+  setPageLinks("Rome", ["Julius Caesar", "Senate", "Rome"]);
+  setPageLinks("Gaul", ["Julius Caesar"]);
+
+  assert.deepEqual(getPageLinks("Rome"), ["Julius_Caesar", "Senate"]);
+  assert.deepEqual(getBacklinks("Julius_Caesar"), ["Gaul", "Rome"]);
+  assert.deepEqual(getBacklinks("Rome"), []);
+});
+
+test("setPageLinks replaces the links of a regenerated page", () => {
+  setPageLinks("Carthage", ["Hannibal", "Punic Wars"]);
+  setPageLinks("Carthage", ["Punic Wars"]);
+
+  assert.deepEqual(getBacklinks("Hannibal"), []);
+  assert.deepEqual(getBacklinks("Punic_Wars"), ["Carthage"]);
+});
+
+test("removePageLinks drops a page's edges", () => {
+  setPageLinks("Sparta", ["Athens"]);
+  removePageLinks("Sparta");
+
+  assert.deepEqual(getBacklinks("Athens"), []);
+  assert.deepEqual(getPageLinks("Sparta"), []);
+});
+
+test("deleting a cached page removes its links from the graph", () => {
+  setCache("wiki_Troy", "<p>Troy</p>");
+  setPageLinks("Troy", ["Helen of Troy"]);
+
+  deleteCache("wiki_Troy");
+
+  assert.deepEqual(getBacklinks("Helen_of_Troy"), []);
+});
@@ -0,0 +1,54 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setCache } from "../utils/fileCache.js";
+import { addValidPage } from "../utils/validPages.js";
+import { getLinkStatus, markLinkStatus } from "../utils/linkStatus.js";
+
+setCache("wiki_Ready_Page", "<p>Ready</p>");
+setCache("wiki_Café_au_lait", "<p>Coffee</p>");
+addValidPage("Known Page");
+
+test("getLinkStatus distinguishes generated, known and unknown pages", () => {
+  assert.equal(getLinkStatus("Ready_Page", 24), "generated");
+  assert.equal(getLinkStatus("Known_Page", 24), "known");
+  assert.equal(getLinkStatus("Nowhere", 24), "unknown");
+});
+
+test("getLinkStatus treats copies older than the window as not generated", () => {
+  assert.equal(getLinkStatus("Ready_Page", 0), "unknown");
+});
+
+test("markLinkStatus classes article and infobox links", () => {
+  const html = markLinkStatus(
+    [
+      '<a href="/wiki/Ready_Page" title="Ready">Ready</a>',
+      '<a href="/wiki/Caf%C3%A9_au_lait">coffee</a>',
+      '<a href="/wiki/Known_Page">Known</a>',
+      '<a href="/wiki/Nowhere">Nowhere</a>',
+      '<a href="/wiki/Special:History/Nowhere">History</a>',
+      '<a href="#toc-1">1 One</a>',
+    ].join(" "),
+    24
+  );
+
+  assert.match(
+    html,
+    /<a href="\/wiki\/Ready_Page" class="wiki-link-generated" title="Ready">/
+  );
+  assert.match(html, /Caf%C3%A9_au_lait" class="wiki-link-generated"/);
+  assert.match(html, /Known_Page" class="wiki-link-known"/);
+  assert.match(html, /Nowhere" class="wiki-link-unknown"/);
+  assert.match(html, /<a href="\/wiki\/Special:History\/Nowhere">/);
+  assert.match(html, /<a href="#toc-1">/);
+});
+
+test("markLinkStatus replaces an earlier status", () => {
+  const once = markLinkStatus('<a href="/wiki/Ready_Page">Ready</a>', 0);
+  const twice = markLinkStatus(once, 24);
+
+  assert.equal(
+    twice,
+    '<a href="/wiki/Ready_Page" class="wiki-link-generated">Ready</a>'
+  );
+});
@@ -0,0 +1,72 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  processMarkdownForWikiLinks,
+  generateTableOfContents,
+} from "../services/groq.js";
+
+test("processMarkdownForWikiLinks converts [[link]] and [[link|text]]", () => {
+  const output = processMarkdownForWikiLinks(
+    "See [[New York]] and [[Paris|the capital]]."
+  );
+
+  assert.equal(
+    output,
+    "See [New York](/wiki/New_York) and [the capital](/wiki/Paris)."
+  );
+});
+
+test("processMarkdownForWikiLinks turns **bold** text into links", () => {
+  const output = processMarkdownForWikiLinks("**Ancient Rome** was a city.");
+
+  assert.equal(output, "[Ancient Rome](/wiki/Ancient_Rome) was a city.");
+});
+
+test("processMarkdownForWikiLinks renders 4-part images as lazy figures", () => {
+  const output = processMarkdownForWikiLinks(
+    "[[Image:roman_forum.webp|large|16:9|The Roman Forum]]"
+  );
+
+  assert.match(output, /<figure class="wiki-figure wiki-figure-float"/);
+  assert.match(output, /data-aspect-ratio="16:9"/);
+  assert.match(output, /data-src="\/images\/roman_forum\.webp"/);
+  assert.match(output, /alt="The Roman Forum"/);
+  assert.match(
+    output,
+    /<figcaption class="wiki-caption">The Roman Forum<\/figcaption>/
+  );
+});
+
+test("processMarkdownForWikiLinks falls back to 4:3 for unknown aspect ratios", () => {
+  const output = processMarkdownForWikiLinks(
+    "[[Image:map.webp|medium|7:3|A map]]"
+  );
+
+  assert.match(output, /data-aspect-ratio="4:3"/);
+});
+
+test("processMarkdownForWikiLinks renders captionless images inline", () => {
+  const output = processMarkdownForWikiLinks("[[File:Old_Map.png]]");
+
+  assert.match(output, /^<img data-src="\/images\/Old_Map\.png"/);
+  assert.match(output, /alt="Old Map"/);
+  assert.match(output, /wiki-image-inline lazy-load/);
+  assert.doesNotMatch(output, /<figure/);
+});
+
+test("generateTableOfContents numbers sections and subsections", () => {
+  const toc = generateTableOfContents(
+    "Intro\n\n## History\n\ntext\n\n### Early years\n\n### Later years\n\n## Legacy\n"
+  );
+
+  assert.match(toc, /<a href="#toc-1">1 History<\/a>/);
+  assert.match(toc, /<a href="#toc-2">1\.1 Early years<\/a>/);
+  assert.match(toc, /<a href="#toc-3">1\.2 Later years<\/a>/);
+  assert.match(toc, /<a href="#toc-4">2 Legacy<\/a>/);
+  assert.match(toc, /toc-level-3/);
+});
+
+test("generateTableOfContents returns an empty string without headers", () => {
+  assert.equal(generateTableOfContents("Just a paragraph."), "");
+});
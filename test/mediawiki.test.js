@@ -0,0 +1,81 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getPageId,
+  toFormatVersion1,
+  formatQueryPages,
+  readLimitParam,
+  articleToPlainText,
+  toSearchMatchSnippet,
+  formatParseSections,
+} from "../utils/mediawiki.js";
+
+test("getPageId gives each slug a stable positive ID", () => {
+  const id = getPageId("Ancient_Rome");
+
+  assert.equal(getPageId("Ancient_Rome"), id);
+  assert.notEqual(getPageId("Volcano"), id);
+  assert.ok(Number.isInteger(id) && id > 0 && id < 2 ** 31);
+});
+
+test("formatQueryPages keys formatversion 1 pages by ID, missing ones negative", () => {
+  const pages = [
+    { pageid: 12, ns: 0, title: "Rome" },
+    { ns: 0, title: "Atlantis", missing: true },
+    { ns: 0, title: "Lemuria", missing: true },
+  ];
+
+  assert.deepEqual(formatQueryPages(pages, 2), pages);
+  assert.deepEqual(Object.keys(formatQueryPages(pages, 1)), ["12", "-1", "-2"]);
+});
+
+test("toFormatVersion1 writes true as an empty string and drops false", () => {
+  assert.deepEqual(
+    toFormatVersion1({
+      batchcomplete: true,
+      pages: [{ title: "Atlantis", missing: true, known: false }],
+    }),
+    { batchcomplete: "", pages: [{ title: "Atlantis", missing: "" }] }
+  );
+});
+
+test("readLimitParam caps limits and falls back on bad values", () => {
+  assert.equal(readLimitParam(undefined, 10, 50), 10);
+  assert.equal(readLimitParam("abc", 10, 50), 10);
+  assert.equal(readLimitParam("20", 10, 50), 20);
+  assert.equal(readLimitParam("500", 10, 50), 50);
+  assert.equal(readLimitParam("max", 10, 50), 50);
+});
+
+test("articleToPlainText writes paragraphs and section headings", () => {
+  const article = {
+    opening: "**Rome** was founded on [[Tiber|the Tiber]].\n\nIt grew.",
+    sections: [{ title: "History", markdown: "A *long* history." }],
+  };
+
+  assert.equal(
+    articleToPlainText(article),
+    "Rome was founded on the Tiber.\nIt grew.\n\n== History ==\nA long history."
+  );
+  assert.equal(
+    articleToPlainText(article, { intro: true }),
+    "Rome was founded on the Tiber.\nIt grew."
+  );
+});
+
+test("search snippets and parse sections use MediaWiki's markup", () => {
+  assert.equal(
+    toSearchMatchSnippet("the <mark>Forum</mark> of Rome"),
+    'the <span class="searchmatch">Forum</span> of Rome'
+  );
+
+  const [section] = formatParseSections(
+    [{ title: "History", anchor: "toc-1" }],
+    "Ancient Rome"
+  );
+  assert.equal(section.line, "History");
+  assert.equal(section.number, "1");
+  assert.equal(section.fromtitle, "Ancient_Rome");
+  assert.equal(section.anchor, "toc-1");
+});
@@ -0,0 +1,66 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createPageDocument,
+  isPageDocument,
+  markdownToText,
+  extractDocumentText,
+} from "../utils/pageDocuments.js";
+
+const article = {
+  outline: { sections: [{ title: "History", description: "Past" }] },
+  infobox: { name: "Glass Harbor", image: "glass_harbor.webp", built: 1850 },
+  opening: "**Glass Harbor** is a port near [[Old Town|the old town]].",
+  sections: [
+    {
+      title: "History",
+      description: "Past",
+      markdown: "[[Image:pier.webp|medium|4:3|Pier]]\n\n* Trade in [[Salt]]",
+    },
+  ],
+  seeAlso: ["Harbors"],
+};
+
+test("createPageDocument keeps the article with its links and images", () => {
+  const document = createPageDocument("Glass Harbor", {
+    article,
+    linkedPages: ["Old Town", "Salt"],
+    imageRefs: [{ slug: "glass_harbor" }],
+  });
+
+  assert.equal(document.title, "Glass Harbor");
+  assert.equal(document.article, article);
+  assert.deepEqual(document.linkedPages, ["Old Town", "Salt"]);
+  assert.ok(isPageDocument(document));
+  assert.ok(!isPageDocument("<p>Cached HTML</p>"));
+});
+
+test("markdownToText keeps link text and drops images and markup", () => {
+  assert.equal(
+    markdownToText(
+      "## Heading\n\n**Bold** [[A|b]] and [[C]] [[Image:x.webp|Pic]]"
+    ),
+    "Heading Bold b and C"
+  );
+});
+
+test("extractDocumentText covers the infobox, opening, sections and See also", () => {
+  assert.equal(
+    extractDocumentText(createPageDocument("Glass Harbor", { article })),
+    "built 1850 Glass Harbor is a port near the old town. History Trade in Salt See also Harbors"
+  );
+});
+
+test("extractDocumentText lists the meanings of disambiguation pages", () => {
+  const text = extractDocumentText(
+    createPageDocument("Jaguar (disambiguation)", {
+      article: {
+        kind: "disambiguation",
+        meanings: [{ title: "Jaguar (animal)", description: "a big cat" }],
+      },
+    })
+  );
+
+  assert.equal(text, "Jaguar may refer to: Jaguar (animal), a big cat");
+});
@@ -0,0 +1,66 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  extractPageSummary,
+  extractDocumentSummary,
+} from "../utils/pageSummary.js";
+
+const page = (body) =>
+  `<main class="content"><h1 class="article-title">Topic</h1><div class="article-content">${body}</div></main>`;
+
+const infobox = `<div class="infobox">
+    <div class="infobox-title">Topic</div>
+      <div class="infobox-image">
+        <img data-src="/images/topic_lead.webp" alt="Topic" title="Topic" class="wiki-image lazy-load">
+      </div>
+        <div class="infobox-row">
+          <div class="infobox-label">Founded</div>
+          <div class="infobox-data">1900</div>
+        </div></div>`;
+
+test("extractPageSummary returns the opening paragraph as plain text and the infobox image", () => {
+  const summary = extractPageSummary(
+    page(
+      `${infobox} <p><a href="/wiki/Topic">Topic</a> is a <strong>thing</strong> &amp; more.</p><p>Second.</p>`
+    )
+  );
+
+  assert.deepEqual(summary, {
+    extract: "Topic is a thing & more.",
+    image: "/images/topic_lead.webp",
+  });
+});
+
+test("extractPageSummary ignores article images and handles pages without an infobox", () => {
+  const summary = extractPageSummary(
+    page(
+      '<p>Opening.</p><figure class="wiki-figure"><img data-src="/images/other.webp"></figure>'
+    )
+  );
+
+  assert.deepEqual(summary, { extract: "Opening.", image: null });
+});
+
+test("extractPageSummary shortens long openings at a word boundary", () => {
+  const { extract } = extractPageSummary(page(`<p>${"word ".repeat(200)}</p>`));
+
+  assert.ok(extract.length <= 401);
+  assert.match(extract, /word…$/);
+});
+
+test("extractDocumentSummary uses the first opening paragraph and the infobox image", () => {
+  const summary = extractDocumentSummary({
+    title: "Topic",
+    article: {
+      infobox: { name: "Topic", image: "topic_lead.png" },
+      opening: "**Topic** is a [[Thing|thing]].\n\nSecond paragraph.",
+      sections: [],
+    },
+  });
+
+  assert.deepEqual(summary, {
+    extract: "Topic is a thing.",
+    image: "/images/topic_lead.png",
+  });
+});
@@ -0,0 +1,56 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addRedirect,
+  removeRedirect,
+  getRedirect,
+  getRedirectsTo,
+} from "../utils/redirects.js";
+
+test("addRedirect stores aliases as slugs", () => {
+  const redirect = addRedirect("world war 2", "World War II");
+
+  assert.equal(redirect.from, "World_war_2");
+  assert.equal(redirect.to, "World_War_II");
+  assert.equal(redirect.source, "rewrite");
+  assert.equal(getRedirect("World_war_2"), "World_War_II");
+});
+
+test("redirects never chain", () => {
+  addRedirect("WW2", "World_War_II");
+  addRedirect("Second World War", "WW2");
+  assert.equal(getRedirect("Second_World_War"), "World_War_II");
+
+  // Turning a page into an alias moves its redirects along
+  addRedirect("World_War_II", "World War Two", { source: "admin" });
+  assert.equal(getRedirect("WW2"), "World_War_Two");
+  assert.deepEqual(getRedirectsTo("World_War_Two"), [
+    "Second_World_War",
+    "WW2",
+    "World_War_II",
+    "World_war_2",
+  ]);
+});
+
+test("redirecting a page to its alias reverses the redirect", () => {
+  addRedirect("Gaul", "Gallia");
+  addRedirect("Gallia", "Gaul");
+
+  assert.equal(getRedirect("Gaul"), null);
+  assert.equal(getRedirect("Gallia"), "Gaul");
+});
+
+test("addRedirect rejects self-redirects and unknown sources", () => {
+  assert.throws(() => addRedirect("Rome", "Rome"), /itself/);
+  assert.throws(() => addRedirect("Rome", "Roma", { source: "bot" }), /source/);
+  assert.equal(getRedirect("Rome"), null);
+});
+
+test("removeRedirect reports whether a redirect existed", () => {
+  addRedirect("Byzantium", "Constantinople");
+
+  assert.equal(removeRedirect("Byzantium"), true);
+  assert.equal(removeRedirect("Byzantium"), false);
+  assert.equal(getRedirect("Byzantium"), null);
+});
@@ -0,0 +1,79 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addRevision,
+  getRevisions,
+  getRevision,
+  getLatestRevision,
+  revisionToText,
+} from "../utils/revisions.js";
+
+const article = (opening) => ({
+  outline: { sections: [{ title: "History", description: "Past" }] },
+  infobox: { name: "Test Page", founded: "1900" },
+  opening,
+  sections: [
+    { title: "History", description: "Past", markdown: "It began in 1900." },
+  ],
+  seeAlso: ["Other Page"],
+});
+
+test("addRevision numbers and timestamps revisions, newest first", () => {
+  const first = addRevision("Numbered_Page", {
+    action: "generate",
+    article: article("First."),
+  });
+  const second = addRevision("Numbered_Page", {
+    action: "regenerate",
+    article: article("Second."),
+  });
+
+  assert.equal(first.id, 1);
+  assert.equal(second.id, 2);
+  assert.ok(!Number.isNaN(Date.parse(second.timestamp)));
+  assert.deepEqual(
+    getRevisions("Numbered_Page").map(({ id }) => id),
+    [2, 1]
+  );
+  assert.equal(getRevision("Numbered_Page", 1).article.opening, "First.");
+  assert.equal(getLatestRevision("Numbered_Page").id, 2);
+  assert.equal(getLatestRevision("Unknown_Page"), null);
+});
+
+test("addRevision drops the oldest revisions beyond the limit", () => {
+  for (let index = 0; index < 25; index++) {
+    addRevision("Busy_Page", { action: "refresh", article: article("Text.") });
+  }
+
+  const revisions = getRevisions("Busy_Page");
+  assert.equal(revisions.length, 20);
+  assert.equal(revisions[0].id, 25);
+  assert.equal(getRevision("Busy_Page", 5), null);
+});
+
+test("addRevision rejects unknown actions", () => {
+  assert.throws(() => addRevision("Any_Page", { action: "edit" }));
+});
+
+test("revisionToText writes the infobox, opening and sections", () => {
+  assert.equal(
+    revisionToText({ article: article("Opening text.") }),
+    [
+      "{{Infobox",
+      "| name = Test Page",
+      "| founded = 1900",
+      "}}",
+      "",
+      "Opening text.",
+      "",
+      "## History",
+      "",
+      "It began in 1900.",
+      "",
+      "## See also",
+      "",
+      "* [[Other Page]]",
+    ].join("\n")
+  );
+});
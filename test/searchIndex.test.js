@@ -0,0 +1,141 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setCache, deleteCache } from "../utils/fileCache.js";
+import { createPageDocument } from "../utils/pageDocuments.js";
+import {
+  searchPages,
+  tokenize,
+  extractPageText,
+} from "../utils/searchIndex.js";
+
+// Minimal rendered page in the layout/article structure
+const page = (title, body) =>
+  `<html><body><header><a href="/">Wiki Simulator</a></header><main class="content"><h1 class="article-title">${title}</h1><div class="article-content">${body}</div><div class="link-legend">ready to read</div></main></body></html>`;
+
+setCache(
+  "wiki_Roman_Aqueducts",
+  page(
+    "Roman Aqueducts",
+    '<div class="infobox"><div class="infobox-data">Engineer: Vitruvius</div></div><p>Aqueducts carried water into Roman cities.</p>'
+  )
+);
+setCache(
+  "wiki_Café_Culture",
+  page("Café Culture", "<p>Coffee houses in Vienna &amp; Paris.</p>")
+);
+
+test("tokenize folds case and diacritics and drops stop words", () => {
+  assert.deepEqual(tokenize("The Café of Zürich"), ["cafe", "of", "zurich"]);
+});
+
+test("extractPageText keeps article and infobox text only", () => {
+  const text = extractPageText(
+    page(
+      "Title",
+      '<div class="infobox">Founded: 1900</div><p>Body&amp;more</p>'
+    )
+  );
+
+  assert.equal(text, "Founded: 1900 Body&more");
+});
+
+test("searchPages matches article text, infobox fields and word prefixes", () => {
+  assert.deepEqual(
+    searchPages("water").map(({ slug }) => slug),
+    ["Roman_Aqueducts"]
+  );
+  assert.deepEqual(
+    searchPages("vitruvius").map(({ slug }) => slug),
+    ["Roman_Aqueducts"]
+  );
+  assert.deepEqual(
+    searchPages("aqued").map(({ slug }) => slug),
+    ["Roman_Aqueducts"]
+  );
+  assert.deepEqual(
+    searchPages("cafe").map(({ slug }) => slug),
+    ["Café_Culture"]
+  );
+  assert.deepEqual(searchPages("ready to read"), []);
+});
+
+test("searchPages requires every query word", () => {
+  assert.deepEqual(searchPages("roman coffee"), []);
+});
+
+test("searchPages highlights matches in an escaped snippet", () => {
+  const [result] = searchPages("paris");
+
+  assert.equal(
+    result.snippet,
+    "Coffee houses in Vienna &amp; <mark>Paris</mark>."
+  );
+});
+
+test("snippets mark the right words after characters NFKD expands", () => {
+  setCache(
+    "wiki_Eruption",
+    page(
+      "Eruption",
+      "<p>Wait… wait… wait… the volcano erupted… ﬁre and ½ of the café burned.</p>"
+    )
+  );
+
+  assert.equal(
+    searchPages("volcano")[0].snippet,
+    "Wait… wait… wait… the <mark>volcano</mark> erupted… ﬁre and ½ of the café burned."
+  );
+  assert.equal(
+    searchPages("cafe burn")[0].snippet,
+    "… wait… wait… the volcano erupted… ﬁre and ½ of the <mark>café</mark> <mark>burned</mark>."
+  );
+
+  // The snippet window starts from the match's place in the original text
+  setCache(
+    "wiki_Eruption",
+    page("Eruption", `<p>${"… ".repeat(100)}the volcano erupted.</p>`)
+  );
+  assert.match(
+    searchPages("volcano")[0].snippet,
+    /^… (… ){23}the <mark>volcano<\/mark> erupted\.$/
+  );
+  deleteCache("wiki_Eruption");
+});
+
+test("the index follows cache writes and deletes", () => {
+  setCache(
+    "wiki_Lighthouse",
+    page("Lighthouse", "<p>Pharos of Alexandria</p>")
+  );
+  assert.equal(searchPages("pharos")[0].slug, "Lighthouse");
+  assert.equal(searchPages("phar")[0].slug, "Lighthouse");
+
+  setCache("wiki_Lighthouse", page("Lighthouse", "<p>Rebuilt beacon</p>"));
+  assert.deepEqual(searchPages("pharos"), []);
+  assert.deepEqual(searchPages("phar"), []);
+  assert.equal(searchPages("beac")[0].slug, "Lighthouse");
+
+  deleteCache("wiki_Lighthouse");
+  assert.deepEqual(searchPages("beacon"), []);
+  assert.deepEqual(searchPages("beac"), []);
+});
+
+test("the index reads page documents", () => {
+  setCache(
+    "wiki_Salt_Road",
+    createPageDocument("Salt Road", {
+      article: {
+        infobox: { name: "Salt Road", length: "400 km" },
+        opening: "The **Salt Road** carried salt to [[Rome]].",
+        sections: [{ title: "Route", markdown: "It crossed the *Tiber*." }],
+      },
+    })
+  );
+
+  assert.equal(searchPages("tiber")[0].slug, "Salt_Road");
+  assert.equal(
+    searchPages("salt carried")[0].snippet,
+    "length 400 km The <mark>Salt</mark> Road <mark>carried</mark> <mark>salt</mark> to Rome. Route It crossed the Tiber."
+  );
+});
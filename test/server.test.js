@@ -0,0 +1,1006 @@
+import "./helpers/setup.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import app from "../server.js";
+import { getProvider, setProvider } from "../services/llm.js";
+import { getCache, setCache, getCacheStore } from "../utils/fileCache.js";
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+// Cache a page and backdate it by the given number of hours
+function cacheOldPage(slug, html, ageHours) {
+  const past = Date.now() - ageHours * 60 * 60 * 1000;
+  getCacheStore().write(`wiki_${slug}`, false, html, {}, past);
+}
+
+// Run fn with a provider whose outline calls fail. fn is passed a promise
+// that resolves once an outline call has failed.
+async function withFailingOutline(fn) {
+  const fakeProvider = getProvider();
+  let outlineFailed;
+  const failed = new Promise((resolve) => {
+    outlineFailed = resolve;
+  });
+  setProvider({
+    name: "failing",
+    async complete(request) {
+      if (request.task === "outline") {
+        outlineFailed();
+        throw new Error("Upstream unavailable");
+      }
+      return fakeProvider.complete(request);
+    },
+  });
+  try {
+    return await fn(failed);
+  } finally {
+    setProvider(fakeProvider);
+  }
+}
+
+// Open a page with a form and submit its token (and the visitor cookie it is
+// bound to) to a URL, with extra form fields. Submissions come from their own
+// address, so they leave the other tests' rate limit alone.
+async function submitForm(formPath, postPath, fields = {}) {
+  const page = await fetch(`${baseUrl}${formPath}`);
+  const [cookie] = page.headers.get("set-cookie").split(";");
+  const [, token] = (await page.text()).match(
+    /<input type="hidden" name="token" value="([^"]+)" \/>/
+  );
+  return fetch(`${baseUrl}${postPath}`, {
+    method: "POST",
+    redirect: "manual",
+    headers: {
+      Cookie: cookie,
+      "Content-Type": "application/x-www-form-urlencoded",
+      "X-Forwarded-For": "203.0.113.10",
+    },
+    body: new URLSearchParams({ ...fields, token }),
+  });
+}
+
+// Poll an image URL until its prompt is ready (the server answers 202 until then)
+async function fetchImage(path) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const response = await fetch(`${baseUrl}${path}`);
+    if (response.status !== 202) {
+      return response;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Image prompt never became ready: ${path}`);
+}
+
+test("GET /wiki/:page streams the article, then serves the cached page", async () => {
+  const first = await fetch(`${baseUrl}/wiki/Ancient_Rome`);
+  assert.equal(first.status, 200);
+  const streamed = await first.text();
+
+  assert.match(streamed, /^<!DOCTYPE html>/);
+  assert.match(streamed, /<title>Ancient Rome - Wiki Simulator<\/title>/);
+  assert.match(streamed, /<div class="toc-container toc-skeleton">/);
+  assert.match(streamed, /<template data-stream-fill="infobox">/);
+  assert.match(streamed, /<template data-stream-fill="section-0">/);
+  assert.match(streamed, /<\/html>\s*$/);
+
+  const second = await fetch(`${baseUrl}/wiki/Ancient_Rome`);
+  const cached = await second.text();
+
+  assert.match(cached, /^<!DOCTYPE html>/);
+  assert.match(cached, /<div class="infobox">/);
+  assert.match(cached, /<div class="toc-container">/);
+  assert.match(cached, /href="\/wiki\/[^"]+" class="wiki-link-known"/);
+  assert.match(cached, /<div class="link-legend">/);
+  assert.doesNotMatch(cached, /data-stream-/);
+});
+
+test("pages are cached as documents and rendered without generation when served", async () => {
+  await (await fetch(`${baseUrl}/wiki/Document_Topic`)).text();
+
+  const document = getCache("wiki_Document_Topic");
+  assert.equal(document.title, "Document Topic");
+  assert.equal(
+    document.article.sections.length,
+    document.article.outline.sections.length
+  );
+  assert.ok(document.article.sections.every(({ markdown }) => markdown));
+  assert.ok(document.article.infobox);
+  assert.ok(document.linkedPages.length > 0);
+  assert.ok(Array.isArray(document.imageRefs));
+
+  setCache("wiki_Document_Topic", {
+    ...document,
+    article: { ...document.article, opening: "Rendered from the document." },
+    generatedAt: "2000-01-01T00:00:00.000Z",
+  });
+  const fakeProvider = getProvider();
+  setProvider({
+    name: "offline",
+    async complete() {
+      throw new Error("No generation expected");
+    },
+  });
+  try {
+    const page = await (await fetch(`${baseUrl}/wiki/Document_Topic`)).text();
+    assert.match(page, /<p>Rendered from the document\.<\/p>/);
+    assert.match(page, /<div class="toc-container">/);
+  } finally {
+    setProvider(fakeProvider);
+  }
+});
+
+test("pages are served with a CSP that forbids inline scripts", async () => {
+  const response = await fetch(`${baseUrl}/`);
+  const csp = response.headers.get("content-security-policy");
+
+  assert.match(csp, /script-src 'self'(;|$)/);
+  assert.match(csp, /script-src-attr 'none'/);
+  assert.doesNotMatch(await response.text(), /<script>/);
+});
+
+test("Special:WhatLinksHere lists pages linking to a generated link target", async () => {
+  const html = await (await fetch(`${baseUrl}/wiki/Linking_Topic`)).text();
+  const target = html.match(/<a href="\/wiki\/(?!Special:)([^"]+)"/)[1];
+
+  const page = await (
+    await fetch(`${baseUrl}/wiki/Special:WhatLinksHere/${target}`)
+  ).text();
+  assert.match(page, /The following pages link to/);
+  assert.match(page, /<a href="\/wiki\/Linking_Topic"[^>]*>Linking Topic<\/a>/);
+
+  const api = await (await fetch(`${baseUrl}/api/backlinks/${target}`)).json();
+  assert.ok(
+    api.backlinks.some(({ slug }) => slug === "Linking_Topic"),
+    "backlinks API lists the linking page"
+  );
+});
+
+test("Special: pages are never generated", async () => {
+  const response = await fetch(`${baseUrl}/wiki/Special:Nonexistent`);
+
+  assert.equal(response.status, 404);
+  assert.match(await response.text(), /does not exist/);
+});
+
+test("GET /wiki/:page flushes the shell before sections are generated", async () => {
+  const fakeProvider = getProvider();
+  let releaseSections;
+  const sectionsReleased = new Promise((resolve) => {
+    releaseSections = resolve;
+  });
+  setProvider({
+    name: "gated",
+    async complete(request) {
+      if (request.task === "section") {
+        await sectionsReleased;
+      }
+      return fakeProvider.complete(request);
+    },
+  });
+
+  try {
+    const response = await fetch(`${baseUrl}/wiki/Slow_Topic`);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let received = "";
+
+    // Read until the outline has streamed in, while sections are still held
+    while (!received.includes('data-stream-fill="toc"')) {
+      const { value, done } = await reader.read();
+      assert.ok(!done, "stream ended before the outline arrived");
+      received += decoder.decode(value, { stream: true });
+    }
+    assert.match(received, /<div class="toc-container toc-skeleton">/);
+    assert.doesNotMatch(received, /data-stream-fill="section-0"/);
+
+    releaseSections();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      received += decoder.decode(value, { stream: true });
+    }
+    assert.match(received, /data-stream-fill="section-0"/);
+    assert.match(received, /<\/html>\s*$/);
+  } finally {
+    releaseSections();
+    setProvider(fakeProvider);
+  }
+});
+
+test("GET /wiki/:page generates the infobox once per page", async () => {
+  const fakeProvider = getProvider();
+  let infoboxCalls = 0;
+  setProvider({
+    name: "counting",
+    complete(request) {
+      if (request.task === "infobox") infoboxCalls++;
+      return fakeProvider.complete(request);
+    },
+  });
+
+  try {
+    await (await fetch(`${baseUrl}/wiki/Counted_Topic`)).text();
+  } finally {
+    setProvider(fakeProvider);
+  }
+
+  assert.equal(infoboxCalls, 1);
+});
+
+test("concurrent requests for the same page share one generation", async () => {
+  const fakeProvider = getProvider();
+  let outlineCalls = 0;
+  setProvider({
+    name: "counting",
+    complete(request) {
+      if (request.task === "outline") outlineCalls++;
+      return fakeProvider.complete(request);
+    },
+  });
+
+  let pages;
+  try {
+    pages = await Promise.all(
+      [1, 2, 3].map(async () => {
+        const response = await fetch(`${baseUrl}/wiki/Coalesced_Topic`);
+        return { status: response.status, html: await response.text() };
+      })
+    );
+  } finally {
+    setProvider(fakeProvider);
+  }
+
+  assert.equal(outlineCalls, 1);
+  pages.forEach(({ status, html }) => {
+    assert.equal(status, 200);
+    assert.match(html, /<\/html>\s*$/);
+  });
+});
+
+test("GET /wiki/:page serves a stale page at once and regenerates it in the background", async () => {
+  const oldPage = '<main class="content">Old copy</main>';
+  cacheOldPage("Stale_Topic", oldPage, 48);
+
+  const response = await fetch(`${baseUrl}/wiki/Stale_Topic`);
+  assert.equal(await response.text(), oldPage);
+
+  for (let attempt = 0; getCache("wiki_Stale_Topic") === oldPage; attempt++) {
+    assert.ok(attempt < 100, "page was never regenerated");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.ok(getCache("wiki_Stale_Topic").article.infobox);
+});
+
+test("GET /wiki/:page regenerates an expired page before serving it", async () => {
+  cacheOldPage("Expired_Topic", '<main class="content">Old copy</main>', 1000);
+
+  const html = await (await fetch(`${baseUrl}/wiki/Expired_Topic`)).text();
+
+  assert.match(html, /<div class="infobox">/);
+  assert.doesNotMatch(html, /Old copy|stale-notice/);
+});
+
+test("GET /wiki/:page serves the old copy with a notice when regeneration fails", async () => {
+  cacheOldPage("Broken_Topic", '<main class="content">Old copy</main>', 1000);
+
+  const response = await withFailingOutline(() =>
+    fetch(`${baseUrl}/wiki/Broken_Topic`)
+  );
+  const html = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(html, /class="stale-notice"/);
+  assert.match(html, /Old copy/);
+});
+
+test("GET /wiki/:page keeps the stale copy when background regeneration fails", async () => {
+  const oldPage = '<main class="content">Old copy</main>';
+  cacheOldPage("Flaky_Topic", oldPage, 48);
+
+  await withFailingOutline(async (failed) => {
+    const response = await fetch(`${baseUrl}/wiki/Flaky_Topic`);
+    assert.equal(await response.text(), oldPage);
+    await failed;
+    await new Promise((resolve) => setImmediate(resolve));
+  });
+
+  assert.equal(getCache("wiki_Flaky_Topic"), oldPage);
+});
+
+test("GET /wiki/:page redirects other spellings to the canonical slug", async () => {
+  const spellings = {
+    printing_press: "/wiki/Printing_press",
+    "Printing__press%20": "/wiki/Printing_press",
+    // NFD "é" (e + combining acute) becomes the NFC character
+    "cafe%CC%81_culture": "/wiki/Caf%C3%A9_culture",
+    "Printing_%5Bpress%5D?redirectedfrom=X":
+      "/wiki/Printing_press?redirectedfrom=X",
+  };
+
+  for (const [spelling, location] of Object.entries(spellings)) {
+    const response = await fetch(`${baseUrl}/wiki/${spelling}`, {
+      redirect: "manual",
+    });
+    assert.equal(response.status, 301, spelling);
+    assert.equal(response.headers.get("location"), location, spelling);
+  }
+
+  const bad = await fetch(`${baseUrl}/wiki/%3C%3E`);
+  assert.equal(bad.status, 404);
+  assert.match(await bad.text(), /Bad title/);
+});
+
+test("GET /wiki/:page sends case variants of known pages to that page", async () => {
+  await (await fetch(`${baseUrl}/wiki/Machine_learning`)).text();
+
+  const response = await fetch(`${baseUrl}/wiki/Machine_Learning`, {
+    redirect: "manual",
+  });
+
+  assert.equal(response.status, 301);
+  assert.equal(response.headers.get("location"), "/wiki/Machine_learning");
+});
+
+test("GET /wiki/:page remembers rewrites as redirects and notes them on the target", async () => {
+  const provider = getProvider();
+  let slugCalls = 0;
+  setProvider({
+    name: "rewriting",
+    async complete(request) {
+      if (request.task === "slug") {
+        slugCalls++;
+        return "World War II";
+      }
+      return provider.complete(request);
+    },
+  });
+  try {
+    for (let visit = 0; visit < 2; visit++) {
+      const response = await fetch(`${baseUrl}/wiki/Ww2`, {
+        redirect: "manual",
+      });
+      assert.equal(response.status, 301);
+      assert.equal(
+        response.headers.get("location"),
+        "/wiki/World_War_II?redirectedfrom=Ww2"
+      );
+    }
+
+    const redirected = await (await fetch(`${baseUrl}/wiki/Ww2`)).text();
+    assert.match(
+      redirected,
+      /<\/h1><div class="redirect-notice">\(Redirected from Ww2\)<\/div>/
+    );
+  } finally {
+    setProvider(provider);
+  }
+
+  assert.equal(slugCalls, 1);
+  const redirects = await (await fetch(`${baseUrl}/api/redirects`)).json();
+  assert.ok(
+    redirects.some(
+      ({ from, to, source }) =>
+        from === "Ww2" && to === "World_War_II" && source === "rewrite"
+    )
+  );
+
+  // Only real redirects get the notice
+  const forged = await (
+    await fetch(`${baseUrl}/wiki/World_War_II?redirectedfrom=Elsewhere`)
+  ).text();
+  assert.doesNotMatch(forged, /redirect-notice/);
+});
+
+test("GET /wiki/:page returns 404 for rejected topics", async () => {
+  const response = await fetch(`${baseUrl}/wiki/Forbidden_Topic`);
+
+  assert.equal(response.status, 404);
+  assert.match(await response.text(), /404 - Page Not Found/);
+});
+
+test("GET /images/:filename.:ext serves generated placeholder images", async () => {
+  const html = await (await fetch(`${baseUrl}/wiki/Ancient_Rome`)).text();
+  const infoboxImage = html.match(
+    /<div class="infobox-image">\s*<img data-src="(\/images\/[^"]+)"/
+  )[1];
+
+  const image = await fetchImage(infoboxImage);
+  assert.equal(image.status, 200);
+  assert.equal(image.headers.get("content-type"), "image/webp");
+  const bytes = Buffer.from(await image.arrayBuffer());
+  assert.equal(bytes.subarray(0, 4).toString(), "RIFF");
+  assert.equal(bytes.subarray(8, 12).toString(), "WEBP");
+});
+
+test("GET /images/:filename.:ext returns 404 without prompt data", async () => {
+  const response = await fetch(`${baseUrl}/images/never_referenced.webp`);
+
+  assert.equal(response.status, 404);
+});
+
+test("GET /api/search returns slugged suggestions", async () => {
+  // A term no generated page contains, so every suggestion comes from the LLM
+  const response = await fetch(`${baseUrl}/api/search?q=zymurgy`);
+  const suggestions = await response.json();
+
+  assert.equal(suggestions.length, 5);
+  assert.deepEqual(suggestions[0], { title: "Zymurgy", slug: "Zymurgy" });
+  suggestions.forEach(({ title, slug }) => {
+    assert.equal(slug, title.replace(/\s+/g, "_"));
+  });
+});
+
+test("GET /api/search ranks existing pages ahead of LLM suggestions", async () => {
+  await (await fetch(`${baseUrl}/wiki/Ancient_Rome`)).text();
+
+  const response = await fetch(`${baseUrl}/api/search?q=ancient%20ro`);
+  const suggestions = await response.json();
+
+  assert.deepEqual(suggestions[0], {
+    title: "Ancient Rome",
+    slug: "Ancient_Rome",
+    exists: true,
+  });
+  const firstGenerated = suggestions.findIndex(({ exists }) => !exists);
+  assert.ok(suggestions.slice(firstGenerated).every(({ exists }) => !exists));
+});
+
+test("GET /search lists matching pages with highlighted snippets", async () => {
+  await (await fetch(`${baseUrl}/wiki/Ancient_Rome`)).text();
+
+  const response = await fetch(`${baseUrl}/search?q=Ancient+Rome`);
+  const html = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(html, /<title>Search results for &quot;Ancient Rome&quot;/);
+  assert.match(
+    html,
+    /<li class="search-result">\s*<a href="\/wiki\/Ancient_Rome"[^>]*>Ancient Rome<\/a>/
+  );
+  assert.match(html, /<mark>(Ancient|Rome)<\/mark>/i);
+  assert.match(html, /Go to page: <a href="\/wiki\/Ancient_Rome"/);
+});
+
+test("GET /api/search ignores queries shorter than two characters", async () => {
+  const response = await fetch(`${baseUrl}/api/search?q=a`);
+
+  assert.deepEqual(await response.json(), []);
+});
+
+test("GET /api/summary/:slug summarizes generated pages only", async () => {
+  const missing = await fetch(`${baseUrl}/api/summary/Lighthouse`);
+  assert.equal(missing.status, 404);
+
+  const page = await (await fetch(`${baseUrl}/wiki/Lighthouse`)).text();
+  const imagePath = page.match(
+    /<div class="infobox-image">\s*<img data-src="([^"]+)"/
+  )[1];
+
+  const summary = await (
+    await fetch(`${baseUrl}/api/summary/Lighthouse`)
+  ).json();
+  assert.equal(summary.title, "Lighthouse");
+  assert.match(summary.extract, /^Lighthouse is /);
+  assert.doesNotMatch(summary.extract, /</);
+  // The image is only offered once it has been generated
+  assert.equal(summary.image, null);
+
+  await fetchImage(imagePath);
+  const withImage = await (
+    await fetch(`${baseUrl}/api/summary/Lighthouse`)
+  ).json();
+  assert.equal(withImage.image, imagePath);
+});
+
+test("GET /wiki/:page redirects ambiguous terms to a disambiguation page", async () => {
+  const response = await fetch(`${baseUrl}/wiki/Mercury`, {
+    redirect: "manual",
+  });
+
+  assert.equal(response.status, 301);
+  assert.equal(
+    response.headers.get("location"),
+    "/wiki/Mercury_(disambiguation)?redirectedfrom=Mercury"
+  );
+});
+
+test("GET /wiki/:page renders disambiguation pages as a list of meanings", async () => {
+  const response = await fetch(`${baseUrl}/wiki/Mercury_(disambiguation)`);
+  const html = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(html, /<strong>Mercury<\/strong> may refer to:/);
+  assert.match(
+    html,
+    /<li><a href="\/wiki\/Mercury_\(\w+\)" class="wiki-link-known">Mercury \(\w+\)<\/a>, [a-z]/
+  );
+  assert.match(html, /class="disambiguation-notice"/);
+  assert.doesNotMatch(html, /data-stream-slot|toc-container/);
+
+  // Served from the cache afterwards, with the meanings recorded as links
+  const cached = getCache("wiki_Mercury_(disambiguation)");
+  assert.equal(cached.article.kind, "disambiguation");
+  const meaning = html.match(/href="\/wiki\/(Mercury_\(\w+\))"/)[1];
+  const meaningBacklinks = await (
+    await fetch(`${baseUrl}/api/backlinks/${meaning}`)
+  ).json();
+  assert.deepEqual(
+    meaningBacklinks.backlinks.map(({ slug }) => slug),
+    ["Mercury_(disambiguation)"]
+  );
+});
+
+test("admins add and remove redirects listed on Special:Redirects", async () => {
+  const post = (token) =>
+    fetch(`${baseUrl}/api/redirects`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({ from: "Old Rome", to: "Ancient Rome" }),
+    });
+
+  delete process.env.ADMIN_TOKEN;
+  assert.equal((await post("secret")).status, 403);
+
+  process.env.ADMIN_TOKEN = "secret";
+  try {
+    assert.equal((await post()).status, 401);
+    assert.equal((await post("wrong")).status, 401);
+
+    const created = await post("secret");
+    assert.equal(created.status, 201);
+    assert.deepEqual(
+      { ...(await created.json()), createdAt: undefined },
+      {
+        from: "Old_Rome",
+        to: "Ancient_Rome",
+        source: "admin",
+        createdAt: undefined,
+      }
+    );
+
+    const followed = await fetch(`${baseUrl}/wiki/Old_Rome`, {
+      redirect: "manual",
+    });
+    assert.equal(
+      followed.headers.get("location"),
+      "/wiki/Ancient_Rome?redirectedfrom=Old_Rome"
+    );
+
+    const listing = await (
+      await fetch(`${baseUrl}/wiki/Special:Redirects`)
+    ).text();
+    assert.match(
+      listing,
+      /<a href="\/wiki\/Old_Rome"[^>]*>Old Rome<\/a> → <a href="\/wiki\/Ancient_Rome"[^>]*>Ancient Rome<\/a> <span class="redirect-source">\(admin\)<\/span>/
+    );
+
+    const removed = await fetch(`${baseUrl}/api/redirects/Old_Rome`, {
+      method: "DELETE",
+      headers: { Authorization: "Bearer secret" },
+    });
+    assert.equal(removed.status, 204);
+    const again = await fetch(`${baseUrl}/api/redirects/Old_Rome`, {
+      method: "DELETE",
+      headers: { Authorization: "Bearer secret" },
+    });
+    assert.equal(again.status, 404);
+  } finally {
+    delete process.env.ADMIN_TOKEN;
+  }
+});
+
+test("admins download and import wiki bundles", async () => {
+  await (await fetch(`${baseUrl}/wiki/Bundled_Page`)).text();
+  const auth = { Authorization: "Bearer secret" };
+
+  delete process.env.ADMIN_TOKEN;
+  assert.equal((await fetch(`${baseUrl}/api/bundle`)).status, 403);
+
+  process.env.ADMIN_TOKEN = "secret";
+  try {
+    const exported = await fetch(`${baseUrl}/api/bundle`, { headers: auth });
+    assert.equal(exported.status, 200);
+    assert.equal(exported.headers.get("content-type"), "application/gzip");
+    assert.match(
+      exported.headers.get("content-disposition"),
+      /attachment; filename="wiki-bundle-\d{4}-\d{2}-\d{2}\.tar\.gz"/
+    );
+    const bundle = Buffer.from(await exported.arrayBuffer());
+
+    const importBundle = (body, query = "") =>
+      fetch(`${baseUrl}/api/bundle${query}`, {
+        method: "POST",
+        headers: { ...auth, "Content-Type": "application/gzip" },
+        body,
+      });
+
+    const imported = await importBundle(bundle, "?policy=keep-existing");
+    assert.equal(imported.status, 200);
+    const result = await imported.json();
+    assert.equal(result.policy, "keep-existing");
+    assert.equal(result.imported.pages, 0);
+    assert.ok(result.skipped.pages >= 1);
+
+    assert.equal((await importBundle(bundle, "?policy=merge")).status, 400);
+    const invalid = await importBundle(Buffer.from("not a bundle"));
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).error, /gzipped/);
+
+    // curl's default form type, or no type at all, is refused before the body
+    // is read, however large
+    const asForm = await fetch(`${baseUrl}/api/bundle`, {
+      method: "POST",
+      headers: {
+        ...auth,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: Buffer.concat([bundle, Buffer.alloc(200 * 1024)]),
+    });
+    assert.equal(asForm.status, 415);
+    assert.match((await asForm.json()).error, /application\/gzip/);
+    const untyped = await fetch(`${baseUrl}/api/bundle`, {
+      method: "POST",
+      headers: auth,
+      body: new Blob([bundle]),
+    });
+    assert.equal(untyped.status, 415);
+    const asBinary = await fetch(`${baseUrl}/api/bundle`, {
+      method: "POST",
+      headers: { ...auth, "Content-Type": "application/octet-stream" },
+      body: bundle,
+    });
+    assert.equal(asBinary.status, 200);
+  } finally {
+    delete process.env.ADMIN_TOKEN;
+  }
+});
+
+test("pages keep revisions that can be regenerated by section, diffed and rolled back", async () => {
+  await (await fetch(`${baseUrl}/wiki/Revised_Topic`)).text();
+  const page = await (await fetch(`${baseUrl}/wiki/Revised_Topic`)).text();
+  assert.match(
+    page,
+    /href="\/wiki\/Special:History\/Revised_Topic">View history</
+  );
+  assert.match(
+    page,
+    /<span class="section-actions">\[<a href="\/wiki\/Special:Regenerate\/Revised_Topic\?section=0">regenerate<\/a>\]<\/span><\/h2>/
+  );
+
+  const confirm = await (
+    await fetch(`${baseUrl}/wiki/Special:Regenerate/Revised_Topic?section=0`)
+  ).text();
+  assert.match(confirm, /<form class="regenerate-form" method="post">/);
+
+  const fakeProvider = getProvider();
+  setProvider({
+    name: "rewriting",
+    async complete(request) {
+      return request.task === "section"
+        ? "Rewritten section text."
+        : fakeProvider.complete(request);
+    },
+  });
+  try {
+    const sectionPath = "/wiki/Special:Regenerate/Revised_Topic?section=0";
+    const regenerated = await submitForm(sectionPath, sectionPath);
+    assert.equal(regenerated.status, 303);
+    assert.equal(regenerated.headers.get("location"), "/wiki/Revised_Topic");
+  } finally {
+    setProvider(fakeProvider);
+  }
+
+  const updated = await (await fetch(`${baseUrl}/wiki/Revised_Topic`)).text();
+  assert.equal(updated.match(/Rewritten section text\./g).length, 1);
+
+  const history = await (
+    await fetch(`${baseUrl}/wiki/Special:History/Revised_Topic`)
+  ).text();
+  assert.match(history, /regenerated section &quot;/);
+  assert.match(history, /<span class="revision-generation">rewriting · /);
+  assert.equal(history.match(/class="history-entry"/g).length, 2);
+
+  const diff = await (
+    await fetch(`${baseUrl}/wiki/Special:History/Revised_Topic?diff=2`)
+  ).text();
+  assert.match(
+    diff,
+    /<tr class="diff-added"><td class="diff-marker">\+<\/td><td>Rewritten section text\.<\/td><\/tr>/
+  );
+  assert.match(diff, /<tr class="diff-removed">/);
+
+  const oldRevision = await (
+    await fetch(`${baseUrl}/wiki/Special:History/Revised_Topic?oldid=1`)
+  ).text();
+  assert.match(
+    oldRevision,
+    /<div class="revision-notice" role="status">This is an old revision/
+  );
+  assert.doesNotMatch(oldRevision, /Rewritten section text/);
+
+  // Forms only work with their token, sent by the visitor it was made for
+  const forged = await fetch(`${baseUrl}/wiki/Special:History/Revised_Topic`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: "rollback=1&token=1.forged",
+  });
+  assert.equal(forged.status, 403);
+  const historyPath = "/wiki/Special:History/Revised_Topic";
+  const historyPage = await fetch(`${baseUrl}${historyPath}`);
+  const [, historyToken] = (await historyPage.text()).match(
+    /name="token" value="([^"]+)"/
+  );
+  const otherVisitor = await fetch(`${baseUrl}${historyPath}`, {
+    method: "POST",
+    headers: {
+      Cookie: "wiki_visitor=someone-else",
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams({ rollback: "1", token: historyToken }),
+  });
+  assert.equal(otherVisitor.status, 403);
+
+  const rolledBack = await submitForm(historyPath, historyPath, {
+    rollback: "1",
+  });
+  assert.equal(rolledBack.status, 303);
+  const restored = await (await fetch(`${baseUrl}/wiki/Revised_Topic`)).text();
+  assert.doesNotMatch(restored, /Rewritten section text/);
+
+  const finalHistory = await (
+    await fetch(`${baseUrl}/wiki/Special:History/Revised_Topic`)
+  ).text();
+  assert.match(finalHistory, /rolled back to revision 1/);
+  assert.match(finalHistory, /<span class="revision-generation">fake · /);
+});
+
+test("Special:Regenerate regenerates whole pages and needs stored sections for a section", async () => {
+  cacheOldPage("Unrevised_Topic", "<p>Old page</p>", 1);
+
+  const section = await submitForm(
+    "/wiki/Special:Regenerate/Unrevised_Topic",
+    "/wiki/Special:Regenerate/Unrevised_Topic?section=0"
+  );
+  assert.equal(section.status, 404);
+  assert.match(await section.text(), /has no stored section 0/);
+
+  const missing = await fetch(`${baseUrl}/wiki/Special:Regenerate/Never_Made`);
+  assert.equal(missing.status, 404);
+
+  const unsigned = await fetch(
+    `${baseUrl}/wiki/Special:Regenerate/Unrevised_Topic`,
+    { method: "POST" }
+  );
+  assert.equal(unsigned.status, 403);
+
+  const whole = await submitForm(
+    "/wiki/Special:Regenerate/Unrevised_Topic",
+    "/wiki/Special:Regenerate/Unrevised_Topic"
+  );
+  assert.equal(whole.status, 303);
+  assert.equal(getCache("wiki_Unrevised_Topic").title, "Unrevised Topic");
+
+  const history = await (
+    await fetch(`${baseUrl}/wiki/Special:History/Unrevised_Topic`)
+  ).text();
+  assert.match(history, /<span class="revision-action">regenerated<\/span>/);
+  assert.match(history, /<span class="revision-current">\(current\)<\/span>/);
+});
+
+test("GET /api/page/:slug returns the structured article, generated like /wiki/:page", async () => {
+  const respelled = await fetch(`${baseUrl}/api/page/volcano`, {
+    redirect: "manual",
+  });
+  assert.equal(respelled.status, 301);
+  assert.equal(respelled.headers.get("location"), "/api/page/Volcano");
+
+  const response = await fetch(`${baseUrl}/api/page/Volcano`);
+  assert.equal(response.status, 200);
+  const page = await response.json();
+
+  assert.equal(page.title, "Volcano");
+  assert.equal(page.kind, "article");
+  assert.equal(page.stale, false);
+  assert.equal(page.generation.action, "generate");
+  assert.equal(page.generation.provider, "fake");
+  assert.equal(typeof page.generation.promptVersion, "number");
+  assert.equal(typeof page.infobox, "object");
+  assert.match(page.opening.markdown, /^\*\*Volcano\*\* is /);
+  assert.match(page.opening.html, /^<p>/);
+  assert.ok(page.sections.length > 0);
+  page.sections.forEach((section) => {
+    assert.ok(section.markdown.length > 0);
+    assert.match(section.html, new RegExp(`<h2 id="${section.anchor}">`));
+  });
+  assert.ok(page.links.length > 0);
+  page.links.forEach((link) => {
+    assert.doesNotMatch(link.title, /^Image:/i);
+    assert.ok(["generated", "known", "unknown"].includes(link.status));
+  });
+  assert.ok(page.images.length > 0);
+  page.images.forEach((image) => {
+    assert.match(image.url, /^\/images\/[^/]+\.\w+$/);
+    assert.ok(["pending", "available"].includes(image.status));
+  });
+
+  // The page is now cached for the wiki as well
+  const wikiPage = await (await fetch(`${baseUrl}/wiki/Volcano`)).text();
+  assert.doesNotMatch(wikiPage, /data-stream-slot/);
+  assert.match(wikiPage, /<title>Volcano - Wiki Simulator<\/title>/);
+});
+
+test("GET /api/page/:slug/infobox and /api/image/:slug/status report image readiness", async () => {
+  const { infobox, image } = await (
+    await fetch(`${baseUrl}/api/page/Volcano/infobox`)
+  ).json();
+  assert.equal(typeof infobox, "object");
+  assert.match(image.url, /^\/images\/[^/]+\.\w+$/);
+
+  const statusUrl = `${baseUrl}/api/image/${encodeURIComponent(
+    image.slug
+  )}/status`;
+  await fetchImage(image.url);
+  const ready = await (await fetch(statusUrl)).json();
+  assert.equal(ready.status, "ready");
+  assert.ok(ready.prompt.length > 0);
+
+  const missing = await fetch(`${baseUrl}/api/image/never_referenced/status`);
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).status, "missing");
+});
+
+test("GET /api/page/:slug answers special pages and disambiguation pages in JSON", async () => {
+  const special = await fetch(`${baseUrl}/api/page/Special:Redirects`);
+  assert.equal(special.status, 404);
+  assert.equal((await special.json()).error, "Page not found");
+
+  const disambiguation = await (
+    await fetch(`${baseUrl}/api/page/Mercury_(disambiguation)`)
+  ).json();
+  assert.equal(disambiguation.kind, "disambiguation");
+  assert.deepEqual(disambiguation.sections, []);
+  assert.ok(disambiguation.meanings.length > 1);
+  assert.match(disambiguation.html, /may refer to:/);
+});
+
+test("/w/api.php answers action=query from the page cache in MediaWiki's formats", async () => {
+  await fetch(`${baseUrl}/wiki/Ancient_Rome`);
+  const titles = encodeURIComponent("ancient Rome|Never Heard Of This");
+  const query = await (
+    await fetch(
+      `${baseUrl}/w/api.php?action=query&format=json&formatversion=2&prop=extracts|pageimages|info&exintro&explaintext&titles=${titles}`
+    )
+  ).json();
+
+  assert.equal(query.batchcomplete, true);
+  assert.deepEqual(query.query.normalized, [
+    { from: "ancient Rome", to: "Ancient Rome" },
+  ]);
+  const [rome, missing] = query.query.pages;
+  assert.equal(rome.title, "Ancient Rome");
+  assert.equal(missing.missing, true);
+  assert.equal(missing.pageid, undefined);
+
+  const page = await (
+    await fetch(
+      `${baseUrl}/w/api.php?action=query&prop=extracts|pageimages|info&exintro&explaintext&titles=Ancient_Rome`
+    )
+  ).json();
+  const [pageId] = Object.keys(page.query.pages);
+  const entry = page.query.pages[pageId];
+  assert.equal(page.batchcomplete, "");
+  assert.equal(entry.pageid, Number(pageId));
+  assert.equal(entry.title, "Ancient Rome");
+  assert.match(entry.extract, /^Ancient Rome is /);
+  assert.doesNotMatch(entry.extract, /[<*[]/);
+  assert.match(entry.thumbnail.source, /^http:\/\/127\.0\.0\.1:\d+\/images\//);
+  assert.equal(entry.thumbnail.width, 50);
+  assert.equal(typeof entry.lastrevid, "number");
+
+  const search = await (
+    await fetch(
+      `${baseUrl}/w/api.php?action=query&list=search&srsearch=Rome&format=json`
+    )
+  ).json();
+  assert.ok(search.query.searchinfo.totalhits > 0);
+  assert.ok(search.query.search.some(({ title }) => title === "Ancient Rome"));
+  assert.doesNotMatch(search.query.search[0].snippet, /<mark>/);
+});
+
+test("/w/api.php answers action=parse and opensearch like MediaWiki", async () => {
+  const parsed = await (
+    await fetch(`${baseUrl}/w/api.php?action=parse&page=Ancient%20Rome`)
+  ).json();
+  assert.equal(parsed.parse.title, "Ancient Rome");
+  assert.match(parsed.parse.text["*"], /^<div class="mw-parser-output">/);
+  assert.ok(parsed.parse.sections.length > 0);
+  assert.equal(parsed.parse.sections[0].level, "2");
+  assert.ok(parsed.parse.links.every((link) => typeof link["*"] === "string"));
+  assert.deepEqual(parsed.parse.categories, []);
+
+  const aliased = await (
+    await fetch(
+      `${baseUrl}/w/api.php?action=parse&page=Mercury&prop=revid&formatversion=2`
+    )
+  ).json();
+  assert.equal(aliased.parse.title, "Mercury (disambiguation)");
+  assert.deepEqual(aliased.parse.redirects, [
+    { from: "Mercury", to: "Mercury (disambiguation)" },
+  ]);
+  assert.equal(aliased.parse.text, undefined);
+
+  const missing = await (
+    await fetch(`${baseUrl}/w/api.php?action=parse&page=Special:Nothing`)
+  ).json();
+  assert.equal(missing.error.code, "missingtitle");
+
+  const [search, titles, descriptions, urls] = await (
+    await fetch(`${baseUrl}/w/api.php?action=opensearch&search=Ancient&limit=3`)
+  ).json();
+  assert.equal(search, "Ancient");
+  assert.ok(titles.length > 0 && titles.length <= 3);
+  assert.equal(descriptions.length, titles.length);
+  assert.match(urls[0], /^http:\/\/127\.0\.0\.1:\d+\/wiki\//);
+
+  const unknown = await (
+    await fetch(`${baseUrl}/w/api.php?action=edit`)
+  ).json();
+  assert.equal(unknown.error.code, "badvalue");
+});
+
+test("browsers can add the wiki as a search engine with suggestions", async () => {
+  const home = await (await fetch(`${baseUrl}/`)).text();
+  assert.match(
+    home,
+    /<link\s+rel="search"\s+type="application\/opensearchdescription\+xml"\s+title="Wiki Simulator"\s+href="\/opensearch.xml"/
+  );
+
+  const description = await fetch(`${baseUrl}/opensearch.xml`);
+  assert.match(
+    description.headers.get("content-type"),
+    /^application\/opensearchdescription\+xml/
+  );
+  const xml = await description.text();
+  assert.match(
+    xml,
+    /template="http:\/\/127\.0\.0\.1:\d+\/search\?q=\{searchTerms\}"/
+  );
+  assert.match(
+    xml,
+    /type="application\/x-suggestions\+json" method="get" template="http:\/\/127\.0\.0\.1:\d+\/api\/opensearch\?search=\{searchTerms\}"/
+  );
+
+  const response = await fetch(`${baseUrl}/api/opensearch?search=Ancient`);
+  assert.match(
+    response.headers.get("content-type"),
+    /^application\/x-suggestions\+json/
+  );
+  const [search, titles, descriptions, urls] = await response.json();
+  assert.equal(search, "Ancient");
+  assert.ok(titles.includes("Ancient Rome"));
+  assert.equal(descriptions.length, titles.length);
+  assert.equal(
+    urls[titles.indexOf("Ancient Rome")],
+    `${baseUrl}/wiki/Ancient_Rome`
+  );
+
+  const short = await (
+    await fetch(`${baseUrl}/api/opensearch?search=A`)
+  ).json();
+  assert.deepEqual(short, ["A", [], [], []]);
+});
@@ -0,0 +1,49 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { singleFlight, getInFlight } from "../utils/singleFlight.js";
+
+test("singleFlight shares one run between concurrent callers", async () => {
+  let runs = 0;
+  const work = async () => {
+    runs++;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return "done";
+  };
+
+  const results = await Promise.all([
+    singleFlight("key", work),
+    singleFlight("key", work),
+    singleFlight("key", work),
+  ]);
+
+  assert.equal(runs, 1);
+  assert.deepEqual(results, ["done", "done", "done"]);
+});
+
+test("singleFlight releases the key once the run settles", async () => {
+  let runs = 0;
+  const work = async () => ++runs;
+
+  const first = singleFlight("release", work);
+  assert.equal(getInFlight("release"), first);
+  await first;
+
+  assert.equal(getInFlight("release"), null);
+  assert.equal(await singleFlight("release", work), 2);
+});
+
+test("singleFlight shares failures and allows a retry", async () => {
+  const failing = () => Promise.reject(new Error("boom"));
+
+  const results = await Promise.allSettled([
+    singleFlight("failing", failing),
+    singleFlight("failing", failing),
+  ]);
+
+  assert.deepEqual(
+    results.map((result) => result.status),
+    ["rejected", "rejected"]
+  );
+  assert.equal(await singleFlight("failing", () => "recovered"), "recovered");
+});
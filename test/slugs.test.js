@@ -0,0 +1,45 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeTitle,
+  titleToWikipediaSlug,
+  imageNameToSlug,
+} from "../utils/slugs.js";
+
+test("equivalent spellings share one canonical slug", () => {
+  const slugs = [
+    "machine_learning",
+    "Machine learning",
+    "  machine__learning ",
+    "Machine%20learning",
+  ].map(titleToWikipediaSlug);
+
+  assert.deepEqual(new Set(slugs), new Set(["Machine_learning"]));
+});
+
+test("normalizeTitle decodes percent-encoding exactly once", () => {
+  assert.equal(normalizeTitle("100%25_Pure"), "100% Pure");
+  assert.equal(normalizeTitle("A%2541"), "A%41");
+  assert.equal(normalizeTitle("machine%2520learning"), "Machine%20learning");
+  assert.equal(normalizeTitle("Caf%C3%A9_%FF"), "Café %FF");
+});
+
+test("normalizeTitle composes Unicode and capitalizes only the first letter", () => {
+  assert.equal(normalizeTitle("émile Zola"), "Émile Zola");
+  assert.equal(normalizeTitle("iPhone"), "IPhone");
+  assert.equal(normalizeTitle("ßtraße"), "ßtraße");
+  assert.equal(normalizeTitle("Machine Learning"), "Machine Learning");
+});
+
+test("normalizeTitle removes disallowed characters and fragments", () => {
+  assert.equal(normalizeTitle("[[Rome]]"), "Rome");
+  assert.equal(normalizeTitle("Rome#History"), "Rome");
+  assert.equal(normalizeTitle("a<b>c{d}|\u0007"), "Abcd");
+  assert.equal(normalizeTitle("100% Juice"), "100% Juice");
+  assert.equal(normalizeTitle("<>"), "");
+});
+
+test("image names keep their casing", () => {
+  assert.equal(imageNameToSlug(" roman forum "), "roman_forum");
+});
@@ -0,0 +1,62 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getStaticPageFileName, toStaticPage } from "../utils/staticSite.js";
+
+test("getStaticPageFileName gives each slug a safe file name", () => {
+  assert.equal(getStaticPageFileName("Ancient_Rome"), "Ancient_Rome.html");
+  assert.equal(
+    getStaticPageFileName("Mercury_(planet)"),
+    "Mercury_(planet).html"
+  );
+  assert.equal(getStaticPageFileName("São_Paulo"), "São_Paulo.html");
+  assert.equal(getStaticPageFileName("AC/DC"), "AC~2FDC.html");
+  assert.equal(getStaticPageFileName("What?"), "What~3F.html");
+  assert.notEqual(getStaticPageFileName("A~2FB"), getStaticPageFileName("A/B"));
+});
+
+test("toStaticPage rewrites links, images and scripts for static hosting", () => {
+  const page = `<html><head><link rel="stylesheet" href="/styles.css" />
+    <link
+      rel="search"
+      type="application/opensearchdescription+xml"
+      title="Wiki Simulator"
+      href="/opensearch.xml"
+    />
+    <script src="/page-stream.js"></script></head><body>
+    <a href="/" class="logo">Wiki Simulator</a>
+    <a href="/wiki/Ancient_Rome#toc-2" class="wiki-link-known">Rome</a>
+    <a href="/wiki/Rome">Rome</a>
+    <a href="/wiki/Carthage">Carthage</a>
+    <img data-src="/images/Forum.webp" alt="Forum" class="lazy-load" />
+    <script src="/search.js"></script>
+    <script src="/lazy-loader.js"></script>
+  </body></html>`;
+
+  const html = toStaticPage(page, {
+    root: "../",
+    exportedSlugs: new Set(["Ancient_Rome"]),
+    imageFiles: new Map([["Forum", "Forum.png"]]),
+    resolveSlug: (slug) => (slug === "Rome" ? "Ancient_Rome" : slug),
+  });
+
+  assert.match(
+    html,
+    /<a href="\.\.\/wiki\/Ancient_Rome\.html#toc-2" class="wiki-link-generated">Rome<\/a>/
+  );
+  assert.match(
+    html,
+    /<a href="\.\.\/wiki\/Ancient_Rome\.html" class="wiki-link-generated">Rome<\/a>/
+  );
+  assert.match(
+    html,
+    /<a href="\.\.\/not-generated\.html" class="wiki-link-unknown">Carthage<\/a>/
+  );
+  assert.match(html, /<img data-src="\.\.\/images\/Forum\.png"/);
+  assert.match(html, /<a href="\.\.\/index\.html" class="logo">/);
+  assert.match(html, /href="\.\.\/styles\.css"/);
+  assert.match(html, /<script src="\.\.\/lazy-loader\.js"><\/script>/);
+  assert.match(html, /<script src="\.\.\/static-search\.js"><\/script>/);
+  assert.match(html, /<body data-static-site="\.\.\/">/);
+  assert.doesNotMatch(html, /page-stream\.js|"\/search\.js"|opensearch/);
+});
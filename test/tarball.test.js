@@ -0,0 +1,57 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { createTarball, readTarball } from "../utils/tarball.js";
+
+test("tarballs round-trip files, long paths and modification times", async () => {
+  const longPath = `pages/${"a".repeat(90)}.json`;
+  const tarball = await createTarball([
+    { path: "manifest.json", content: '{"version":1}', mtime: 1700000000000 },
+    { path: longPath, content: "x".repeat(513), mtime: 1700000001000 },
+    { path: "images/Forum.webp", content: Buffer.from([0, 1, 2, 255]) },
+  ]);
+
+  const files = await readTarball(tarball);
+  assert.deepEqual(
+    files.map(({ path }) => path),
+    ["manifest.json", longPath, "images/Forum.webp"]
+  );
+  assert.equal(files[0].content.toString(), '{"version":1}');
+  assert.equal(files[0].mtime, 1700000000000);
+  assert.equal(files[1].content.length, 513);
+  assert.deepEqual([...files[2].content], [0, 1, 2, 255]);
+});
+
+test("readTarball rejects data that is not a gzipped tar archive", async () => {
+  await assert.rejects(readTarball(Buffer.from("not a tarball")), /gzipped/);
+
+  const archive = zlib.gunzipSync(
+    await createTarball([{ path: "a.txt", content: "a" }])
+  );
+  archive[0] = "b".charCodeAt(0);
+  await assert.rejects(readTarball(zlib.gzipSync(archive)), /Corrupt/);
+});
+
+test("readTarball refuses archives over its limits", async () => {
+  const tarball = await createTarball([
+    { path: "a.txt", content: "a" },
+    { path: "b.txt", content: "b".repeat(2000) },
+  ]);
+  assert.equal((await readTarball(tarball)).length, 2);
+
+  // A small archive of zeros that unpacks to far more than it weighs
+  const bomb = zlib.gzipSync(Buffer.alloc(10 * 1024 * 1024));
+  await assert.rejects(
+    readTarball(bomb, { maxBytes: 1024 * 1024 }),
+    /unpacks to more than 1048576 bytes/
+  );
+  await assert.rejects(
+    readTarball(tarball, { maxEntries: 1 }),
+    /more than 1 entries/
+  );
+  await assert.rejects(
+    readTarball(tarball, { maxEntryBytes: 1000 }),
+    /larger than 1000 bytes/
+  );
+});
@@ -0,0 +1,20 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createThrottle } from "../utils/throttle.js";
+
+test("createThrottle spaces calls evenly across the minute", async () => {
+  // 1200 a minute is one call every 50ms
+  const throttle = createThrottle(1200);
+  const start = Date.now();
+  const started = [];
+  await Promise.all(
+    [0, 1, 2].map(async () => {
+      await throttle();
+      started.push(Date.now() - start);
+    })
+  );
+
+  assert.ok(started[0] < 40, `first call waited ${started[0]}ms`);
+  assert.ok(started[2] >= 95, `third call waited ${started[2]}ms`);
+});
@@ -0,0 +1,37 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// The registry's count cap is read when the module loads
+process.env.VALID_PAGES_MAX_COUNT = "3";
+const { addValidPage, isValidPage, findValidPageVariant, getValidPagesStats } =
+  await import("../utils/validPages.js");
+
+test("the valid pages registry drops the least recently used pages", () => {
+  addValidPage("Alpha");
+  addValidPage("Beta");
+  addValidPage("Gamma");
+  assert.ok(isValidPage("Alpha"));
+
+  addValidPage("Delta");
+
+  assert.equal(isValidPage("Beta"), false);
+  assert.ok(isValidPage("Alpha"));
+  assert.ok(isValidPage("Delta"));
+  assert.deepEqual(getValidPagesStats(), {
+    count: 3,
+    maxCount: 3,
+    evictions: 1,
+  });
+});
+
+test("findValidPageVariant matches registered pages regardless of letter case", () => {
+  addValidPage("machine learning");
+
+  assert.equal(findValidPageVariant("Machine_learning"), "Machine_learning");
+  assert.equal(findValidPageVariant("Machine_Learning"), "Machine_learning");
+  assert.equal(findValidPageVariant("Deep_learning"), null);
+  // Evicted pages are forgotten in every letter case
+  assert.equal(findValidPageVariant("DELTA"), "Delta");
+  assert.equal(findValidPageVariant("gamma"), null);
+});
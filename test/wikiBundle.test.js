@@ -0,0 +1,127 @@
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  setCache,
+  getCache,
+  deleteCache,
+  getCacheAgeHours,
+} from "../utils/fileCache.js";
+import { createPageDocument } from "../utils/pageDocuments.js";
+import { addValidPage, isValidPage } from "../utils/validPages.js";
+import {
+  addRedirect,
+  removeRedirect,
+  getRedirect,
+} from "../utils/redirects.js";
+import { getBacklinks } from "../utils/linkGraph.js";
+import { createTarball, readTarball } from "../utils/tarball.js";
+import { createWikiBundle, importWikiBundle } from "../utils/wikiBundle.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const article = (opening) => ({
+  infobox: { name: "Bundled Topic", capital: "Bundleton" },
+  opening,
+  sections: [],
+  seeAlso: [],
+});
+
+test("wiki bundles carry pages, images, prompts, valid pages and redirects", async () => {
+  setCache(
+    "wiki_Bundled_Topic",
+    createPageDocument("Bundled Topic", {
+      article: article("**Bundled Topic** is about [[Packing]]."),
+      linkedPages: ["Packing"],
+    }),
+    {},
+    false,
+    Date.now() - 2 * HOUR_MS
+  );
+  setCache("image_Bundled_Map", Buffer.from("map"), { format: "png" }, true);
+  setCache("img_prompt_Bundled_Map", { prompt: "A map", ready: true });
+  addValidPage("Bundled Topic");
+  addRedirect("Bundle alias", "Bundled Topic");
+
+  const { tarball, manifest } = await createWikiBundle();
+  assert.equal(manifest.version, 1);
+  assert.equal(manifest.counts.pages, 1);
+  assert.equal(manifest.counts.images, 1);
+  const paths = (await readTarball(tarball)).map(({ path }) => path);
+  assert.equal(paths[0], "manifest.json");
+  assert.ok(paths.some((path) => /^images\/Bundled_Map\.\w+\.png$/.test(path)));
+
+  // Local changes after the export: a newer page, a lost image and redirect
+  setCache(
+    "wiki_Bundled_Topic",
+    createPageDocument("Bundled Topic", {
+      article: article("Edited locally."),
+    })
+  );
+  deleteCache("image_Bundled_Map", true);
+  removeRedirect("Bundle alias");
+
+  const keepNewer = await importWikiBundle(tarball);
+  assert.equal(keepNewer.imported.images, 1);
+  assert.equal(keepNewer.skipped.pages, 1);
+  assert.equal(keepNewer.imported.redirects, 1);
+  assert.equal(
+    getCache("wiki_Bundled_Topic").article.opening,
+    "Edited locally."
+  );
+  const image = getCache("image_Bundled_Map", true);
+  assert.equal(image.buffer.toString(), "map");
+  assert.deepEqual(image.metadata, { format: "png" });
+  assert.equal(getRedirect("Bundle_alias"), "Bundled_Topic");
+  assert.ok(isValidPage("Bundled_Topic"));
+
+  const keepExisting = await importWikiBundle(tarball, {
+    policy: "keep-existing",
+  });
+  assert.equal(keepExisting.imported.pages, 0);
+  assert.equal(keepExisting.imported.images, 0);
+
+  // Overwriting restores the bundle's copy, with its original age
+  await importWikiBundle(tarball, { policy: "overwrite" });
+  const page = getCache("wiki_Bundled_Topic");
+  assert.equal(page.article.opening, "**Bundled Topic** is about [[Packing]].");
+  assert.equal(page.article.infobox.capital, "Bundleton");
+  assert.ok(getCacheAgeHours("wiki_Bundled_Topic") > 1.9);
+  assert.deepEqual(getBacklinks("Packing"), ["Bundled_Topic"]);
+});
+
+test("importWikiBundle refuses unknown policies and bundles it cannot read", async () => {
+  const { tarball } = await createWikiBundle();
+  await assert.rejects(
+    importWikiBundle(tarball, { policy: "merge" }),
+    /Unknown import policy/
+  );
+  await assert.rejects(importWikiBundle(Buffer.from("nope")), /gzipped/);
+
+  const manifest = (fields) =>
+    createTarball([
+      {
+        path: "manifest.json",
+        content: JSON.stringify({ format: "wiki-simulator-bundle", ...fields }),
+      },
+    ]);
+  await assert.rejects(
+    importWikiBundle(await manifest({ version: 2 })),
+    /newer/
+  );
+  await assert.rejects(
+    importWikiBundle(await createTarball([{ path: "a.txt", content: "a" }])),
+    /no manifest/
+  );
+
+  // Records may only write to their own section's keys
+  const hostile = await createTarball([
+    ...(await readTarball(await manifest({ version: 1 }))),
+    {
+      path: "pages/evil.json",
+      content: JSON.stringify({ key: "other", timestamp: 0, content: "x" }),
+    },
+  ]);
+  await assert.rejects(importWikiBundle(hostile), /Invalid pages record/);
+  assert.equal(getCache("other"), null);
+});
@@ -0,0 +1,51 @@
+// Line diffs between two texts, for comparing page revisions
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ * @param {string} oldText - Earlier text
+ * @param {string} newText - Later text
+ * @returns {Array<Object>} - { type: "same" | "removed" | "added", line } in
+ *   document order, removals before additions where lines changed
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split("\n");
+  const newLines = newText.split("\n");
+
+  // lengths[i][j]: common subsequence length of oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: oldLines.length + 1 }, () =>
+    new Array(newLines.length + 1).fill(0)
+  );
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (
+      i < oldLines.length &&
+      j < newLines.length &&
+      oldLines[i] === newLines[j]
+    ) {
+      changes.push({ type: "same", line: oldLines[i] });
+      i++;
+      j++;
+    } else if (
+      j >= newLines.length ||
+      (i < oldLines.length && lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      changes.push({ type: "removed", line: oldLines[i] });
+      i++;
+    } else {
+      changes.push({ type: "added", line: newLines[j] });
+      j++;
+    }
+  }
+  return changes;
+}
@@ -1,128 +1,310 @@
 import fs from "fs";
 import path from "path";
+import { createFsCacheStore, encodeCacheKey } from "./fsCacheStore.js";
+import { createSqliteCacheStore } from "./sqliteCacheStore.js";
+import { getValidPagesStats } from "./validPages.js";
 
-const CACHE_DIR = path.join(process.cwd(), "cache");
+const CACHE_DIR = process.env.CACHE_DIR || path.join(process.cwd(), "cache");
 
-// Ensure cache directory exists
+// Locks older than this are assumed to belong to a crashed process
+const LOCK_STALE_MS = 5 * 60 * 1000;
+const LOCK_POLL_MS = 200;
+
+// Read a size budget in megabytes from the environment and return it in
+// bytes; null means unlimited (unset without a default, or set to 0)
+function readBudgetEnv(name, defaultMB = null) {
+  const value = process.env[name];
+  const megabytes = value === undefined ? defaultMB : parseFloat(value);
+  if (!Number.isFinite(megabytes) || megabytes <= 0) {
+    return null;
+  }
+  return Math.round(megabytes * 1024 * 1024);
+}
+
+// Cache entry types, recognised by key prefix. Only typed entries are evicted.
+const CACHE_ENTRY_TYPES = {
+  prompts: "img_prompt_",
+  images: "image_",
+  pages: "wiki_",
+};
+
+// Size budgets enforced by the sweeper, least recently used entries first.
+// They only cover pages, images and prompts: other entries (revision
+// histories, ...) are never evicted, so they are not counted either.
+const CACHE_BUDGETS = {
+  total: readBudgetEnv("CACHE_MAX_MB", 1024),
+  pages: readBudgetEnv("CACHE_MAX_PAGES_MB"),
+  images: readBudgetEnv("CACHE_MAX_IMAGES_MB"),
+  prompts: readBudgetEnv("CACHE_MAX_PROMPTS_MB"),
+};
+
+const CACHE_SWEEP_INTERVAL_MINUTES =
+  parseFloat(process.env.CACHE_SWEEP_INTERVAL_MINUTES) || 10;
+
+// Eviction counters reported by getCacheStats
+const evictionStats = {
+  count: 0,
+  bytes: 0,
+  byType: { pages: 0, images: 0, prompts: 0 },
+  lastSweepAt: null,
+};
+
+// Cache storage backends, selected with CACHE_BACKEND. A store implements:
+//   stat(key, isBinary)   -> { timestamp, size } or null
+//   read(key, isBinary)   -> { content, metadata, timestamp } or null
+//   write(key, isBinary, content, metadata, timestamp = now)
+//   touch(key, isBinary, accessedAt = now)
+//   remove(key, isBinary)
+//   list()                -> [{ key, isBinary, timestamp, accessedAt, size }]
+// Text content is any JSON value, binary content a Buffer; timestamps are ms.
+const STORE_FACTORIES = {
+  fs: () => createFsCacheStore(CACHE_DIR),
+  sqlite: () =>
+    createSqliteCacheStore(
+      process.env.CACHE_SQLITE_FILE || path.join(CACHE_DIR, "cache.sqlite")
+    ),
+};
+
+let store = null;
+
+/**
+ * Get the active cache store, creating it from CACHE_BACKEND on first use
+ * @returns {Object} - The active cache store
+ */
+export function getCacheStore() {
+  if (!store) {
+    const backendName = (process.env.CACHE_BACKEND || "fs").toLowerCase();
+    const factory = STORE_FACTORIES[backendName];
+    if (!factory) {
+      throw new Error(
+        `Unknown CACHE_BACKEND "${backendName}" (expected one of: ${Object.keys(
+          STORE_FACTORIES
+        ).join(", ")})`
+      );
+    }
+    store = factory();
+    console.log(`Cache backend: ${store.name}`);
+  }
+  return store;
+}
+
+/**
+ * Replace the active cache store (used by tests and embedding code)
+ * @param {Object|null} customStore - Cache store, or null to reset
+ */
+export function setCacheStore(customStore) {
+  store = customStore;
+}
+
+// Ensure cache directory exists (lock files live there for every backend)
 function ensureCacheDir() {
   if (!fs.existsSync(CACHE_DIR)) {
     fs.mkdirSync(CACHE_DIR, { recursive: true });
   }
 }
 
-// Get cache file path for a given key
-function getCacheFilePath(key, isBinary = false) {
-  const extension = isBinary ? ".bin" : ".json";
-  return path.join(CACHE_DIR, `${key}${extension}`);
+// Get lock file path for a given key (encoded, as keys come from URLs)
+function getLockFilePath(key) {
+  return path.join(CACHE_DIR, `${encodeCacheKey(key)}.lock`);
 }
 
-// Check if cache file exists and is not expired
-export function isCached(key, maxAgeHours = 24, isBinary = false) {
-  ensureCacheDir();
-  const filePath = getCacheFilePath(key, isBinary);
-
-  if (!fs.existsSync(filePath)) {
-    return false;
-  }
+// Get the age of a cache entry in hours, or null if it does not exist
+export function getCacheAgeHours(key, isBinary = false) {
+  const stats = getCacheStore().stat(key, isBinary);
+  return stats ? (Date.now() - stats.timestamp) / (1000 * 60 * 60) : null;
+}
 
-  const stats = fs.statSync(filePath);
-  const ageHours = (Date.now() - stats.mtime.getTime()) / (1000 * 60 * 60);
+// Check if cache entry exists and is not expired
+export function isCached(key, maxAgeHours = 24, isBinary = false) {
+  const ageHours = getCacheAgeHours(key, isBinary);
+  return ageHours !== null && ageHours < maxAgeHours;
+}
 
-  return ageHours < maxAgeHours;
+// Get the type of a cache entry from its key (pages, images, prompts or other)
+export function getCacheEntryType(key) {
+  const type = Object.keys(CACHE_ENTRY_TYPES).find((name) =>
+    key.startsWith(CACHE_ENTRY_TYPES[name])
+  );
+  return type || "other";
 }
 
-// Get cached content
+// Get cached content, recording the access for LRU eviction
 export function getCache(key, isBinary = false) {
-  ensureCacheDir();
-  const filePath = getCacheFilePath(key, isBinary);
-
   try {
-    if (fs.existsSync(filePath)) {
-      if (isBinary) {
-        // For binary files, read the raw buffer and extract metadata separately
-        const buffer = fs.readFileSync(filePath);
-        const metadataPath = getCacheFilePath(key + "_meta", false);
-        let metadata = {};
-
-        if (fs.existsSync(metadataPath)) {
-          const metaData = fs.readFileSync(metadataPath, "utf8");
-          metadata = JSON.parse(metaData);
-        }
-
-        return { buffer, metadata };
-      } else {
-        // Text content (JSON)
-        const data = fs.readFileSync(filePath, "utf8");
-        const cached = JSON.parse(data);
-        return cached.content;
-      }
+    const cacheStore = getCacheStore();
+    const entry = cacheStore.read(key, isBinary);
+    if (entry) {
+      cacheStore.touch(key, isBinary);
+
+      // Binary entries come back with their metadata, text entries as content
+      return isBinary
+        ? { buffer: entry.content, metadata: entry.metadata }
+        : entry.content;
     }
   } catch (error) {
-    console.error(`Error reading cache file ${key}:`, error);
+    console.error(`Error reading cache entry ${key}:`, error);
   }
 
   return null;
 }
 
-// Set cache content
-export function setCache(key, content, metadata = {}, isBinary = false) {
-  ensureCacheDir();
-  const filePath = getCacheFilePath(key, isBinary);
+// Listeners told about written and removed entries (e.g. to keep indexes
+// derived from cached content up to date)
+const setListeners = [];
+const deleteListeners = [];
 
-  try {
-    if (isBinary) {
-      // For binary content (like images), save the buffer directly
-      fs.writeFileSync(filePath, content);
-
-      // Save metadata separately
-      const metadataPath = getCacheFilePath(key + "_meta", false);
-      const metaCacheData = {
-        key,
-        metadata,
-        timestamp: Date.now(),
-        created: new Date().toISOString(),
-      };
-      fs.writeFileSync(
-        metadataPath,
-        JSON.stringify(metaCacheData, null, 2),
-        "utf8"
-      );
-    } else {
-      // Text content (JSON)
-      const cacheData = {
-        key,
-        content,
-        timestamp: Date.now(),
-        created: new Date().toISOString(),
-      };
-      fs.writeFileSync(filePath, JSON.stringify(cacheData, null, 2), "utf8");
+// Call each listener, logging (not throwing) listener errors
+function notifyListeners(listeners, key, ...args) {
+  listeners.forEach((listener) => {
+    try {
+      listener(key, ...args);
+    } catch (error) {
+      console.error(`Error handling change to cache entry ${key}:`, error);
     }
+  });
+}
 
+// Register a listener called with (key, content, isBinary) after each write
+export function onCacheSet(listener) {
+  setListeners.push(listener);
+}
+
+// Set cache content. timestamp (ms) is when the content was created; it
+// defaults to now and is only given when copying entries from elsewhere.
+export function setCache(
+  key,
+  content,
+  metadata = {},
+  isBinary = false,
+  timestamp = Date.now()
+) {
+  try {
+    getCacheStore().write(key, isBinary, content, metadata, timestamp);
     console.log(
       `Cached ${isBinary ? "binary" : "text"} content for key: ${key}`
     );
   } catch (error) {
-    console.error(`Error writing cache file ${key}:`, error);
+    console.error(`Error writing cache entry ${key}:`, error);
+    return;
   }
+
+  notifyListeners(setListeners, key, content, isBinary);
 }
 
-// Clear expired cache files
-export function clearExpiredCache(maxAgeHours = 24) {
+// Register a listener called with (key, isBinary) whenever an entry is removed
+export function onCacheDelete(listener) {
+  deleteListeners.push(listener);
+}
+
+// Remove a cache entry
+export function deleteCache(key, isBinary = false) {
+  try {
+    getCacheStore().remove(key, isBinary);
+  } catch (error) {
+    console.error(`Error removing cache entry ${key}:`, error);
+    return;
+  }
+
+  notifyListeners(deleteListeners, key, isBinary);
+}
+
+// List cache entries without reading their content
+export function listCacheEntries() {
+  return getCacheStore().list();
+}
+
+/**
+ * Try to take the cross-process generation lock for a key. The lock is a file
+ * created exclusively next to the cache entry, so every process sharing the
+ * cache directory sees it. Stale locks are broken and retaken.
+ * @param {string} key - Cache key
+ * @param {number} staleMs - Age after which an existing lock is considered abandoned
+ * @returns {boolean} - Whether the lock was acquired
+ */
+export function acquireCacheLock(key, staleMs = LOCK_STALE_MS) {
   ensureCacheDir();
+  const lockPath = getLockFilePath(key);
 
   try {
-    const files = fs.readdirSync(CACHE_DIR);
-    const cutoffTime = Date.now() - maxAgeHours * 60 * 60 * 1000;
+    fs.writeFileSync(
+      lockPath,
+      JSON.stringify({ pid: process.pid, created: new Date().toISOString() }),
+      { flag: "wx" }
+    );
+    return true;
+  } catch (error) {
+    if (error.code !== "EEXIST") {
+      throw error;
+    }
+  }
+
+  try {
+    const stats = fs.statSync(lockPath);
+    if (Date.now() - stats.mtime.getTime() < staleMs) {
+      return false;
+    }
+    console.log(`🔓 Breaking stale cache lock: ${key}`);
+    fs.unlinkSync(lockPath);
+  } catch (error) {
+    // The holder released the lock while we were looking at it
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
 
-    files.forEach((file) => {
-      if (file.endsWith(".json") || file.endsWith(".bin")) {
-        const filePath = path.join(CACHE_DIR, file);
-        const stats = fs.statSync(filePath);
+  return acquireCacheLock(key, staleMs);
+}
+
+// Release a lock taken with acquireCacheLock
+export function releaseCacheLock(key) {
+  try {
+    fs.unlinkSync(getLockFilePath(key));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Error releasing cache lock ${key}:`, error);
+    }
+  }
+}
+
+/**
+ * Run fn while holding the cross-process lock for a key, waiting for any other
+ * holder to finish first. Callers should re-check the cache inside fn, since
+ * the previous holder has usually just filled it.
+ * @param {string} key - Cache key
+ * @param {Function} fn - Work to run under the lock
+ * @param {Object} options - { staleMs, pollMs }
+ * @returns {Promise<*>} - Result of fn
+ */
+export async function withCacheLock(
+  key,
+  fn,
+  { staleMs = LOCK_STALE_MS, pollMs = LOCK_POLL_MS } = {}
+) {
+  let waiting = false;
+  while (!acquireCacheLock(key, staleMs)) {
+    if (!waiting) {
+      console.log(`⏳ Waiting for another process to finish: ${key}`);
+      waiting = true;
+    }
+    await new Promise((resolve) => setTimeout(resolve, pollMs));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    releaseCacheLock(key);
+  }
+}
+
+// Clear expired cache entries
+export function clearExpiredCache(maxAgeHours = 24) {
+  try {
+    const cutoffTime = Date.now() - maxAgeHours * 60 * 60 * 1000;
 
-        if (stats.mtime.getTime() < cutoffTime) {
-          fs.unlinkSync(filePath);
-          console.log(`Removed expired cache file: ${file}`);
-        }
+    listCacheEntries().forEach(({ key, isBinary, timestamp }) => {
+      if (timestamp < cutoffTime) {
+        deleteCache(key, isBinary);
+        console.log(`Removed expired cache entry: ${key}`);
       }
     });
   } catch (error) {
@@ -130,40 +312,129 @@ export function clearExpiredCache(maxAgeHours = 24) {
   }
 }
 
+const sumSizes = (entries) =>
+  entries.reduce((sum, entry) => sum + entry.size, 0);
+
+/**
+ * Evict least recently used entries until every budget is met: first each
+ * per-type budget, then the total budget across pages, images and prompts.
+ * Other entries (revision histories, ...) are neither evicted nor counted.
+ * @param {Object} budgets - Byte budgets { total, pages, images, prompts }; null is unlimited
+ * @returns {number} - Number of entries evicted
+ */
+export function sweepCache(budgets = CACHE_BUDGETS) {
+  let evicted = 0;
+
+  try {
+    const evictable = listCacheEntries()
+      .map((entry) => ({ ...entry, type: getCacheEntryType(entry.key) }))
+      .filter((entry) => entry.type !== "other")
+      .sort((a, b) => a.accessedAt - b.accessedAt);
+    const removed = new Set();
+
+    const evict = (entry) => {
+      deleteCache(entry.key, entry.isBinary);
+      removed.add(entry);
+      evicted++;
+      evictionStats.count++;
+      evictionStats.bytes += entry.size;
+      evictionStats.byType[entry.type]++;
+      console.log(`🧹 Evicted ${entry.type} cache entry: ${entry.key}`);
+    };
+
+    // Evict from the front of an LRU-ordered list until size fits the budget
+    const evictUntil = (name, candidates, size, budget) => {
+      for (const entry of candidates) {
+        if (size <= budget) break;
+        if (removed.has(entry)) continue;
+        evict(entry);
+        size -= entry.size;
+      }
+      if (size > budget) {
+        console.log(
+          `⚠️ Cache ${name} budget not met: ${size} bytes left over ${budget}`
+        );
+      }
+    };
+
+    Object.keys(CACHE_ENTRY_TYPES).forEach((type) => {
+      if (budgets[type] === null || budgets[type] === undefined) return;
+      const typeEntries = evictable.filter((entry) => entry.type === type);
+      evictUntil(type, typeEntries, sumSizes(typeEntries), budgets[type]);
+    });
+
+    if (budgets.total !== null && budgets.total !== undefined) {
+      const totalSize = sumSizes(evictable) - sumSizes([...removed]);
+      evictUntil("total", evictable, totalSize, budgets.total);
+    }
+
+    evictionStats.lastSweepAt = new Date().toISOString();
+    if (evicted > 0) {
+      console.log(`🧹 Cache sweep evicted ${evicted} entries`);
+    }
+  } catch (error) {
+    console.error("Error sweeping cache:", error);
+  }
+
+  return evicted;
+}
+
+/**
+ * Sweep the cache now and then periodically. The timer does not keep the
+ * process alive.
+ * @param {number} intervalMinutes - Minutes between sweeps
+ * @returns {Object} - Interval handle (pass to clearInterval to stop)
+ */
+export function startCacheSweeper(
+  intervalMinutes = CACHE_SWEEP_INTERVAL_MINUTES
+) {
+  sweepCache();
+  const timer = setInterval(() => sweepCache(), intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
 // Get cache statistics
 export function getCacheStats() {
-  ensureCacheDir();
+  const evictions = {
+    ...evictionStats,
+    byType: { ...evictionStats.byType },
+  };
 
   try {
-    const files = fs.readdirSync(CACHE_DIR);
-    const cacheFiles = files.filter(
-      (file) => file.endsWith(".json") || file.endsWith(".bin")
-    );
-    const jsonFiles = files.filter((file) => file.endsWith(".json"));
-    const binaryFiles = files.filter((file) => file.endsWith(".bin"));
-
-    let totalSize = 0;
-    cacheFiles.forEach((file) => {
-      const filePath = path.join(CACHE_DIR, file);
-      const stats = fs.statSync(filePath);
-      totalSize += stats.size;
+    const entries = listCacheEntries();
+    const binaryCount = entries.filter((entry) => entry.isBinary).length;
+    const totalSize = sumSizes(entries);
+    const byType = {};
+    [...Object.keys(CACHE_ENTRY_TYPES), "other"].forEach((type) => {
+      const typeEntries = entries.filter(
+        (entry) => getCacheEntryType(entry.key) === type
+      );
+      byType[type] = { count: typeEntries.length, size: sumSizes(typeEntries) };
     });
 
     return {
-      fileCount: cacheFiles.length,
-      textFiles: jsonFiles.length,
-      binaryFiles: binaryFiles.length,
+      backend: getCacheStore().name,
+      fileCount: entries.length,
+      textFiles: entries.length - binaryCount,
+      binaryFiles: binaryCount,
       totalSize: totalSize,
       totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
+      byType,
+      budgets: { ...CACHE_BUDGETS },
+      evictions,
+      validPages: getValidPagesStats(),
     };
   } catch (error) {
     console.error("Error getting cache stats:", error);
     return {
+      backend: null,
       fileCount: 0,
       textFiles: 0,
       binaryFiles: 0,
       totalSize: 0,
       totalSizeMB: "0.00",
+      evictions,
     };
   }
 }
@@ -0,0 +1,65 @@
+// Tokens for the wiki's own POST forms (rollback, regenerate), so other sites
+// cannot submit them for a visitor. A token is bound to the form's action and
+// to a random id kept in the visitor's SameSite cookie: pages that read a
+// form through CORS get a token that is useless without that cookie.
+import crypto from "crypto";
+
+// Signs tokens; a random secret means tokens end with the process
+const FORM_TOKEN_SECRET =
+  process.env.FORM_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+
+// How long a rendered form can be submitted
+const FORM_TOKEN_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Function to sign an action for a visitor until a time
+function signFormToken(action, visitorId, expires) {
+  return crypto
+    .createHmac("sha256", FORM_TOKEN_SECRET)
+    .update(`${action}\n${visitorId}\n${expires}`)
+    .digest("base64url");
+}
+
+/**
+ * Create a new visitor id, for the cookie that form tokens are bound to
+ * @returns {string} - Random id
+ */
+export function createVisitorId() {
+  return crypto.randomBytes(16).toString("base64url");
+}
+
+/**
+ * Create the token of a form
+ * @param {string} action - What the form does, e.g. "rollback:Some_Page"
+ * @param {string} visitorId - The visitor's id (see createVisitorId)
+ * @param {number} now - Current time in ms
+ * @returns {string} - Token for the form's hidden input
+ */
+export function createFormToken(action, visitorId, now = Date.now()) {
+  const expires = now + FORM_TOKEN_TTL_MS;
+  return `${expires}.${signFormToken(action, visitorId, expires)}`;
+}
+
+/**
+ * Check the token sent with a form
+ * @param {string} token - Token from the submitted form
+ * @param {string} action - What the form does, as given to createFormToken
+ * @param {string} visitorId - The visitor's id from their cookie
+ * @param {number} now - Current time in ms
+ * @returns {boolean} - Whether the token is valid, unexpired and for this
+ *   action and visitor
+ */
+export function verifyFormToken(token, action, visitorId, now = Date.now()) {
+  if (typeof token !== "string" || !visitorId) {
+    return false;
+  }
+  const [expiresText, signature = ""] = token.split(".");
+  const expires = Number(expiresText);
+  if (!Number.isInteger(expires) || expires < now) {
+    return false;
+  }
+  const given = Buffer.from(signature);
+  const expected = Buffer.from(signFormToken(action, visitorId, expires));
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
@@ -0,0 +1,315 @@
+// Filesystem cache store: one JSON file per text entry, and a .bin file plus
+// a ".meta.json" file per binary entry, all in a single directory. Entry age
+// is the file modification time and last access the file access time.
+//
+// Keys never reach the filesystem as-is: each file is named after a readable,
+// sanitized prefix of the key plus a hash of the exact key, and a reverse
+// index maps file names back to keys. Every entry file also records its key,
+// so the index is only a shortcut: it is saved in batches and rebuilt from
+// the entry files when it is missing.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const KEY_PREFIX_LENGTH = 80;
+const KEY_HASH_LENGTH = 16;
+const INDEX_FILE = "_index.json";
+
+// Encoded entry file names: <prefix>.<hash>.json|.bin (plus .meta.json)
+const ENTRY_FILE_PATTERN = /^([A-Za-z0-9_-]*\.[0-9a-f]{16})\.(json|bin)$/;
+
+// Index saves waiting for their timer, run at the latest when the process
+// exits
+const pendingIndexSaves = new Set();
+process.on("exit", () => {
+  pendingIndexSaves.forEach((save) => save());
+});
+
+/**
+ * Encode a cache key as a safe file name stem. The prefix keeps names readable;
+ * the hash of the exact key keeps keys that differ only by case, Unicode
+ * normalization or unsafe characters apart.
+ * @param {string} key - Cache key
+ * @returns {string} - File name stem (no extension)
+ */
+export function encodeCacheKey(key) {
+  const prefix = key
+    .replace(/[^A-Za-z0-9_-]+/g, "_")
+    .slice(0, KEY_PREFIX_LENGTH);
+  const hash = crypto
+    .createHash("sha256")
+    .update(key, "utf8")
+    .digest("hex")
+    .slice(0, KEY_HASH_LENGTH);
+  return `${prefix}.${hash}`;
+}
+
+/**
+ * Create a cache store backed by files in a directory
+ * @param {string} cacheDir - Directory holding the cache files
+ * @param {Object} options - { indexSaveDelayMs }: how long index changes
+ *   wait, so a burst of new keys is saved at once
+ * @returns {Object} - Cache store (see utils/fileCache.js)
+ */
+export function createFsCacheStore(cacheDir, { indexSaveDelayMs = 1000 } = {}) {
+  const ensureCacheDir = () => {
+    if (!fs.existsSync(cacheDir)) {
+      fs.mkdirSync(cacheDir, { recursive: true });
+    }
+  };
+
+  const getFilePath = (key, isBinary) =>
+    path.join(cacheDir, `${encodeCacheKey(key)}${isBinary ? ".bin" : ".json"}`);
+
+  const getMetadataPath = (key) =>
+    path.join(cacheDir, `${encodeCacheKey(key)}.meta.json`);
+
+  const indexPath = path.join(cacheDir, INDEX_FILE);
+
+  // Write via a temporary file so readers never see a half-written entry
+  const writeFileAtomic = (filePath, data) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const statFile = (filePath) => {
+    try {
+      return fs.statSync(filePath);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  const readJsonFile = (filePath) => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Reverse index: file name stem -> key
+  let keyIndex = new Map();
+
+  const saveIndex = () => {
+    ensureCacheDir();
+    writeFileAtomic(
+      indexPath,
+      JSON.stringify({ keys: Object.fromEntries(keyIndex) })
+    );
+  };
+
+  // Save the index once changes stop coming for a moment (or on exit)
+  let indexSaveTimer = null;
+  const flushIndex = () => {
+    clearTimeout(indexSaveTimer);
+    indexSaveTimer = null;
+    pendingIndexSaves.delete(flushIndex);
+    // A removed cache directory has nothing left to index
+    if (fs.existsSync(cacheDir)) {
+      saveIndex();
+    }
+  };
+  const scheduleIndexSave = () => {
+    clearTimeout(indexSaveTimer);
+    indexSaveTimer = setTimeout(flushIndex, indexSaveDelayMs);
+    indexSaveTimer.unref();
+    pendingIndexSaves.add(flushIndex);
+  };
+
+  const indexKey = (key) => {
+    const stem = encodeCacheKey(key);
+    if (keyIndex.get(stem) !== key) {
+      keyIndex.set(stem, key);
+      scheduleIndexSave();
+    }
+  };
+
+  // Recover the key of an entry missing from the index (e.g. written by
+  // another process) from the key recorded inside its files
+  const recoverKey = (stem, isBinary) => {
+    const recordPath = path.join(
+      cacheDir,
+      `${stem}${isBinary ? ".meta.json" : ".json"}`
+    );
+    const record = readJsonFile(recordPath);
+    return record && typeof record.key === "string" ? record.key : null;
+  };
+
+  // Rename files written by earlier versions (named after the raw key) to
+  // their encoded names. Only files that look like cache entries are moved,
+  // so other files sharing the directory (e.g. validPages.json) stay put.
+  const migrateLegacyFiles = () => {
+    const files = fs.readdirSync(cacheDir);
+    let migrated = 0;
+
+    files.forEach((file) => {
+      if (ENTRY_FILE_PATTERN.test(file)) return;
+
+      if (file.endsWith(".bin")) {
+        const key = file.slice(0, -".bin".length);
+        const legacyMetaPath = path.join(cacheDir, `${key}_meta.json`);
+        if (fs.existsSync(legacyMetaPath)) {
+          fs.renameSync(legacyMetaPath, getMetadataPath(key));
+        }
+        fs.renameSync(path.join(cacheDir, file), getFilePath(key, true));
+        keyIndex.set(encodeCacheKey(key), key);
+        migrated++;
+      } else if (file.endsWith(".json") && !file.endsWith("_meta.json")) {
+        const record = readJsonFile(path.join(cacheDir, file));
+        const isCacheRecord =
+          record && typeof record.key === "string" && "content" in record;
+        if (!isCacheRecord) return;
+        fs.renameSync(
+          path.join(cacheDir, file),
+          getFilePath(record.key, false)
+        );
+        keyIndex.set(encodeCacheKey(record.key), record.key);
+        migrated++;
+      }
+    });
+
+    if (migrated > 0) {
+      console.log(`📦 Migrated ${migrated} cache entries to encoded names`);
+    }
+  };
+
+  // Load the reverse index. Without one, migrate the directory (first use)
+  // and rebuild the index from the keys recorded in the entry files.
+  const loadIndex = () => {
+    ensureCacheDir();
+    const index = readJsonFile(indexPath);
+    if (index && index.keys) {
+      keyIndex = new Map(Object.entries(index.keys));
+      return;
+    }
+    migrateLegacyFiles();
+    fs.readdirSync(cacheDir).forEach((file) => {
+      const match = file.match(ENTRY_FILE_PATTERN);
+      if (!match || keyIndex.has(match[1])) return;
+      const key = recoverKey(match[1], match[2] === "bin");
+      if (key !== null) keyIndex.set(match[1], key);
+    });
+    saveIndex();
+  };
+
+  loadIndex();
+
+  const store = {
+    name: "fs",
+
+    stat(key, isBinary) {
+      const stats = statFile(getFilePath(key, isBinary));
+      if (!stats) return null;
+      const metaStats = isBinary ? statFile(getMetadataPath(key)) : null;
+      return {
+        timestamp: stats.mtime.getTime(),
+        accessedAt: stats.atime.getTime(),
+        size: stats.size + (metaStats ? metaStats.size : 0),
+      };
+    },
+
+    read(key, isBinary) {
+      const filePath = getFilePath(key, isBinary);
+      const stats = statFile(filePath);
+      if (!stats) return null;
+
+      if (isBinary) {
+        const buffer = fs.readFileSync(filePath);
+        const metadataRecord = readJsonFile(getMetadataPath(key));
+        return {
+          content: buffer,
+          metadata: (metadataRecord && metadataRecord.metadata) || {},
+          timestamp: stats.mtime.getTime(),
+        };
+      }
+
+      const cached = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      return {
+        content: cached.content,
+        metadata: cached.metadata || {},
+        timestamp: stats.mtime.getTime(),
+      };
+    },
+
+    write(key, isBinary, content, metadata = {}, timestamp = Date.now()) {
+      ensureCacheDir();
+      const record = {
+        key,
+        timestamp,
+        created: new Date(timestamp).toISOString(),
+      };
+
+      if (isBinary) {
+        // Metadata first, so a visible .bin always has its metadata
+        writeFileAtomic(
+          getMetadataPath(key),
+          JSON.stringify({ ...record, metadata }, null, 2)
+        );
+        writeFileAtomic(getFilePath(key, true), content);
+      } else {
+        writeFileAtomic(
+          getFilePath(key, false),
+          JSON.stringify({ ...record, content }, null, 2)
+        );
+      }
+
+      const time = new Date(timestamp);
+      fs.utimesSync(getFilePath(key, isBinary), time, time);
+      indexKey(key);
+    },
+
+    touch(key, isBinary, accessedAt = Date.now()) {
+      const filePath = getFilePath(key, isBinary);
+      const stats = statFile(filePath);
+      if (stats) {
+        // Keep the modification time, which is the entry's age
+        fs.utimesSync(filePath, new Date(accessedAt), stats.mtime);
+      }
+    },
+
+    remove(key, isBinary) {
+      const filePaths = [getFilePath(key, isBinary)];
+      if (isBinary) filePaths.push(getMetadataPath(key));
+      filePaths.forEach((filePath) => {
+        fs.rmSync(filePath, { force: true });
+      });
+      // The other entry kind may still use this key's index record
+      if (!store.stat(key, !isBinary) && keyIndex.delete(encodeCacheKey(key))) {
+        scheduleIndexSave();
+      }
+    },
+
+    list() {
+      ensureCacheDir();
+      let indexChanged = false;
+
+      const entries = fs.readdirSync(cacheDir).flatMap((file) => {
+        const match = file.match(ENTRY_FILE_PATTERN);
+        if (!match) return [];
+        const [, stem, extension] = match;
+        const isBinary = extension === "bin";
+
+        let key = keyIndex.get(stem);
+        if (key === undefined) {
+          key = recoverKey(stem, isBinary);
+          if (key === null) return [];
+          keyIndex.set(stem, key);
+          indexChanged = true;
+        }
+
+        const stats = store.stat(key, isBinary);
+        return stats ? [{ key, isBinary, ...stats }] : [];
+      });
+
+      if (indexChanged) {
+        scheduleIndexSave();
+      }
+      return entries;
+    },
+  };
+
+  return store;
+}
@@ -0,0 +1,127 @@
+// HTML escaping and sanitization for LLM-generated content
+import sanitizeHtml from "sanitize-html";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape (converted to a string)
+ * @returns {string} - Escaped string
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Reverse escapeHtml (used when reading captions back out of generated HTML)
+ * @param {string} value - Escaped string
+ * @returns {string} - Plain text
+ */
+export function unescapeHtml(value) {
+  return String(value)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Only images served by our own /images/ route may appear in articles
+const isLocalImagePath = (value) =>
+  typeof value === "string" && /^\/images\/[^/]/.test(value);
+
+// Image attributes that hold a URL the browser may load
+const IMAGE_URL_ATTRIBUTES = ["src", "data-src"];
+
+// Allowlist for article HTML: what marked produces plus our figure markup
+const ARTICLE_SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p",
+    "br",
+    "hr",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "a",
+    "strong",
+    "b",
+    "em",
+    "i",
+    "del",
+    "sup",
+    "sub",
+    "code",
+    "pre",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "dl",
+    "dt",
+    "dd",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+    "figure",
+    "figcaption",
+    "img",
+  ],
+  allowedAttributes: {
+    a: ["href", "title"],
+    img: ["src", "data-src", "alt", "title", "class", "width", "style"],
+    figure: ["class", "style", "data-aspect-ratio"],
+    figcaption: ["class"],
+    th: ["align", "colspan", "rowspan"],
+    td: ["align", "colspan", "rowspan"],
+    ol: ["start"],
+  },
+  allowedClasses: {
+    img: ["wiki-image", "wiki-image-inline", "lazy-load"],
+    figure: ["wiki-figure", "wiki-figure-float", "wiki-figure-full"],
+    figcaption: ["wiki-caption"],
+  },
+  allowedStyles: {
+    "*": {
+      float: [/^(left|right|none)$/],
+      margin: [/^[\d.]+(px)?(\s+[\d.]+(px)?){0,3}$/],
+      "margin-left": [/^[\d.]+(px)?$/],
+      height: [/^auto$/],
+      "max-width": [/^\d+%$/],
+    },
+  },
+  allowedSchemes: ["http", "https"],
+  allowProtocolRelative: false,
+  // Drop images unless they have a URL and every URL they have (src and
+  // data-src alike) points at /images/
+  exclusiveFilter: (frame) => {
+    if (frame.tag !== "img") return false;
+    const urls = IMAGE_URL_ATTRIBUTES.filter(
+      (name) => frame.attribs[name] !== undefined
+    ).map((name) => frame.attribs[name]);
+    return urls.length === 0 || !urls.every(isLocalImagePath);
+  },
+};
+
+/**
+ * Sanitize article HTML produced from LLM markdown against an allowlist.
+ * Strips scripts, event handlers, unknown tags/attributes and foreign images.
+ * @param {string} html - Untrusted HTML
+ * @returns {string} - Safe HTML
+ */
+export function sanitizeArticleHtml(html) {
+  return sanitizeHtml(html, ARTICLE_SANITIZE_OPTIONS);
+}
@@ -1,5 +1,33 @@
 // Image context storage for better image generation
 import { setCache, getCache, isCached } from "./fileCache.js";
+import { imageNameToSlug } from "./slugs.js";
+import { unescapeHtml } from "./html.js";
+
+/**
+ * Resolve the image referenced by an infobox's "image" field.
+ * renderInfobox and the prompt pipeline both use this, so the rendered
+ * image URL and the stored prompt always share the same slug.
+ * @param {Object} infoboxData - Parsed infobox JSON
+ * @returns {Object|null} - { filename, slug, extension } or null if there is no image
+ */
+export function getInfoboxImage(infoboxData) {
+  if (!infoboxData || typeof infoboxData.image !== "string") {
+    return null;
+  }
+
+  const filename = infoboxData.image.trim();
+  const nameWithoutExt = filename.replace(/\.[^/.]+$/, "");
+  if (!nameWithoutExt) {
+    return null;
+  }
+
+  return {
+    filename,
+    slug: imageNameToSlug(nameWithoutExt),
+    // Preserve the original extension from filename
+    extension: nameWithoutExt === filename ? "webp" : filename.split(".").pop(),
+  };
+}
 
 /**
  * Extract all image references from generated HTML content
@@ -15,7 +43,8 @@ export function extractImageReferences(htmlContent) {
   let match;
 
   while ((match = figureRegex.exec(htmlContent)) !== null) {
-    const [, filename, alt, caption] = match;
+    // Captions were HTML-escaped when the figure was built
+    const [, filename, alt, caption] = match.map(unescapeHtml);
     images.push({
       filename: filename,
       slug: filename.replace(/\.[^/.]+$/, ""), // Remove extension
@@ -30,7 +59,7 @@ export function extractImageReferences(htmlContent) {
     /<img[^>]+(?:data-src|src)="\/images\/([^"]+)"[^>]*alt="([^"]*)"[^>]*>/g;
 
   while ((match = imgRegex.exec(htmlContent)) !== null) {
-    const [, filename, alt] = match;
+    const [, filename, alt] = match.map(unescapeHtml);
     const slug = filename.replace(/\.[^/.]+$/, "");
 
     // Skip if already found in figures
@@ -64,7 +93,7 @@ export function storeImagePrompt(imageSlug, prompt, articleTitle) {
     createdAt: new Date().toISOString(),
   };
 
-  setCache(promptKey, promptData, {}, false, 168); // Cache for 7 days
+  setCache(promptKey, promptData);
   console.log(`💾 Stored prompt for image: ${imageSlug}`);
 }
 
@@ -83,7 +112,7 @@ export function markPromptsGenerating(imageReferences, articleTitle) {
       ready: false,
       generatingAt: new Date().toISOString(),
     };
-    setCache(promptKey, promptData, {}, false, 168);
+    setCache(promptKey, promptData);
   });
   console.log(
     `⏳ Marked ${imageReferences.length} image prompts as generating`
@@ -155,16 +184,21 @@ export function buildImageGenerationContext(imageSlug, contextData) {
   return contextString;
 }
 
+/**
+ * Combine article image references with the infobox image (listed first)
+ * @param {string} htmlContent - The generated HTML content
+ * @param {Object} infoboxData - Parsed infobox JSON
+ * @returns {Array} - Deduplicated image objects
+ */
 export function mergeInfoboxImageReferences(htmlContent, infoboxData) {
   const images = extractImageReferences(htmlContent);
-  if (infoboxData && infoboxData.image) {
-    const imageFilename = infoboxData.image;
-    const nameWithoutExt = imageFilename.replace(/\.[^/.]+$/, "");
-    const slug = nameWithoutExt.replace(/\s+/g, "_");
+  const infoboxImage = getInfoboxImage(infoboxData);
+  if (infoboxImage) {
+    const { filename, slug } = infoboxImage;
     // Only add if not already present
     if (!images.some((img) => img.slug === slug)) {
       images.unshift({
-        filename: imageFilename,
+        filename: filename,
         slug: slug,
         alt: infoboxData.name || infoboxData.title || slug,
         caption: infoboxData.name || infoboxData.title || slug,
@@ -181,3 +215,26 @@ export function mergeInfoboxImageReferences(htmlContent, infoboxData) {
   });
   return deduped;
 }
+
+/**
+ * Get how far along an image is, without generating anything
+ * @param {string} imageSlug - The image slug/filename
+ * @returns {Object} - { status, prompt }: status is "ready" (the image is
+ *   cached), "available" (its prompt is ready, so it can be generated),
+ *   "pending" (its prompt is still being written) or "missing"
+ */
+export function getImageStatus(imageSlug) {
+  const promptKey = `img_prompt_${imageSlug}`;
+  const promptData = isCached(promptKey, 168) ? getCache(promptKey) : null;
+
+  if (isCached(`image_${imageSlug}`, 168, true)) {
+    return { status: "ready", prompt: promptData?.prompt || null };
+  }
+  if (promptData?.ready && promptData.prompt) {
+    return { status: "available", prompt: promptData.prompt };
+  }
+  if (promptData && !promptData.ready) {
+    return { status: "pending", prompt: null };
+  }
+  return { status: "missing", prompt: null };
+}
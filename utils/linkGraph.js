@@ -0,0 +1,130 @@
+// Link graph: outgoing /wiki/ links of every generated page, persisted as JSON
+// and indexed in reverse for "What links here"
+import fs from "fs";
+import path from "path";
+import { titleToWikipediaSlug } from "./slugs.js";
+import { onCacheDelete } from "./fileCache.js";
+
+const LINK_GRAPH_FILE = path.join(
+  process.env.CACHE_DIR || path.join(process.cwd(), "cache"),
+  "linkGraph.json"
+);
+
+// Source slug -> Set of target slugs, and target slug -> Set of source slugs
+let outgoingLinks = new Map();
+let incomingLinks = new Map();
+
+// Ensure cache directory exists
+function ensureCacheDir() {
+  const cacheDir = path.dirname(LINK_GRAPH_FILE);
+  if (!fs.existsSync(cacheDir)) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+  }
+}
+
+function addIncoming(source, targets) {
+  targets.forEach((target) => {
+    if (!incomingLinks.has(target)) {
+      incomingLinks.set(target, new Set());
+    }
+    incomingLinks.get(target).add(source);
+  });
+}
+
+function removeIncoming(source, targets) {
+  targets.forEach((target) => {
+    const sources = incomingLinks.get(target);
+    if (sources) {
+      sources.delete(source);
+      if (sources.size === 0) {
+        incomingLinks.delete(target);
+      }
+    }
+  });
+}
+
+// Load the link graph from its JSON file
+function loadLinkGraph() {
+  try {
+    ensureCacheDir();
+    if (fs.existsSync(LINK_GRAPH_FILE)) {
+      const data = JSON.parse(fs.readFileSync(LINK_GRAPH_FILE, "utf8"));
+      outgoingLinks = new Map(
+        Object.entries(data).map(([source, targets]) => [
+          source,
+          new Set(targets),
+        ])
+      );
+      incomingLinks = new Map();
+      outgoingLinks.forEach((targets, source) => addIncoming(source, targets));
+      console.log(`Loaded link graph with ${outgoingLinks.size} pages`);
+    }
+  } catch (error) {
+    console.error("Error loading link graph:", error);
+    outgoingLinks = new Map();
+    incomingLinks = new Map();
+  }
+}
+
+// Save the link graph to its JSON file
+function saveLinkGraph() {
+  try {
+    ensureCacheDir();
+    const data = Object.fromEntries(
+      [...outgoingLinks].map(([source, targets]) => [source, [...targets]])
+    );
+    fs.writeFileSync(LINK_GRAPH_FILE, JSON.stringify(data));
+  } catch (error) {
+    console.error("Error saving link graph:", error);
+  }
+}
+
+/**
+ * Record the outgoing links of a generated page, replacing any links recorded
+ * for an earlier version of it
+ * @param {string} sourceSlug - Slug of the generated page
+ * @param {Array<string>} linkedTitles - Titles of the pages it links to
+ */
+export function setPageLinks(sourceSlug, linkedTitles) {
+  const targets = new Set(
+    linkedTitles
+      .map((title) => titleToWikipediaSlug(title))
+      .filter((target) => target && target !== sourceSlug)
+  );
+
+  removeIncoming(sourceSlug, outgoingLinks.get(sourceSlug) || []);
+  outgoingLinks.set(sourceSlug, targets);
+  addIncoming(sourceSlug, targets);
+  saveLinkGraph();
+}
+
+// Forget the outgoing links of a page that is no longer cached
+export function removePageLinks(sourceSlug) {
+  const targets = outgoingLinks.get(sourceSlug);
+  if (!targets) {
+    return;
+  }
+  removeIncoming(sourceSlug, targets);
+  outgoingLinks.delete(sourceSlug);
+  saveLinkGraph();
+}
+
+// Get the slugs of the pages linking to a page, sorted
+export function getBacklinks(slug) {
+  return [...(incomingLinks.get(slug) || [])].sort();
+}
+
+// Get the slugs a page links to, sorted
+export function getPageLinks(slug) {
+  return [...(outgoingLinks.get(slug) || [])].sort();
+}
+
+// Keep the graph in step with the page cache
+onCacheDelete((key, isBinary) => {
+  if (!isBinary && key.startsWith("wiki_")) {
+    removePageLinks(key.slice("wiki_".length));
+  }
+});
+
+// Initialize graph on startup
+loadLinkGraph();
@@ -0,0 +1,64 @@
+// Link status: marks each /wiki/ link by whether its target is ready to read,
+// known to be valid but not yet generated, or unknown
+import { isCached } from "./fileCache.js";
+import { isValidPage } from "./validPages.js";
+import { unescapeHtml } from "./html.js";
+import { titleToWikipediaSlug } from "./slugs.js";
+
+// Class added to a link for each status
+export const LINK_STATUS_CLASSES = {
+  generated: "wiki-link-generated",
+  known: "wiki-link-known",
+  unknown: "wiki-link-unknown",
+};
+
+const WIKI_LINK_PATTERN = /<a href="\/wiki\/([^"]*)"([^>]*)>/g;
+const STATUS_CLASS_PATTERN = /\s*class="wiki-link-(?:generated|known|unknown)"/;
+
+// Function to turn an href path (HTML-escaped, maybe percent-encoded) into a
+// canonical slug
+function hrefToSlug(href) {
+  return titleToWikipediaSlug(unescapeHtml(href).split("?")[0]);
+}
+
+/**
+ * Get the status of a wiki page for link rendering
+ * @param {string} slug - Page slug
+ * @param {number} maxAgeHours - Oldest cached copy that is still served at once
+ * @returns {string} - "generated", "known" or "unknown"
+ */
+export function getLinkStatus(slug, maxAgeHours) {
+  if (isCached(`wiki_${slug}`, maxAgeHours)) {
+    return "generated";
+  }
+  // Rendering a link is not a use of the page, so leave its recency alone
+  if (isValidPage(slug, { touch: false })) {
+    return "known";
+  }
+  return "unknown";
+}
+
+/**
+ * Add a link status class to every /wiki/ link in rendered HTML. Safe to run
+ * again on already marked HTML; the previous status is replaced.
+ * @param {string} html - Rendered HTML
+ * @param {number} maxAgeHours - Oldest cached copy that is still served at once
+ * @returns {string} - HTML with status classes
+ */
+export function markLinkStatus(html, maxAgeHours) {
+  const statuses = new Map();
+
+  return html.replace(WIKI_LINK_PATTERN, (match, href, attributes) => {
+    const slug = hrefToSlug(href);
+    // Special pages always exist and are never generated
+    if (slug.startsWith("Special:")) {
+      return match;
+    }
+    if (!statuses.has(slug)) {
+      statuses.set(slug, getLinkStatus(slug, maxAgeHours));
+    }
+    const statusClass = LINK_STATUS_CLASSES[statuses.get(slug)];
+    const otherAttributes = attributes.replace(STATUS_CLASS_PATTERN, "");
+    return `<a href="/wiki/${href}" class="${statusClass}"${otherAttributes}>`;
+  });
+}
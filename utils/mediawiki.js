@@ -0,0 +1,165 @@
+// MediaWiki Action API compatibility: the shapes /w/api.php answers in, so
+// bots and tools written for MediaWiki's api.php work against the simulator
+import crypto from "crypto";
+import { markdownToText } from "./pageDocuments.js";
+
+// Most titles accepted in one query, as for MediaWiki clients without bot rights
+export const MEDIAWIKI_MAX_TITLES = 50;
+
+// Where clients are pointed for API usage in error responses
+const API_DOCS = "See /w/api.php for API usage.";
+
+/**
+ * Get the page ID of a page. Pages have no database rows, so the ID is derived
+ * from the slug: stable across restarts, always a positive 31-bit integer.
+ * @param {string} slug - Page slug
+ * @returns {number} - Page ID
+ */
+export function getPageId(slug) {
+  return (
+    crypto.createHash("sha1").update(slug).digest().readUInt32BE(0) >>> 1 || 1
+  );
+}
+
+// Function to read the formatversion parameter (1 unless 2 or "latest")
+export function readFormatVersion(value) {
+  return value === "2" || value === "latest" ? 2 : 1;
+}
+
+// Function to split a multi-value parameter ("a|b|c") into its values
+export function splitMultiValue(value) {
+  if (typeof value !== "string" || value === "") {
+    return [];
+  }
+  return value.split("|").map((part) => part.trim());
+}
+
+/**
+ * Convert a response to formatversion 1, where true booleans are empty
+ * strings and false ones are left out
+ * @param {*} value - Response built with real booleans
+ * @returns {*} - The formatversion 1 response
+ */
+export function toFormatVersion1(value) {
+  if (Array.isArray(value)) {
+    return value.map(toFormatVersion1);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, field]) => field !== false)
+        .map(([key, field]) => [
+          key,
+          field === true ? "" : toFormatVersion1(field),
+        ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Build the query.pages of a query response. formatversion 2 lists pages in
+ * order; formatversion 1 keys them by page ID, with negative keys for missing
+ * and invalid pages.
+ * @param {Array<Object>} pages - Page entries, missing ones without a pageid
+ * @param {number} formatVersion - 1 or 2
+ * @returns {Array|Object} - query.pages
+ */
+export function formatQueryPages(pages, formatVersion) {
+  if (formatVersion === 2) {
+    return pages;
+  }
+  let missingKey = 0;
+  return Object.fromEntries(
+    pages.map((page) => [
+      page.pageid !== undefined ? String(page.pageid) : String(--missingKey),
+      page,
+    ])
+  );
+}
+
+// Function to read a limit parameter: fallback when missing or not a positive
+// number, at most max ("max" asks for max)
+export function readLimitParam(value, fallback, max) {
+  if (value === "max") {
+    return max;
+  }
+  const limit = parseInt(value, 10);
+  return limit > 0 ? Math.min(limit, max) : fallback;
+}
+
+// Function to build an error response
+export function mediawikiError(code, info, formatVersion = 1) {
+  return {
+    error:
+      formatVersion === 2
+        ? { code, info, docref: API_DOCS }
+        : { code, info, "*": API_DOCS },
+  };
+}
+
+// Function to build a warning for a module ("query", "parse", ...)
+export function mediawikiWarning(module, text, formatVersion = 1) {
+  return { [module]: formatVersion === 2 ? { warnings: text } : { "*": text } };
+}
+
+// Function to shorten an extract to at most maxChars characters, at a word
+// boundary, as exchars does
+export function truncateExtract(text, maxChars) {
+  if (!maxChars || text.length <= maxChars) {
+    return text;
+  }
+  const cut = text.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Write an article as plain text the way TextExtracts does: a line per
+ * paragraph, with "== Heading ==" lines before sections
+ * @param {Object} article - Stored article (see pageDocuments.js)
+ * @param {Object} options - { intro } to stop after the opening
+ * @returns {string} - Plain text extract
+ */
+export function articleToPlainText(article, { intro = false } = {}) {
+  const paragraphs = (markdown) =>
+    String(markdown || "")
+      .split(/\n\s*\n/)
+      .map(markdownToText)
+      .filter(Boolean);
+
+  const lines = paragraphs(article.opening);
+  if (!intro) {
+    article.sections.forEach(({ title, markdown }) => {
+      lines.push("", `== ${title} ==`, ...paragraphs(markdown));
+    });
+  }
+  return lines.join("\n");
+}
+
+// Function to turn search snippet highlights into MediaWiki's searchmatch spans
+export function toSearchMatchSnippet(snippet) {
+  return snippet
+    .replace(/<mark>/g, '<span class="searchmatch">')
+    .replace(/<\/mark>/g, "</span>");
+}
+
+/**
+ * Build the sections list of a parse response from the article's sections
+ * @param {Array<Object>} sections - { title, anchor } of each section
+ * @param {string} fromTitle - Title of the parsed page
+ * @returns {Array<Object>} - MediaWiki section entries
+ */
+export function formatParseSections(sections, fromTitle) {
+  return sections.map(({ title, anchor }, index) => ({
+    toclevel: 1,
+    level: "2",
+    line: title,
+    number: String(index + 1),
+    index: String(index + 1),
+    fromtitle: fromTitle.replace(/ /g, "_"),
+    byteoffset: null,
+    anchor,
+    linkAnchor: anchor,
+  }));
+}
@@ -0,0 +1,101 @@
+// Page documents: what a generated page is made of (its title, outline,
+// markdown, infobox data, image refs and linked pages). The page cache stores
+// these instead of final HTML, so pages are rendered with the current
+// templates when they are served.
+import { getDisambiguationTerm } from "./slugs.js";
+
+/**
+ * Create the document stored for a generated page
+ * @param {string} title - Page title
+ * @param {Object} parts - { article, linkedPages, imageRefs } (article as
+ *   returned by generatePageContent or generateDisambiguationContent)
+ * @returns {Object} - Page document
+ */
+export function createPageDocument(
+  title,
+  { article, linkedPages = [], imageRefs = [] }
+) {
+  return {
+    title,
+    article,
+    imageRefs,
+    linkedPages,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+// Whether cached page content is a document (pages cached before documents
+// were introduced hold their final HTML)
+export function isPageDocument(content) {
+  return Boolean(
+    content && typeof content === "object" && content.article && content.title
+  );
+}
+
+/**
+ * Turn article markdown into plain text: wiki links become their text and
+ * images, headings markers and emphasis are dropped
+ * @param {string} markdown - Article markdown
+ * @returns {string} - Plain text on one line
+ */
+export function markdownToText(markdown) {
+  return String(markdown || "")
+    .replace(/\[\[Image:[^\]]*\]\]/gi, " ")
+    .replace(/\[\[([^|\]]+)\|([^\]]+)\]\]/g, "$2")
+    .replace(/\[\[([^\]]+)\]\]/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^\s*(?:#+|[*-]|\d+\.)\s+/gm, "")
+    .replace(/\*\*|__|[*`]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Function to list the text values of infobox data (nested lists included)
+function infoboxValues(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(infoboxValues);
+  }
+  if (value && typeof value === "object") {
+    return Object.values(value).flatMap(infoboxValues);
+  }
+  return value === null || value === undefined || value === ""
+    ? []
+    : [String(value)];
+}
+
+/**
+ * Get the plain text of a page document, as shown on the page: the infobox,
+ * opening and sections (with their headings) without the title
+ * @param {Object} document - Page document
+ * @returns {string} - Plain text
+ */
+export function extractDocumentText({ title, article }) {
+  if (article.kind === "disambiguation") {
+    return [
+      `${getDisambiguationTerm(title)} may refer to:`,
+      ...article.meanings.map(({ title: meaning, description }) =>
+        description ? `${meaning}, ${description}` : meaning
+      ),
+    ].join(" ");
+  }
+
+  const infobox = Object.entries(article.infobox || {})
+    .filter(([field]) => field !== "name" && field !== "image")
+    .flatMap(([field, value]) => [
+      field.replace(/_/g, " "),
+      ...infoboxValues(value),
+    ]);
+  return markdownToText(
+    [
+      ...infobox,
+      article.opening,
+      ...article.sections.flatMap(({ title: heading, markdown }) => [
+        heading,
+        markdown,
+      ]),
+      ...(article.seeAlso && article.seeAlso.length > 0
+        ? ["See also", ...article.seeAlso]
+        : []),
+    ].join("\n")
+  );
+}
@@ -0,0 +1,122 @@
+// Page summaries for link previews: the opening paragraph and lead image of
+// an already generated page, read from the page cache
+import sanitizeHtml from "sanitize-html";
+import { getCacheStore, isCached } from "./fileCache.js";
+import { wikipediaSlugToTitle, getDisambiguationTerm } from "./slugs.js";
+import { unescapeHtml } from "./html.js";
+import { getInfoboxImage } from "./imageContext.js";
+import { isPageDocument, markdownToText } from "./pageDocuments.js";
+
+const EXTRACT_MAX_LENGTH = 400;
+
+// Images are served from the cache for a week (see the /images/ route)
+const IMAGE_MAX_AGE_HOURS = 168;
+
+// Function to shorten text to a maximum length at a word boundary
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(
+    /[\s,;:.]+$/,
+    ""
+  )}…`;
+}
+
+// Function to turn an HTML fragment into plain text
+function htmlToText(html) {
+  const text = sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} });
+  return unescapeHtml(text).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Extract the summary parts of a rendered page
+ * @param {string} pageHtml - Rendered page HTML
+ * @returns {Object} - { extract, image } (plain-text opening paragraph, and
+ *   the infobox image path or null)
+ */
+export function extractPageSummary(pageHtml) {
+  const contentStart = pageHtml.indexOf('<div class="article-content">');
+  const article = contentStart >= 0 ? pageHtml.slice(contentStart) : pageHtml;
+
+  // The infobox is built from divs, so the first paragraph is the opening
+  const paragraphMatch = article.match(/<p>([\s\S]*?)<\/p>/);
+  const text = paragraphMatch ? htmlToText(paragraphMatch[1]) : "";
+
+  const imageMatch = article.match(
+    /<div class="infobox-image">\s*<img data-src="(\/images\/[^"]+)"/
+  );
+
+  return {
+    extract: truncateText(text, EXTRACT_MAX_LENGTH),
+    image: imageMatch ? unescapeHtml(imageMatch[1]) : null,
+  };
+}
+
+/**
+ * Extract the summary parts of a page document
+ * @param {Object} document - Page document (see pageDocuments.js)
+ * @returns {Object} - { extract, image } as for extractPageSummary
+ */
+export function extractDocumentSummary({ title, article }) {
+  if (article.kind === "disambiguation") {
+    return {
+      extract: `${getDisambiguationTerm(title)} may refer to:`,
+      image: null,
+    };
+  }
+
+  // The opening's first paragraph, as rendered above the contents
+  const [firstParagraph] = String(article.opening || "").split(/\n\s*\n/);
+  const infoboxImage = getInfoboxImage(article.infobox);
+
+  return {
+    extract: truncateText(markdownToText(firstParagraph), EXTRACT_MAX_LENGTH),
+    image: infoboxImage
+      ? `/images/${infoboxImage.slug}.${infoboxImage.extension}`
+      : null,
+  };
+}
+
+/**
+ * Get the summary of a generated page, without generating anything
+ * @param {string} slug - Page slug
+ * @param {number} maxAgeHours - Oldest cached copy that may be summarized
+ * @returns {Object|null} - { slug, title, extract, image }, or null when the
+ *   page is not cached. image is only set once the image itself is cached.
+ */
+export function getPageSummary(slug, maxAgeHours) {
+  const cacheKey = `wiki_${slug}`;
+  if (!isCached(cacheKey, maxAgeHours)) {
+    return null;
+  }
+
+  // Read the store directly: a preview is not a visit, so leave LRU alone
+  const entry = getCacheStore().read(cacheKey, false);
+  const page = entry ? entry.content : null;
+  if (!isPageDocument(page) && typeof page !== "string") {
+    return null;
+  }
+
+  // Pages cached before documents existed hold their final HTML
+  const { extract, image } = isPageDocument(page)
+    ? extractDocumentSummary(page)
+    : extractPageSummary(page);
+  // Hovering should never start image generation, so only offer ready images
+  const imageReady =
+    image !== null &&
+    isCached(
+      `image_${image.slice("/images/".length).replace(/\.[^.]*$/, "")}`,
+      IMAGE_MAX_AGE_HOURS,
+      true
+    );
+
+  return {
+    slug,
+    title: wikipediaSlugToTitle(slug),
+    extract,
+    image: imageReady ? image : null,
+  };
+}
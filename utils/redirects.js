@@ -0,0 +1,155 @@
+// Redirects: aliases that lead to a canonical page (slug rewrites and
+// redirects added by admins), persisted as JSON
+import fs from "fs";
+import path from "path";
+import { titleToWikipediaSlug } from "./slugs.js";
+
+const REDIRECTS_FILE = path.join(
+  process.env.CACHE_DIR || path.join(process.cwd(), "cache"),
+  "redirects.json"
+);
+
+// Where a redirect came from
+export const REDIRECT_SOURCES = ["rewrite", "admin"];
+
+// Alias slug -> { to, source, createdAt }
+let redirects = new Map();
+
+// Ensure cache directory exists
+function ensureCacheDir() {
+  const cacheDir = path.dirname(REDIRECTS_FILE);
+  if (!fs.existsSync(cacheDir)) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+  }
+}
+
+// Load redirects from their JSON file
+function loadRedirects() {
+  try {
+    ensureCacheDir();
+    if (fs.existsSync(REDIRECTS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(REDIRECTS_FILE, "utf8"));
+      // Files saved before titles were normalized may hold other spellings;
+      // redirects that now lead to themselves are dropped
+      redirects = new Map();
+      Object.entries(data).forEach(([from, redirect]) => {
+        const fromSlug = titleToWikipediaSlug(from);
+        const toSlug = titleToWikipediaSlug(redirect.to);
+        if (fromSlug && toSlug && fromSlug !== toSlug) {
+          redirects.set(fromSlug, { ...redirect, to: toSlug });
+        }
+      });
+      console.log(`Loaded ${redirects.size} redirects`);
+    }
+  } catch (error) {
+    console.error("Error loading redirects:", error);
+    redirects = new Map();
+  }
+}
+
+// Save redirects to their JSON file
+function saveRedirects() {
+  try {
+    ensureCacheDir();
+    fs.writeFileSync(
+      REDIRECTS_FILE,
+      JSON.stringify(Object.fromEntries(redirects), null, 2)
+    );
+  } catch (error) {
+    console.error("Error saving redirects:", error);
+  }
+}
+
+// Function to follow redirects from a slug to the page they end at
+function resolveTarget(slug) {
+  const visited = new Set();
+  let target = slug;
+  while (redirects.has(target) && !visited.has(target)) {
+    visited.add(target);
+    target = redirects.get(target).to;
+  }
+  return target;
+}
+
+/**
+ * Add (or replace) a redirect. Targets that are themselves redirects are
+ * followed, and redirects that pointed at the alias are moved to the new
+ * target, so every redirect leads straight to a page. Redirecting a page to
+ * one of its own aliases reverses that redirect.
+ * @param {string} from - Alias title or slug
+ * @param {string} to - Target title or slug
+ * @param {Object} options - { source } ("rewrite" or "admin"), and createdAt
+ *   (ISO date) when copying a redirect from elsewhere
+ * @returns {Object} - The stored redirect { from, to, source, createdAt }
+ */
+export function addRedirect(
+  from,
+  to,
+  { source = "rewrite", createdAt = new Date().toISOString() } = {}
+) {
+  const fromSlug = titleToWikipediaSlug(from);
+  let toSlug = titleToWikipediaSlug(to);
+
+  if (!fromSlug || !toSlug) {
+    throw new Error("Redirects need both a source and a target page");
+  }
+  if (!REDIRECT_SOURCES.includes(source)) {
+    throw new Error(`Unknown redirect source: ${source}`);
+  }
+
+  // Reversing a redirect: the target stops being an alias of the source
+  if (toSlug !== fromSlug && resolveTarget(toSlug) === fromSlug) {
+    redirects.delete(toSlug);
+  }
+  toSlug = resolveTarget(toSlug);
+
+  if (fromSlug === toSlug) {
+    throw new Error(`"${fromSlug}" cannot redirect to itself`);
+  }
+
+  const redirect = { to: toSlug, source, createdAt };
+  redirects.set(fromSlug, redirect);
+
+  // Redirects to the alias now lead on to its target
+  redirects.forEach((existing) => {
+    if (existing.to === fromSlug) {
+      existing.to = toSlug;
+    }
+  });
+
+  saveRedirects();
+  return { from: fromSlug, ...redirect };
+}
+
+// Remove a redirect; returns whether one existed
+export function removeRedirect(from) {
+  const removed = redirects.delete(titleToWikipediaSlug(from));
+  if (removed) {
+    saveRedirects();
+  }
+  return removed;
+}
+
+// Get the slug a page redirects to, or null
+export function getRedirect(slug) {
+  const redirect = redirects.get(slug);
+  return redirect ? redirect.to : null;
+}
+
+// Get the aliases redirecting to a page, sorted
+export function getRedirectsTo(slug) {
+  return [...redirects]
+    .filter(([, redirect]) => redirect.to === slug)
+    .map(([alias]) => alias)
+    .sort();
+}
+
+// List every redirect, sorted by alias
+export function listRedirects() {
+  return [...redirects]
+    .map(([from, redirect]) => ({ from, ...redirect }))
+    .sort((a, b) => a.from.localeCompare(b.from));
+}
+
+// Initialize redirects on startup
+loadRedirects();
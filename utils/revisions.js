@@ -0,0 +1,118 @@
+// Page revisions: every generated version of an article, with the outline and
+// markdown it was rendered from and how it was generated. Each page's history
+// is one cache entry, which the sweeper never evicts.
+import { getCache, setCache } from "./fileCache.js";
+
+const REVISIONS_KEY_PREFIX = "revisions_";
+
+// Revisions kept per page; the oldest are dropped first
+const REVISIONS_MAX = parseInt(process.env.REVISIONS_MAX, 10) || 20;
+
+// What created a revision
+export const REVISION_ACTIONS = [
+  "generate",
+  "refresh",
+  "regenerate",
+  "regenerate-section",
+  "rollback",
+];
+
+const getRevisionsKey = (slug) => `${REVISIONS_KEY_PREFIX}${slug}`;
+
+// Read a page's history, oldest first
+function readRevisions(slug) {
+  const revisions = getCache(getRevisionsKey(slug));
+  return Array.isArray(revisions) ? revisions : [];
+}
+
+/**
+ * Get the stored revisions of a page
+ * @param {string} slug - Page slug
+ * @returns {Array<Object>} - Revisions, newest first
+ */
+export function getRevisions(slug) {
+  return [...readRevisions(slug)].reverse();
+}
+
+// Get one revision of a page by id, or null
+export function getRevision(slug, id) {
+  return readRevisions(slug).find((revision) => revision.id === id) || null;
+}
+
+// Get the newest revision of a page, or null
+export function getLatestRevision(slug) {
+  const revisions = readRevisions(slug);
+  return revisions.length > 0 ? revisions[revisions.length - 1] : null;
+}
+
+/**
+ * Record a new revision of a page, dropping the oldest beyond REVISIONS_MAX
+ * @param {string} slug - Page slug
+ * @param {Object} revision - { action, article, linkedPages, promptVersion,
+ *   provider, models } plus section (regenerate-section) or rolledBackTo
+ *   (rollback)
+ * @returns {Object} - The stored revision, with its id and timestamp
+ */
+export function addRevision(slug, revision) {
+  if (!REVISION_ACTIONS.includes(revision.action)) {
+    throw new Error(`Unknown revision action: ${revision.action}`);
+  }
+
+  const revisions = readRevisions(slug);
+  const previous = revisions[revisions.length - 1];
+  const stored = {
+    ...revision,
+    // Ids keep counting after old revisions are dropped
+    id: previous ? previous.id + 1 : 1,
+    timestamp: new Date().toISOString(),
+  };
+
+  setCache(getRevisionsKey(slug), [...revisions, stored].slice(-REVISIONS_MAX));
+  return stored;
+}
+
+/**
+ * Write a revision's article as text for diffs: the infobox fields, the
+ * opening and each section's markdown under its heading
+ * @param {Object} revision - A stored revision
+ * @returns {string} - Source text of the revision
+ */
+export function revisionToText({ article }) {
+  if (!article) {
+    return "";
+  }
+  if (article.kind === "disambiguation") {
+    return article.meanings
+      .map(
+        ({ title, description, group }) =>
+          `* [[${title}]]${description ? `, ${description}` : ""}${
+            group ? ` (${group})` : ""
+          }`
+      )
+      .join("\n");
+  }
+
+  const infoboxLines = Object.entries(article.infobox || {}).map(
+    ([field, value]) =>
+      `| ${field} = ${
+        typeof value === "string" ? value : JSON.stringify(value)
+      }`
+  );
+  const parts = [
+    ...(infoboxLines.length > 0
+      ? [["{{Infobox", ...infoboxLines, "}}"].join("\n")]
+      : []),
+    article.opening,
+    ...article.sections.map(
+      ({ title, markdown }) => `## ${title}\n\n${markdown}`
+    ),
+    ...(article.seeAlso && article.seeAlso.length > 0
+      ? [
+          `## See also\n\n${article.seeAlso
+            .map((title) => `* [[${title}]]`)
+            .join("\n")}`,
+        ]
+      : []),
+  ];
+  return parts.join("\n\n");
+}
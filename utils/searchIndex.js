@@ -0,0 +1,278 @@
+// Full-text search over generated pages: an in-memory inverted index built
+// from the cached article text (infobox included) and kept current through
+// the page cache's write and delete hooks. Pages are cached as documents (see
+// pageDocuments.js), or as HTML when cached before documents existed.
+import sanitizeHtml from "sanitize-html";
+import {
+  getCacheStore,
+  listCacheEntries,
+  onCacheSet,
+  onCacheDelete,
+} from "./fileCache.js";
+import { wikipediaSlugToTitle } from "./slugs.js";
+import { escapeHtml, unescapeHtml } from "./html.js";
+import { isPageDocument, extractDocumentText } from "./pageDocuments.js";
+
+const PAGE_KEY_PREFIX = "wiki_";
+const TITLE_WEIGHT = 5;
+const SNIPPET_LENGTH = 200;
+
+const STOP_WORDS = new Set([
+  "the",
+  "and",
+  "for",
+  "with",
+  "from",
+  "that",
+  "this",
+  "was",
+  "are",
+  "its",
+  "into",
+  "also",
+]);
+
+// slug -> { title, text }, and token -> Map(slug -> weighted term count)
+const documents = new Map();
+const postings = new Map();
+let loaded = false;
+
+// Tokens in sorted order for prefix lookups; rebuilt on the next lookup after
+// tokens come or go
+let sortedTokens = null;
+
+// Fold case and diacritics so "Café" matches "cafe"
+function normalizeText(text) {
+  return text.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+/**
+ * Split text into index tokens
+ * @param {string} text - Plain text
+ * @returns {Array<string>} - Normalized tokens (stop words and single characters dropped)
+ */
+export function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+// Function to extract the searchable text of a rendered page: the article
+// (including the infobox), without the title heading, section links or link
+// legend
+export function extractPageText(pageHtml) {
+  const mainMatch = pageHtml.match(/<main class="content">([\s\S]*)<\/main>/);
+  const article = (mainMatch ? mainMatch[1] : pageHtml)
+    .replace(/<h1 class="article-title">[\s\S]*?<\/h1>/, "")
+    .replace(/<span class="section-actions">[\s\S]*?<\/span>/g, "")
+    .replace(/<div class="link-legend">[\s\S]*?<\/div>/, "");
+
+  // Keep block boundaries as spaces so words from adjacent elements stay apart
+  const text = sanitizeHtml(article.replace(/</g, " <"), {
+    allowedTags: [],
+    allowedAttributes: {},
+  });
+  return unescapeHtml(text).replace(/\s+/g, " ").trim();
+}
+
+function removeDocument(slug) {
+  if (!documents.has(slug)) return;
+  const { title, text } = documents.get(slug);
+  new Set([...tokenize(title), ...tokenize(text)]).forEach((token) => {
+    const slugs = postings.get(token);
+    if (slugs) {
+      slugs.delete(slug);
+      if (slugs.size === 0) {
+        postings.delete(token);
+        sortedTokens = null;
+      }
+    }
+  });
+  documents.delete(slug);
+}
+
+// Whether cached content is a page the index can read
+const isIndexable = (content) =>
+  typeof content === "string" || isPageDocument(content);
+
+function addDocument(slug, page) {
+  removeDocument(slug);
+  const title = wikipediaSlugToTitle(slug);
+  const text = isPageDocument(page)
+    ? extractDocumentText(page)
+    : extractPageText(page);
+  documents.set(slug, { title, text });
+
+  const counts = new Map();
+  tokenize(text).forEach((token) => {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  });
+  tokenize(title).forEach((token) => {
+    counts.set(token, (counts.get(token) || 0) + TITLE_WEIGHT);
+  });
+
+  counts.forEach((count, token) => {
+    if (!postings.has(token)) {
+      postings.set(token, new Map());
+      sortedTokens = null;
+    }
+    postings.get(token).set(slug, count);
+  });
+}
+
+/**
+ * Build the index from the pages already in the cache, once: the server calls
+ * this at startup, and searches call it in case nothing did. Reads go straight
+ * to the store so indexing does not count as a page access.
+ */
+export function buildSearchIndex() {
+  if (loaded) return;
+  loaded = true;
+
+  try {
+    const store = getCacheStore();
+    listCacheEntries()
+      .filter(
+        ({ key, isBinary }) => !isBinary && key.startsWith(PAGE_KEY_PREFIX)
+      )
+      .forEach(({ key }) => {
+        const entry = store.read(key, false);
+        if (entry && isIndexable(entry.content)) {
+          addDocument(key.slice(PAGE_KEY_PREFIX.length), entry.content);
+        }
+      });
+    console.log(`🔎 Search index built with ${documents.size} pages`);
+  } catch (error) {
+    console.error("Error building search index:", error);
+  }
+}
+
+// Find the slugs containing a token, treating it as a prefix when asked
+function lookupToken(token, asPrefix) {
+  if (!asPrefix) {
+    return postings.get(token) || new Map();
+  }
+  if (sortedTokens === null) {
+    sortedTokens = [...postings.keys()].sort();
+  }
+
+  // Binary search for the first token not sorting before the prefix; the
+  // tokens it starts come right after
+  let low = 0;
+  let high = sortedTokens.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (sortedTokens[middle] < token) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  const matches = new Map();
+  for (
+    let index = low;
+    index < sortedTokens.length && sortedTokens[index].startsWith(token);
+    index++
+  ) {
+    postings.get(sortedTokens[index]).forEach((count, slug) => {
+      matches.set(slug, (matches.get(slug) || 0) + count);
+    });
+  }
+  return matches;
+}
+
+// Words of the original text; combining marks stay part of their word
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Whether a word of the original text starts with a query token
+const startsWithToken = (word, tokens) => {
+  const normalized = normalizeText(word);
+  return tokens.some((token) => normalized.startsWith(token));
+};
+
+// Function to build an HTML snippet around the first query match, with
+// matches highlighted. Words are found in the original text and only
+// normalized to compare them, so every offset indexes the original text.
+function buildSnippet(text, tokens) {
+  let first = 0;
+  for (const { 0: word, index } of text.matchAll(WORD_PATTERN)) {
+    if (startsWithToken(word, tokens)) {
+      first = index;
+      break;
+    }
+  }
+
+  const start = Math.max(0, first - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const excerpt = text.slice(start, end);
+
+  // Mark whole words that start with a query token
+  let html = "";
+  let cursor = 0;
+  for (const { 0: word, index } of excerpt.matchAll(WORD_PATTERN)) {
+    if (startsWithToken(word, tokens)) {
+      html += escapeHtml(excerpt.slice(cursor, index));
+      html += `<mark>${escapeHtml(word)}</mark>`;
+      cursor = index + word.length;
+    }
+  }
+  html += escapeHtml(excerpt.slice(cursor));
+
+  return `${start > 0 ? "… " : ""}${html}${end < text.length ? " …" : ""}`;
+}
+
+/**
+ * Search generated pages. Every query token must match; the last one also
+ * matches as a prefix so partial words work while typing.
+ * @param {string} query - Search text
+ * @param {Object} options - { limit }
+ * @returns {Array<Object>} - Results { slug, title, score, snippet }, best first
+ */
+export function searchPages(query, { limit = 20 } = {}) {
+  buildSearchIndex();
+  const tokens = tokenize(query);
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const documentCount = documents.size;
+  let scores = null;
+  tokens.forEach((token, index) => {
+    const matches = lookupToken(token, index === tokens.length - 1);
+    const idf = Math.log(1 + documentCount / Math.max(matches.size, 1));
+    const tokenScores = new Map();
+    matches.forEach((count, slug) => {
+      if (scores === null || scores.has(slug)) {
+        tokenScores.set(slug, (scores ? scores.get(slug) : 0) + count * idf);
+      }
+    });
+    scores = tokenScores;
+  });
+
+  return [...scores]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([slug, score]) => {
+      const { title, text } = documents.get(slug);
+      return { slug, title, score, snippet: buildSnippet(text, tokens) };
+    });
+}
+
+// Keep the index in step with the page cache
+onCacheSet((key, content, isBinary) => {
+  if (
+    loaded &&
+    !isBinary &&
+    key.startsWith(PAGE_KEY_PREFIX) &&
+    isIndexable(content)
+  ) {
+    addDocument(key.slice(PAGE_KEY_PREFIX.length), content);
+  }
+});
+
+onCacheDelete((key, isBinary) => {
+  if (loaded && !isBinary && key.startsWith(PAGE_KEY_PREFIX)) {
+    removeDocument(key.slice(PAGE_KEY_PREFIX.length));
+  }
+});
@@ -0,0 +1,34 @@
+// In-process request coalescing: concurrent callers for the same key share one
+// pending generation instead of each running the pipeline
+
+const inFlight = new Map();
+
+/**
+ * Run fn for a key unless a run for that key is already pending, in which case
+ * the pending promise is returned. The key is released once the run settles.
+ * @param {string} key - Coalescing key (e.g. the cache key being generated)
+ * @param {Function} fn - Function returning the value or a promise of it
+ * @returns {Promise<*>} - Shared result of the run
+ */
+export function singleFlight(key, fn) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      inFlight.delete(key);
+    });
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Get the pending run for a key, if any
+ * @param {string} key - Coalescing key
+ * @returns {Promise<*>|null} - Pending promise or null
+ */
+export function getInFlight(key) {
+  return inFlight.get(key) || null;
+}
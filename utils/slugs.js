@@ -1,11 +1,73 @@
 // Wikipedia slug utility functions
 
-// Function to convert title to Wikipedia-style slug (preserves Unicode)
+// Characters MediaWiki does not allow in titles (plus control characters)
+const DISALLOWED_TITLE_CHARACTERS = /[<>[\]{}|\p{Cc}\uFFFD]/gu;
+
+// Function to decode percent-encoded sequences once, so an encoded "%" (as
+// in "100%25 Pure") stays a "%"; a stray "%" (as in "100% Juice") and
+// sequences that are not valid UTF-8 are left alone
+function decodePercentEncoding(text) {
+  return text.replace(/(?:%[0-9A-Fa-f]{2})+/g, (sequence) => {
+    try {
+      return decodeURIComponent(sequence);
+    } catch (error) {
+      return sequence;
+    }
+  });
+}
+
+/**
+ * Normalize a title or slug the way Wikipedia does, so equivalent spellings
+ * name the same page: percent-decoding, Unicode NFC, underscores and runs of
+ * whitespace as single spaces, disallowed characters and any "#fragment"
+ * removed, and the first letter capitalized.
+ * @param {string} title - Title or slug
+ * @returns {string} - Canonical title ("" when nothing usable is left)
+ */
+export function normalizeTitle(title) {
+  const normalized = decodePercentEncoding(String(title))
+    .normalize("NFC")
+    .split("#")[0]
+    .replace(DISALLOWED_TITLE_CHARACTERS, "")
+    .replace(/[_\s]+/g, " ")
+    .trim();
+  // Letters without a single-letter capital (such as "ß") stay as they are
+  const [first = ""] = normalized;
+  const capital = first.toUpperCase();
+  return (
+    (capital.length === first.length ? capital : first) +
+    normalized.slice(first.length)
+  );
+}
+
+// Function to convert a title (or slug) to its canonical Wikipedia-style slug
+// (preserves Unicode)
 export function titleToWikipediaSlug(title) {
-  return title.trim().replace(/\s+/g, "_");
+  return normalizeTitle(title).replace(/ /g, "_");
+}
+
+// Function to convert an image name to a file slug. Unlike page slugs, image
+// names keep their casing, as generated articles refer to them verbatim.
+export function imageNameToSlug(name) {
+  return name.trim().replace(/\s+/g, "_");
 }
 
 // Function to convert Wikipedia slug back to title (preserves existing casing)
 export function wikipediaSlugToTitle(slug) {
   return slug.replace(/_/g, " ");
 }
+
+// Suffix marking a disambiguation page title, as on Wikipedia
+export const DISAMBIGUATION_SUFFIX = " (disambiguation)";
+
+// Function to check whether a title names a disambiguation page
+export function isDisambiguationTitle(title) {
+  return title.toLowerCase().endsWith(DISAMBIGUATION_SUFFIX);
+}
+
+// Function to get the ambiguous term a disambiguation title is about
+export function getDisambiguationTerm(title) {
+  return isDisambiguationTitle(title)
+    ? title.slice(0, -DISAMBIGUATION_SUFFIX.length).trim()
+    : title;
+}
@@ -0,0 +1,143 @@
+// SQLite cache store: every entry (content, metadata and timestamp) is one row
+// in a single database file, so writes are atomic and lookups need no stat calls
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS cache_entries (
+    key TEXT NOT NULL,
+    is_binary INTEGER NOT NULL,
+    value BLOB NOT NULL,
+    metadata TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    accessed_at INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key, is_binary)
+  );
+  CREATE INDEX IF NOT EXISTS cache_entries_timestamp
+    ON cache_entries (timestamp);
+`;
+
+// Bring databases created by earlier versions up to the current schema
+function migrateSchema(db) {
+  const columns = db
+    .prepare("PRAGMA table_info(cache_entries)")
+    .all()
+    .map((column) => column.name);
+
+  if (!columns.includes("accessed_at")) {
+    db.exec(`
+      ALTER TABLE cache_entries
+        ADD COLUMN accessed_at INTEGER NOT NULL DEFAULT 0;
+      UPDATE cache_entries SET accessed_at = timestamp;
+    `);
+  }
+}
+
+// better-sqlite3 is an optional dependency; load it only when this store is used
+function loadDatabase() {
+  try {
+    return require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      'CACHE_BACKEND=sqlite needs the optional "better-sqlite3" package (npm install better-sqlite3)'
+    );
+  }
+}
+
+/**
+ * Create a cache store backed by a single SQLite database file
+ * @param {string} filePath - Database file path
+ * @returns {Object} - Cache store (see utils/fileCache.js)
+ */
+export function createSqliteCacheStore(filePath) {
+  const Database = loadDatabase();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  // WAL lets readers in other processes continue while one process writes
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(SCHEMA);
+  migrateSchema(db);
+
+  const statements = {
+    stat: db.prepare(
+      `SELECT timestamp, accessed_at AS accessedAt, size FROM cache_entries
+       WHERE key = ? AND is_binary = ?`
+    ),
+    read: db.prepare(
+      "SELECT value, metadata, timestamp FROM cache_entries WHERE key = ? AND is_binary = ?"
+    ),
+    write: db.prepare(
+      `INSERT OR REPLACE INTO cache_entries
+         (key, is_binary, value, metadata, size, timestamp, accessed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ),
+    touch: db.prepare(
+      "UPDATE cache_entries SET accessed_at = ? WHERE key = ? AND is_binary = ?"
+    ),
+    remove: db.prepare(
+      "DELETE FROM cache_entries WHERE key = ? AND is_binary = ?"
+    ),
+    list: db.prepare(
+      "SELECT key, is_binary, timestamp, accessed_at, size FROM cache_entries"
+    ),
+  };
+
+  return {
+    name: "sqlite",
+
+    stat(key, isBinary) {
+      return statements.stat.get(key, isBinary ? 1 : 0) || null;
+    },
+
+    read(key, isBinary) {
+      const row = statements.read.get(key, isBinary ? 1 : 0);
+      if (!row) return null;
+      return {
+        content: isBinary ? row.value : JSON.parse(row.value),
+        metadata: JSON.parse(row.metadata),
+        timestamp: row.timestamp,
+      };
+    },
+
+    write(key, isBinary, content, metadata = {}, timestamp = Date.now()) {
+      const value = isBinary ? content : JSON.stringify(content);
+      statements.write.run(
+        key,
+        isBinary ? 1 : 0,
+        value,
+        JSON.stringify(metadata),
+        isBinary ? value.length : Buffer.byteLength(value),
+        timestamp,
+        timestamp
+      );
+    },
+
+    touch(key, isBinary, accessedAt = Date.now()) {
+      statements.touch.run(accessedAt, key, isBinary ? 1 : 0);
+    },
+
+    remove(key, isBinary) {
+      statements.remove.run(key, isBinary ? 1 : 0);
+    },
+
+    list() {
+      return statements.list.all().map((row) => ({
+        key: row.key,
+        isBinary: row.is_binary === 1,
+        timestamp: row.timestamp,
+        accessedAt: row.accessed_at,
+        size: row.size,
+      }));
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,133 @@
+// Static site export: turns pages rendered for the server into files that
+// work on plain static hosting, with relative links between them
+import { unescapeHtml, escapeHtml } from "./html.js";
+import { titleToWikipediaSlug } from "./slugs.js";
+import { LINK_STATUS_CLASSES } from "./linkStatus.js";
+
+// Directory of the exported pages, relative to the site root
+export const STATIC_PAGES_DIR = "wiki";
+
+// Directory of the exported images, relative to the site root
+export const STATIC_IMAGES_DIR = "images";
+
+// Page that links to pages missing from the export lead to
+export const STATIC_PLACEHOLDER_PAGE = "not-generated.html";
+
+// Search index loaded by static-search.js
+export const STATIC_SEARCH_INDEX = "search-index.json";
+
+// Scripts that work without the server; the rest of the layout's scripts
+// call its API and are dropped
+export const STATIC_SCRIPTS = [
+  "toc.js",
+  "aspect-ratio-handler.js",
+  "lazy-loader.js",
+];
+
+// Files copied from public/ into the export
+export const STATIC_ASSETS = [
+  "styles.css",
+  ...STATIC_SCRIPTS,
+  "static-search.js",
+];
+
+/**
+ * Make a slug safe to use as a file name. Characters that static hosts or file
+ * systems treat specially are written as "~XX" (UTF-8 bytes in hex), so every
+ * slug gets its own file.
+ * @param {string} slug - Page or image slug
+ * @returns {string} - File name, without an extension
+ */
+export function toStaticFileName(slug) {
+  const safe = slug.replace(/[^\p{L}\p{N}_.,()'!-]/gu, (character) =>
+    [...Buffer.from(character)]
+      .map((byte) => `~${byte.toString(16).toUpperCase().padStart(2, "0")}`)
+      .join("")
+  );
+  // Names starting with a dot are hidden files on most hosts
+  return safe.replace(/^\./, "~2E");
+}
+
+// Function to get the file name of an exported page
+export function getStaticPageFileName(slug) {
+  return `${toStaticFileName(slug)}.html`;
+}
+
+// Function to get the href of an exported file (URL-encoded) from a page
+// whose path is `root` below the site root ("" or "../")
+function staticHref(root, filePath) {
+  return `${root}${filePath.split("/").map(encodeURIComponent).join("/")}`;
+}
+
+/**
+ * Rewrite a page rendered for the server into a static page: wiki links lead
+ * to exported pages (or the placeholder page when not exported), images and
+ * assets are read relative to the page, and scripts that need the server are
+ * dropped
+ * @param {string} pageHtml - Rendered page HTML
+ * @param {Object} site - { root, exportedSlugs, imageFiles, resolveSlug }:
+ *   root is the path from the page to the site root ("" or "../"),
+ *   exportedSlugs a Set of exported page slugs, imageFiles a Map of image
+ *   slug to exported file name, resolveSlug maps a linked slug to the page it
+ *   leads to (following redirects)
+ * @returns {string} - Static page HTML
+ */
+export function toStaticPage(
+  pageHtml,
+  { root, exportedSlugs, imageFiles, resolveSlug = (slug) => slug }
+) {
+  return (
+    pageHtml
+      // Wiki links, marked by whether the export has their page
+      .replace(
+        /<a href="\/wiki\/([^"]*)"([^>]*)>/g,
+        (match, href, attributes) => {
+          const [path, fragment] = unescapeHtml(href).split("#");
+          const slug = resolveSlug(titleToWikipediaSlug(path.split("?")[0]));
+          const exported = exportedSlugs.has(slug);
+          const target = exported
+            ? `${staticHref(
+                root,
+                `${STATIC_PAGES_DIR}/${getStaticPageFileName(slug)}`
+              )}${fragment ? `#${encodeURIComponent(fragment)}` : ""}`
+            : staticHref(root, STATIC_PLACEHOLDER_PAGE);
+          const statusClass =
+            LINK_STATUS_CLASSES[exported ? "generated" : "unknown"];
+          const otherAttributes = attributes.replace(
+            /\s*class="wiki-link-(?:generated|known|unknown)"/,
+            ""
+          );
+          return `<a href="${escapeHtml(
+            target
+          )}" class="${statusClass}"${otherAttributes}>`;
+        }
+      )
+      // Images, from the exported copy when there is one
+      .replace(
+        /(<img[^>]+(?:data-src|src)=")\/images\/([^"]+)"/g,
+        (match, start, filename) => {
+          const imageSlug = unescapeHtml(filename).replace(/\.[^/.]+$/, "");
+          const file = imageFiles.get(imageSlug) || unescapeHtml(filename);
+          return `${start}${escapeHtml(
+            staticHref(root, `${STATIC_IMAGES_DIR}/${file}`)
+          )}"`;
+        }
+      )
+      // Scripts: keep those that work without the server
+      .replace(/\s*<script src="\/([^"]+)"><\/script>/g, (match, script) =>
+        STATIC_SCRIPTS.includes(script)
+          ? match.replace(`"/${script}"`, `"${root}${script}"`)
+          : ""
+      )
+      .replace(
+        "</body>",
+        `  <script src="${root}static-search.js"></script>\n  </body>`
+      )
+      // There is no server to search with OpenSearch
+      .replace(/\s*<link\s+rel="search"[^>]*\/>/, "")
+      .replace('href="/styles.css"', `href="${root}styles.css"`)
+      .replace(/href="\/"/g, `href="${staticHref(root, "index.html")}"`)
+      // Tells the scripts where the site root is, and that there is no server
+      .replace("<body>", `<body data-static-site="${root}">`)
+  );
+}
@@ -0,0 +1,197 @@
+// Gzipped tar archives (ustar), read and written in memory. Only regular files
+// are supported, which is all wiki bundles hold. Compression runs on libuv's
+// thread pool; the tar blocks are built and split on the caller's thread.
+import zlib from "zlib";
+import { promisify } from "util";
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BLOCK_SIZE = 512;
+
+// Limits on what readTarball unpacks, so a small hostile archive cannot fill
+// memory: total bytes once gunzipped, number of files and bytes per file
+export const TARBALL_LIMITS = {
+  maxBytes: 1024 * 1024 * 1024,
+  maxEntries: 200000,
+  maxEntryBytes: 64 * 1024 * 1024,
+};
+
+// Field offsets and lengths of a ustar header
+const HEADER_FIELDS = {
+  name: [0, 100],
+  mode: [100, 8],
+  uid: [108, 8],
+  gid: [116, 8],
+  size: [124, 12],
+  mtime: [136, 12],
+  checksum: [148, 8],
+  type: [156, 1],
+  magic: [257, 6],
+  version: [263, 2],
+  prefix: [345, 155],
+};
+
+// Function to write a string into a header field, NUL-padded
+function writeField(header, field, value) {
+  const [offset, length] = HEADER_FIELDS[field];
+  header.write(value, offset, length, "utf8");
+}
+
+// Function to write a number into a header field as zero-padded octal
+function writeOctalField(header, field, value) {
+  const [, length] = HEADER_FIELDS[field];
+  writeField(header, field, `${value.toString(8).padStart(length - 1, "0")}\0`);
+}
+
+// Function to read a header field as a string, up to its first NUL
+function readField(header, field) {
+  const [offset, length] = HEADER_FIELDS[field];
+  const value = header.subarray(offset, offset + length);
+  const end = value.indexOf(0);
+  return value.subarray(0, end === -1 ? length : end).toString("utf8");
+}
+
+// Function to sum the header bytes, the checksum field counted as spaces
+function headerChecksum(header) {
+  const [offset, length] = HEADER_FIELDS.checksum;
+  let sum = 8 * 0x20;
+  header.forEach((byte, index) => {
+    if (index < offset || index >= offset + length) {
+      sum += byte;
+    }
+  });
+  return sum;
+}
+
+// Function to split a path into ustar's prefix and name fields
+function splitPath(filePath) {
+  if (Buffer.byteLength(filePath) <= HEADER_FIELDS.name[1]) {
+    return { prefix: "", name: filePath };
+  }
+  const slash = filePath.lastIndexOf("/");
+  const prefix = filePath.slice(0, slash);
+  const name = filePath.slice(slash + 1);
+  if (
+    slash <= 0 ||
+    Buffer.byteLength(prefix) > HEADER_FIELDS.prefix[1] ||
+    Buffer.byteLength(name) > HEADER_FIELDS.name[1]
+  ) {
+    throw new Error(`Path is too long for a tar archive: ${filePath}`);
+  }
+  return { prefix, name };
+}
+
+// Function to build the header block of a file
+function createHeader({ path: filePath, content, mtime }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const { prefix, name } = splitPath(filePath);
+  writeField(header, "name", name);
+  writeOctalField(header, "mode", 0o644);
+  writeOctalField(header, "uid", 0);
+  writeOctalField(header, "gid", 0);
+  writeOctalField(header, "size", content.length);
+  writeOctalField(header, "mtime", Math.floor(mtime / 1000));
+  writeField(header, "type", "0");
+  writeField(header, "magic", "ustar\0");
+  writeField(header, "version", "00");
+  writeField(header, "prefix", prefix);
+  const [offset] = HEADER_FIELDS.checksum;
+  header.write(
+    `${headerChecksum(header).toString(8).padStart(6, "0")}\0 `,
+    offset,
+    "utf8"
+  );
+  return header;
+}
+
+/**
+ * Create a gzipped tar archive
+ * @param {Array<Object>} files - { path, content, mtime } of each file:
+ *   content a Buffer or string, mtime in ms (defaults to now)
+ * @returns {Promise<Buffer>} - The .tar.gz archive
+ */
+export async function createTarball(files) {
+  const blocks = files.flatMap(({ path: filePath, content, mtime }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    return [
+      createHeader({
+        path: filePath,
+        content: data,
+        mtime: mtime ?? Date.now(),
+      }),
+      data,
+      Buffer.alloc(padding),
+    ];
+  });
+  // Two empty blocks mark the end of the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return gzip(Buffer.concat(blocks));
+}
+
+/**
+ * Read the files of a gzipped tar archive. Entries other than regular files
+ * (directories, links) are skipped.
+ * @param {Buffer} tarball - The .tar.gz archive
+ * @param {Object} limits - { maxBytes, maxEntries, maxEntryBytes }, each
+ *   defaulting to TARBALL_LIMITS
+ * @returns {Promise<Array<Object>>} - { path, content, mtime } of each file,
+ *   in order
+ * @throws {Error} - When the archive is not gzipped tar or exceeds a limit
+ */
+export async function readTarball(tarball, limits = {}) {
+  const { maxBytes, maxEntries, maxEntryBytes } = {
+    ...TARBALL_LIMITS,
+    ...limits,
+  };
+  let archive;
+  try {
+    archive = await gunzip(tarball, { maxOutputLength: maxBytes });
+  } catch (error) {
+    if (error.code === "ERR_BUFFER_TOO_LARGE") {
+      throw new Error(`Archive unpacks to more than ${maxBytes} bytes`);
+    }
+    throw new Error(`Not a gzipped archive: ${error.message}`);
+  }
+
+  const files = [];
+  let entries = 0;
+  let offset = 0;
+  while (offset + BLOCK_SIZE <= archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+    const checksum = parseInt(readField(header, "checksum").trim(), 8);
+    if (checksum !== headerChecksum(header)) {
+      throw new Error(`Corrupt tar header at byte ${offset}`);
+    }
+
+    if (++entries > maxEntries) {
+      throw new Error(`Archive has more than ${maxEntries} entries`);
+    }
+    const size = parseInt(readField(header, "size").trim() || "0", 8);
+    if (size > maxEntryBytes) {
+      throw new Error(
+        `Archive entry at byte ${offset} is larger than ${maxEntryBytes} bytes`
+      );
+    }
+    const start = offset + BLOCK_SIZE;
+    if (start + size > archive.length) {
+      throw new Error("Truncated tar archive");
+    }
+    const type = readField(header, "type");
+    if (type === "0" || type === "") {
+      const prefix = readField(header, "prefix");
+      const name = readField(header, "name");
+      files.push({
+        path: prefix ? `${prefix}/${name}` : name,
+        content: Buffer.from(archive.subarray(start, start + size)),
+        mtime: parseInt(readField(header, "mtime").trim() || "0", 8) * 1000,
+      });
+    }
+    offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+  return files;
+}
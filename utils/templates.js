@@ -1,5 +1,8 @@
 import fs from "fs";
 import path from "path";
+import { getInfoboxImage } from "./imageContext.js";
+import { escapeHtml } from "./html.js";
+import { titleToWikipediaSlug, getDisambiguationTerm } from "./slugs.js";
 
 // Template loading functions
 export function loadTemplate(templateName) {
@@ -19,22 +22,28 @@ export function renderTemplate(templateName, variables = {}) {
   if (templateName === "page") {
     const layout = loadTemplate("layout");
     const content = loadTemplate("article");
-    template = layout.replace("{{CONTENT}}", content);
+    template = layout.replace("{{{CONTENT}}}", content);
+  } else if (templateName === "disambiguation") {
+    const layout = loadTemplate("layout");
+    const content = loadTemplate("disambiguation");
+    template = layout.replace("{{{CONTENT}}}", content);
   } else if (templateName === "home") {
     const layout = loadTemplate("layout");
     const homeContent = loadTemplate("home");
-    template = layout.replace("{{CONTENT}}", homeContent);
+    template = layout.replace("{{{CONTENT}}}", homeContent);
   } else {
     template = loadTemplate(templateName);
   }
 
-  // Replace variables
-  Object.keys(variables).forEach((key) => {
-    const regex = new RegExp(`{{${key}}}`, "g");
-    template = template.replace(regex, variables[key] || "");
+  // Replace variables in a single pass so substituted values are never re-scanned.
+  // {{VAR}} is HTML-escaped; {{{VAR}}} is inserted as-is and must only carry
+  // trusted or sanitized HTML.
+  return template.replace(/{{{(\w+)}}}|{{(\w+)}}/g, (match, rawKey, key) => {
+    if (rawKey !== undefined) {
+      return Object.hasOwn(variables, rawKey) ? variables[rawKey] || "" : match;
+    }
+    return Object.hasOwn(variables, key) ? escapeHtml(variables[key]) : match;
   });
-
-  return template;
 }
 
 // Function to extract linkable pages from infobox data
@@ -83,7 +92,7 @@ export function extractInfoboxLinkedPages(infoboxData) {
 // Function to convert comma-separated values to links
 function formatInfoboxValue(value) {
   if (!value || typeof value !== "string") {
-    return value;
+    return escapeHtml(value);
   }
 
   // Check if value contains commas (potential list)
@@ -97,9 +106,11 @@ function formatInfoboxValue(value) {
     if (items.length > 1) {
       const links = items.map((item, index) => {
         // Convert item to slug format for wiki links
-        const slug = item.replace(/\s+/g, "_");
+        const slug = titleToWikipediaSlug(item);
         const comma = index < items.length - 1 ? ", " : "";
-        return `<span class="comma-item"><a href="/wiki/${slug}">${item}</a>${comma}</span>`;
+        return `<span class="comma-item"><a href="/wiki/${escapeHtml(
+          slug
+        )}">${escapeHtml(item)}</a>${comma}</span>`;
       });
 
       return `<span class="comma-list">${links.join("")}</span>`;
@@ -113,11 +124,11 @@ function formatInfoboxValue(value) {
       value
     )
   ) {
-    const slug = value.replace(/\s+/g, "_");
-    return `<a href="/wiki/${slug}">${value}</a>`;
+    const slug = titleToWikipediaSlug(value);
+    return `<a href="/wiki/${escapeHtml(slug)}">${escapeHtml(value)}</a>`;
   }
 
-  return value;
+  return escapeHtml(value);
 }
 
 // Function to render infobox HTML from JSON data
@@ -126,21 +137,20 @@ export function renderInfobox(title, infoboxData) {
     return "";
   }
 
+  const safeTitle = escapeHtml(title);
   let infoboxHtml = `<div class="infobox">
-    <div class="infobox-title">${title}</div>`;
+    <div class="infobox-title">${safeTitle}</div>`;
 
   // Handle image field first (if present)
-  if (infoboxData.image) {
-    const imageFilename = infoboxData.image;
-    // Extract the filename without extension to use as slug
-    const nameWithoutExt = imageFilename.replace(/\.[^/.]+$/, "");
-    const slug = nameWithoutExt.replace(/\s+/g, "_");
-    // Preserve the original extension from filename
-    const extension = imageFilename.split(".").pop() || "webp";
+  const infoboxImage = getInfoboxImage(infoboxData);
+  if (infoboxImage) {
+    const { slug, extension } = infoboxImage;
 
     infoboxHtml += `
       <div class="infobox-image">
-        <img data-src="/images/${slug}.${extension}" alt="${title}" title="${title}" class="wiki-image lazy-load">
+        <img data-src="/images/${escapeHtml(
+          `${slug}.${extension}`
+        )}" alt="${safeTitle}" title="${safeTitle}" class="wiki-image lazy-load">
       </div>`;
   }
 
@@ -157,7 +167,7 @@ export function renderInfobox(title, infoboxData) {
 
       infoboxHtml += `
         <div class="infobox-row">
-          <div class="infobox-label">${displayKey}</div>
+          <div class="infobox-label">${escapeHtml(displayKey)}</div>
           <div class="infobox-data">${formattedValue}</div>
         </div>`;
     }
@@ -166,3 +176,205 @@ export function renderInfobox(title, infoboxData) {
   infoboxHtml += "</div>";
   return infoboxHtml;
 }
+
+// Notice shown above a page served from an old copy after regeneration failed
+const STALE_NOTICE = `<div class="stale-notice" role="status">
+  This page could not be regenerated right now, so you are viewing an older copy.
+</div>`;
+
+// Function to add the stale-copy notice to a rendered page
+export function addStaleNotice(pageHtml) {
+  return pageHtml.replace(
+    '<main class="content">',
+    (main) => `${main}${STALE_NOTICE}`
+  );
+}
+
+// Function to add a "Redirected from" line under the page title
+export function addRedirectNotice(pageHtml, fromTitle) {
+  return pageHtml.replace(
+    /<h1 class="article-title">[\s\S]*?<\/h1>/,
+    (heading) =>
+      `${heading}<div class="redirect-notice">(Redirected from ${escapeHtml(
+        fromTitle
+      )})</div>`
+  );
+}
+
+// Function to add a notice (trusted HTML) about the revision being viewed
+// under the page title
+export function addRevisionNotice(pageHtml, noticeHtml) {
+  return pageHtml.replace(
+    /<h1 class="article-title">[\s\S]*?<\/h1>/,
+    (heading) =>
+      `${heading}<div class="revision-notice" role="status">${noticeHtml}</div>`
+  );
+}
+
+// URL of a special page about a wiki page (e.g. its history)
+const specialPageHref = (specialPage, slug) =>
+  `/wiki/Special:${specialPage}/${encodeURIComponent(slug)}`;
+
+// Function to add the history and regenerate links above an article's title
+export function addPageActions(pageHtml, slug) {
+  const actions = `<div class="page-actions">
+  <a href="${escapeHtml(specialPageHref("History", slug))}">View history</a>
+  <a href="${escapeHtml(
+    specialPageHref("Regenerate", slug)
+  )}">Regenerate page</a>
+</div>`;
+  return pageHtml.replace(
+    '<h1 class="article-title">',
+    (heading) => `${actions}\n${heading}`
+  );
+}
+
+// Function to add a "regenerate" link to the heading of one section
+export function addSectionAction(html, slug, anchor, index) {
+  return html.replace(
+    new RegExp(`(<h2 id="${anchor}">[\\s\\S]*?)(</h2>)`),
+    (match, heading, close) =>
+      `${heading}<span class="section-actions">[<a href="${escapeHtml(
+        `${specialPageHref("Regenerate", slug)}?section=${index}`
+      )}">regenerate</a>]</span>${close}`
+  );
+}
+
+/**
+ * Add a "regenerate" link to the heading of each generated section
+ * @param {string} contentHtml - Rendered article content
+ * @param {string} slug - Page slug
+ * @param {Array<string>} sectionAnchors - Heading ID of each section, in
+ *   section order (see renderArticle)
+ * @returns {string} - Content with the section links
+ */
+export function addSectionActions(contentHtml, slug, sectionAnchors = []) {
+  return sectionAnchors.reduce(
+    (html, anchor, index) => addSectionAction(html, slug, anchor, index),
+    contentHtml
+  );
+}
+
+/**
+ * Render the complete page for an article's content and infobox
+ * @param {string} title - Page title
+ * @param {Object} parts - { content, infobox, sectionAnchors }
+ * @param {Object} options - { sectionActions }: whether section headings get
+ *   "regenerate" links (static copies have no server to regenerate them)
+ * @returns {string} - Page HTML
+ */
+export function assemblePage(
+  title,
+  { content, infobox, sectionAnchors },
+  { sectionActions = true } = {}
+) {
+  return renderTemplate("page", {
+    TITLE: `${title} - Wiki Simulator`,
+    INFOBOX: renderInfobox(title, infobox),
+    CONTENT: sectionActions
+      ? addSectionActions(content, titleToWikipediaSlug(title), sectionAnchors)
+      : content,
+  });
+}
+
+// Function to render the complete page for a disambiguation title's list of
+// meanings
+export function assembleDisambiguationPage(title, content) {
+  return renderTemplate("disambiguation", {
+    TITLE: `${title} - Wiki Simulator`,
+    TERM: getDisambiguationTerm(title),
+    CONTENT: content,
+  });
+}
+
+// Function to render the complete page for an article rendered by
+// renderArticle (options as for assemblePage)
+export function assembleArticlePage(
+  title,
+  article,
+  { content, sectionAnchors },
+  options = {}
+) {
+  return article.kind === "disambiguation"
+    ? assembleDisambiguationPage(title, content)
+    : assemblePage(
+        title,
+        { content, infobox: article.infobox, sectionAnchors },
+        options
+      );
+}
+
+// Marker separating the streamed page shell from its closing markup
+const STREAM_MARKER = "<!--STREAM-->";
+
+// Placeholder lines shown while a streamed slot is still generating
+const STREAM_PLACEHOLDER = `<div class="stream-placeholder">
+      <span class="stream-placeholder-line"></span>
+      <span class="stream-placeholder-line"></span>
+      <span class="stream-placeholder-line stream-placeholder-short"></span>
+    </div>`;
+
+// Function to render the page shell that is flushed before generation starts.
+// Returns the markup up to the streamed slots and the closing markup after them.
+export function renderStreamingShell(title) {
+  const page = renderTemplate("page", {
+    TITLE: `${title} - Wiki Simulator`,
+    INFOBOX: '<div data-stream-slot="infobox"></div>',
+    CONTENT: `<div data-stream-slot="opening">${STREAM_PLACEHOLDER}</div>
+    <div data-stream-slot="toc">
+      <div class="toc-container toc-skeleton">
+        <div class="toc-header">
+          <span class="toc-icon">≡</span>
+          <h2>Contents</h2>
+        </div>
+        <div class="toc-content">${STREAM_PLACEHOLDER}</div>
+      </div>
+    </div>
+    <div data-stream-slot="sections"></div>
+    ${STREAM_MARKER}`,
+  });
+
+  const markerIndex = page.indexOf(STREAM_MARKER);
+  return {
+    head: page.substring(0, markerIndex),
+    tail: page.substring(markerIndex + STREAM_MARKER.length),
+  };
+}
+
+// Function to wrap streamed HTML for a slot; page-stream.js moves it into place
+export function renderStreamFill(slot, html) {
+  return `<template data-stream-fill="${slot}">${html}</template><span data-stream-end hidden></span>\n`;
+}
+
+// Function to render placeholder sections once the outline is known
+export function renderSectionSkeletons(sectionTitles) {
+  return sectionTitles
+    .map(
+      (title, index) => `<div data-stream-slot="section-${index}">
+      <h2>${escapeHtml(title)}</h2>
+      ${STREAM_PLACEHOLDER}
+    </div>`
+    )
+    .join("\n");
+}
+
+/**
+ * Render the OpenSearch description document, which lets browsers add the
+ * wiki as a search engine with search suggestions
+ * @param {string} baseUrl - Absolute URL of the site, without a trailing slash
+ * @returns {string} - OpenSearch description XML
+ */
+export function renderOpenSearchDescription(baseUrl) {
+  const base = escapeHtml(baseUrl);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/" xmlns:moz="http://www.mozilla.org/2006/browser/search/">
+  <ShortName>Wiki Simulator</ShortName>
+  <Description>Search the Wiki Simulator</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <Url type="text/html" method="get" template="${base}/search?q={searchTerms}"/>
+  <Url type="application/x-suggestions+json" method="get" template="${base}/api/opensearch?search={searchTerms}"/>
+  <Url type="application/opensearchdescription+xml" rel="self" template="${base}/opensearch.xml"/>
+  <moz:SearchForm>${base}/search</moz:SearchForm>
+</OpenSearchDescription>
+`;
+}
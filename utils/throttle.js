@@ -0,0 +1,21 @@
+// Outgoing request throttling: spaces calls to an external API evenly, so a
+// batch job stays within the API's requests-per-minute limit
+
+/**
+ * Create a throttle that lets at most requestsPerMinute calls start per
+ * minute, one every 60/requestsPerMinute seconds
+ * @param {number} requestsPerMinute - Calls allowed per minute (> 0)
+ * @returns {Function} - Returns a promise to await before each call; it
+ *   resolves once the call's turn has come
+ */
+export function createThrottle(requestsPerMinute) {
+  const intervalMs = 60000 / requestsPerMinute;
+  let nextSlot = 0;
+
+  return () => {
+    const now = Date.now();
+    const waitMs = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + intervalMs;
+    return new Promise((resolve) => setTimeout(resolve, waitMs));
+  };
+}
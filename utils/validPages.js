@@ -3,10 +3,60 @@ import fs from "fs";
 import path from "path";
 import { titleToWikipediaSlug } from "./slugs.js";
 
-const VALID_PAGES_FILE = path.join(process.cwd(), "cache", "validPages.json");
+const VALID_PAGES_FILE = path.join(
+  process.env.CACHE_DIR || path.join(process.cwd(), "cache"),
+  "validPages.json"
+);
 
-// In-memory store for valid pages backed by JSON file
+// Most pages (a count, not bytes) kept in the registry; the least recently
+// used are dropped first. The registry lives in memory and in its own file,
+// outside the cache's byte budgets (CACHE_MAX_MB and the like).
+const VALID_PAGES_MAX_COUNT =
+  parseInt(process.env.VALID_PAGES_MAX_COUNT, 10) || 50000;
+
+// In-memory store for valid pages backed by JSON file. Set order is recency:
+// lookups and re-adds move a page to the end.
 let validPages = new Set();
+let evictions = 0;
+
+// Registered slugs by their lowercase form, for findValidPageVariant
+let slugsByFoldedCase = new Map();
+
+// Add a page to the registry and its lowercase lookup
+function registerValidPage(slug) {
+  validPages.add(slug);
+  const folded = slug.toLowerCase();
+  if (!slugsByFoldedCase.has(folded)) {
+    slugsByFoldedCase.set(folded, new Set());
+  }
+  slugsByFoldedCase.get(folded).add(slug);
+}
+
+// Remove a page from the registry and its lowercase lookup
+function unregisterValidPage(slug) {
+  validPages.delete(slug);
+  const folded = slug.toLowerCase();
+  const variants = slugsByFoldedCase.get(folded);
+  variants?.delete(slug);
+  if (variants?.size === 0) {
+    slugsByFoldedCase.delete(folded);
+  }
+}
+
+// Mark a page as recently used
+function touchValidPage(slug) {
+  validPages.delete(slug);
+  validPages.add(slug);
+}
+
+// Drop the least recently used pages beyond the registry's count cap
+function enforceValidPagesLimit() {
+  for (const slug of validPages) {
+    if (validPages.size <= VALID_PAGES_MAX_COUNT) break;
+    unregisterValidPage(slug);
+    evictions++;
+  }
+}
 
 // Ensure cache directory exists
 function ensureCacheDir() {
@@ -23,7 +73,12 @@ function loadValidPages() {
     if (fs.existsSync(VALID_PAGES_FILE)) {
       const data = fs.readFileSync(VALID_PAGES_FILE, "utf8");
       const pages = JSON.parse(data);
-      validPages = new Set(pages);
+      // Registries saved before titles were normalized may hold other spellings
+      pages
+        .map(titleToWikipediaSlug)
+        .filter(Boolean)
+        .forEach(registerValidPage);
+      enforceValidPagesLimit();
       console.log(`Loaded ${validPages.size} valid pages from cache`);
     } else {
       console.log("No existing valid pages cache found, starting fresh");
@@ -31,6 +86,7 @@ function loadValidPages() {
   } catch (error) {
     console.error("Error loading valid pages cache:", error);
     validPages = new Set();
+    slugsByFoldedCase = new Map();
   }
 }
 
@@ -49,15 +105,35 @@ function saveValidPages() {
 export function addValidPage(title) {
   const slug = titleToWikipediaSlug(title);
   if (!validPages.has(slug)) {
-    validPages.add(slug);
+    registerValidPage(slug);
+    enforceValidPagesLimit();
     console.log(`Added valid page: ${slug} (${title})`);
     saveValidPages();
+  } else {
+    touchValidPage(slug);
   }
 }
 
-// Check if page is in valid cache
-export function isValidPage(slug) {
-  return validPages.has(slug);
+// Check if page is in valid cache, marking it as recently used unless
+// touch is false (recency is saved with the next change)
+export function isValidPage(slug, { touch = true } = {}) {
+  if (!validPages.has(slug)) {
+    return false;
+  }
+  if (touch) {
+    touchValidPage(slug);
+  }
+  return true;
+}
+
+// Find a registered page whose slug differs from slug only by letter case,
+// preferring an exact match; returns null when there is none
+export function findValidPageVariant(slug) {
+  if (validPages.has(slug)) {
+    return slug;
+  }
+  const [variant = null] = slugsByFoldedCase.get(slug.toLowerCase()) || [];
+  return variant;
 }
 
 // Get all valid pages (for debugging)
@@ -65,20 +141,34 @@ export function getAllValidPages() {
   return Array.from(validPages);
 }
 
-// Add pages from search suggestions to valid cache
-export function addSuggestionsToValid(suggestions) {
+// Get registry size, count cap and evictions (reported in cache stats)
+export function getValidPagesStats() {
+  return { count: validPages.size, maxCount: VALID_PAGES_MAX_COUNT, evictions };
+}
+
+// Add several pages to valid cache at once; returns how many were new
+export function addValidPages(titles) {
   let added = 0;
-  suggestions.forEach((suggestion) => {
-    const slug = titleToWikipediaSlug(suggestion.title);
-    if (!validPages.has(slug)) {
-      validPages.add(slug);
+  titles.forEach((title) => {
+    const slug = titleToWikipediaSlug(title);
+    if (slug && !validPages.has(slug)) {
+      registerValidPage(slug);
       added++;
     }
   });
   if (added > 0) {
-    console.log(`Added ${added} new valid pages from suggestions`);
+    enforceValidPagesLimit();
     saveValidPages();
   }
+  return added;
+}
+
+// Add pages from search suggestions to valid cache
+export function addSuggestionsToValid(suggestions) {
+  const added = addValidPages(suggestions.map(({ title }) => title));
+  if (added > 0) {
+    console.log(`Added ${added} new valid pages from suggestions`);
+  }
 }
 
 // Initialize cache on startup
@@ -0,0 +1,345 @@
+// Wiki bundles: a whole generated wiki as one versioned .tar.gz, for moving it
+// between machines. A bundle holds:
+//   manifest.json          format, version, creation date and counts
+//   pages/*.json           cached pages (documents with their article
+//                          markdown and infobox data, or legacy HTML)
+//   revisions/*.json       page histories
+//   images/*.json + files  image metadata records next to the image bytes
+//   prompts/*.json         image prompt records
+//   validPages.json        the valid pages registry
+//   redirects.json         every redirect
+// Each cache record keeps its key and timestamp, so imports can tell which of
+// two copies of an entry is newer.
+//
+// Bundles are built and read in memory. (De)compression runs off the event
+// loop, but reading the cache for an export, and checking and writing entries
+// on import, block it for a time that grows with the wiki; imports refuse
+// archives over TARBALL_LIMITS (utils/tarball.js).
+import crypto from "crypto";
+import { getCacheStore, listCacheEntries, setCache } from "./fileCache.js";
+import { getAllValidPages, addValidPages } from "./validPages.js";
+import { listRedirects, addRedirect, REDIRECT_SOURCES } from "./redirects.js";
+import { isPageDocument } from "./pageDocuments.js";
+import { setPageLinks } from "./linkGraph.js";
+import { createTarball, readTarball } from "./tarball.js";
+
+export const BUNDLE_FORMAT = "wiki-simulator-bundle";
+
+// Bumped when the layout changes; bundles from newer versions are refused
+export const BUNDLE_VERSION = 1;
+
+// How an import treats entries that already exist
+export const IMPORT_POLICIES = ["keep-newer", "keep-existing", "overwrite"];
+
+const MANIFEST_FILE = "manifest.json";
+const VALID_PAGES_FILE = "validPages.json";
+const REDIRECTS_FILE = "redirects.json";
+
+// Cache entries carried by a bundle, by section: key prefix, directory and
+// whether the content is binary
+const BUNDLE_SECTIONS = {
+  pages: { prefix: "wiki_", dir: "pages", isBinary: false },
+  revisions: { prefix: "revisions_", dir: "revisions", isBinary: false },
+  images: { prefix: "image_", dir: "images", isBinary: true },
+  prompts: { prefix: "img_prompt_", dir: "prompts", isBinary: false },
+};
+
+// Readable part of a bundle file name; the hash keeps names unique
+const FILE_NAME_PREFIX_LENGTH = 60;
+
+// Function to get the file name (without extension) of an entry in a bundle
+function toBundleFileName(name) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(name, "utf8")
+    .digest("hex")
+    .slice(0, 12);
+  const readable = name
+    .replace(/[^A-Za-z0-9_()-]+/g, "_")
+    .slice(0, FILE_NAME_PREFIX_LENGTH);
+  return `${readable}.${hash}`;
+}
+
+// Function to get the file extension of an exported image from its metadata
+// (never .json, which names the image's record)
+function getImageExtension(metadata) {
+  const format = String(metadata?.format || "").toLowerCase();
+  return /^[a-z0-9]+$/.test(format) && format !== "json" ? format : "bin";
+}
+
+/**
+ * Write every cached page, revision history, image and image prompt, plus the
+ * valid pages registry and redirects, into a bundle. Entries are read from the
+ * store directly, so LRU order is left alone.
+ * @returns {Promise<Object>} - { tarball, manifest } (tarball a .tar.gz
+ *   Buffer)
+ */
+export async function createWikiBundle() {
+  const store = getCacheStore();
+  const entries = listCacheEntries().sort((a, b) => a.key.localeCompare(b.key));
+  const files = [];
+  const counts = {};
+
+  Object.entries(BUNDLE_SECTIONS).forEach(
+    ([section, { prefix, dir, isBinary }]) => {
+      counts[section] = 0;
+      entries
+        .filter((entry) => entry.isBinary === isBinary)
+        .filter(({ key }) => key.startsWith(prefix))
+        .forEach(({ key }) => {
+          const entry = store.read(key, isBinary);
+          if (!entry) {
+            return;
+          }
+          const name = toBundleFileName(key.slice(prefix.length));
+          const record = {
+            key,
+            timestamp: entry.timestamp,
+            metadata: entry.metadata,
+          };
+          const mtime = entry.timestamp;
+
+          if (isBinary) {
+            const file = `${name}.${getImageExtension(entry.metadata)}`;
+            files.push(
+              {
+                path: `${dir}/${name}.json`,
+                content: JSON.stringify({ ...record, file }, null, 2),
+                mtime,
+              },
+              { path: `${dir}/${file}`, content: entry.content, mtime }
+            );
+          } else {
+            files.push({
+              path: `${dir}/${name}.json`,
+              content: JSON.stringify(
+                { ...record, content: entry.content },
+                null,
+                2
+              ),
+              mtime,
+            });
+          }
+          counts[section]++;
+        });
+    }
+  );
+
+  const validPages = getAllValidPages();
+  const redirects = listRedirects();
+  counts.validPages = validPages.length;
+  counts.redirects = redirects.length;
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    counts,
+  };
+
+  const tarball = await createTarball([
+    { path: MANIFEST_FILE, content: JSON.stringify(manifest, null, 2) },
+    ...files,
+    { path: VALID_PAGES_FILE, content: JSON.stringify(validPages, null, 2) },
+    { path: REDIRECTS_FILE, content: JSON.stringify(redirects, null, 2) },
+  ]);
+  return { tarball, manifest };
+}
+
+// Function to parse a JSON file of a bundle, naming the file when it is broken
+function parseBundleJson(file) {
+  try {
+    return JSON.parse(file.content.toString("utf8"));
+  } catch (error) {
+    throw new Error(`Invalid JSON in bundle file ${file.path}`);
+  }
+}
+
+// Function to check a bundle's manifest, throwing when it cannot be imported
+function readManifest(filesByPath) {
+  const file = filesByPath.get(MANIFEST_FILE);
+  if (!file) {
+    throw new Error("Not a wiki bundle (no manifest.json)");
+  }
+  const manifest = parseBundleJson(file);
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw new Error("Not a wiki bundle (unknown format)");
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+    throw new Error("Bundle has no valid version");
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    throw new Error(
+      `Bundle version ${manifest.version} is newer than this wiki supports (${BUNDLE_VERSION})`
+    );
+  }
+  return manifest;
+}
+
+// Function to read and check the cache records of one section of a bundle
+function readSectionRecords(filesByPath, section) {
+  const { prefix, dir, isBinary } = BUNDLE_SECTIONS[section];
+  return [...filesByPath.values()]
+    .filter(({ path }) => path.startsWith(`${dir}/`) && path.endsWith(".json"))
+    .map((file) => {
+      const record = parseBundleJson(file);
+      if (
+        typeof record.key !== "string" ||
+        !record.key.startsWith(prefix) ||
+        !Number.isFinite(record.timestamp)
+      ) {
+        throw new Error(`Invalid ${section} record in ${file.path}`);
+      }
+
+      let content = record.content;
+      if (isBinary) {
+        const data =
+          typeof record.file === "string" &&
+          !record.file.includes("/") &&
+          filesByPath.get(`${dir}/${record.file}`);
+        if (!data) {
+          throw new Error(`Missing data for ${record.key} in ${file.path}`);
+        }
+        content = data.content;
+      } else if (
+        content === undefined ||
+        (section === "pages" &&
+          !isPageDocument(content) &&
+          typeof content !== "string")
+      ) {
+        throw new Error(`Invalid ${section} record in ${file.path}`);
+      }
+
+      return {
+        key: record.key,
+        timestamp: record.timestamp,
+        metadata:
+          record.metadata && typeof record.metadata === "object"
+            ? record.metadata
+            : {},
+        content,
+      };
+    });
+}
+
+// Function to decide whether an imported copy replaces an existing one
+function shouldReplace(policy, existingTime, importedTime) {
+  if (existingTime === null) {
+    return true;
+  }
+  if (policy === "overwrite") {
+    return true;
+  }
+  return policy === "keep-newer" && importedTime > existingTime;
+}
+
+/**
+ * Import a bundle, merging it into the cache, the valid pages registry and
+ * the redirects. The whole bundle is checked before anything is written.
+ * @param {Buffer} tarball - Bundle written by createWikiBundle
+ * @param {Object} options - { policy } for entries that already exist:
+ *   "keep-newer" (default) keeps whichever copy is newer, "keep-existing"
+ *   never replaces an entry, "overwrite" always takes the bundle's copy.
+ *   Valid pages are always merged.
+ * @returns {Promise<Object>} - { manifest, imported, skipped } (counts per
+ *   section)
+ * @throws {Error} - When the policy is unknown or the bundle is invalid or
+ *   too large
+ */
+export async function importWikiBundle(
+  tarball,
+  { policy = "keep-newer" } = {}
+) {
+  if (!IMPORT_POLICIES.includes(policy)) {
+    throw new Error(
+      `Unknown import policy "${policy}" (expected one of: ${IMPORT_POLICIES.join(
+        ", "
+      )})`
+    );
+  }
+
+  const filesByPath = new Map(
+    (await readTarball(tarball)).map((file) => [file.path, file])
+  );
+  const manifest = readManifest(filesByPath);
+  const sections = Object.fromEntries(
+    Object.keys(BUNDLE_SECTIONS).map((section) => [
+      section,
+      readSectionRecords(filesByPath, section),
+    ])
+  );
+  const validPages = filesByPath.has(VALID_PAGES_FILE)
+    ? parseBundleJson(filesByPath.get(VALID_PAGES_FILE))
+    : [];
+  const redirects = filesByPath.has(REDIRECTS_FILE)
+    ? parseBundleJson(filesByPath.get(REDIRECTS_FILE))
+    : [];
+  if (!Array.isArray(validPages) || !Array.isArray(redirects)) {
+    throw new Error("Invalid valid pages or redirects in bundle");
+  }
+
+  const imported = {};
+  const skipped = {};
+
+  const store = getCacheStore();
+  Object.entries(sections).forEach(([section, records]) => {
+    const { isBinary } = BUNDLE_SECTIONS[section];
+    imported[section] = 0;
+    skipped[section] = 0;
+    records.forEach(({ key, timestamp, metadata, content }) => {
+      const existing = store.stat(key, isBinary);
+      if (
+        !shouldReplace(policy, existing ? existing.timestamp : null, timestamp)
+      ) {
+        skipped[section]++;
+        return;
+      }
+      setCache(key, content, metadata, isBinary, timestamp);
+      // Documents know their links, so "What links here" covers them at once
+      if (section === "pages" && isPageDocument(content)) {
+        setPageLinks(
+          key.slice(BUNDLE_SECTIONS.pages.prefix.length),
+          content.linkedPages || []
+        );
+      }
+      imported[section]++;
+    });
+  });
+
+  const titles = validPages.filter((title) => typeof title === "string");
+  imported.validPages = addValidPages(titles);
+  skipped.validPages = validPages.length - imported.validPages;
+
+  const existingRedirects = new Map(
+    listRedirects().map((redirect) => [redirect.from, redirect])
+  );
+  imported.redirects = 0;
+  skipped.redirects = 0;
+  redirects.forEach(({ from, to, source, createdAt }) => {
+    const existing = existingRedirects.get(from);
+    const importedTime = Date.parse(createdAt);
+    if (
+      typeof from !== "string" ||
+      typeof to !== "string" ||
+      !REDIRECT_SOURCES.includes(source) ||
+      Number.isNaN(importedTime) ||
+      !shouldReplace(
+        policy,
+        existing ? Date.parse(existing.createdAt) : null,
+        importedTime
+      )
+    ) {
+      skipped.redirects++;
+      return;
+    }
+    try {
+      addRedirect(from, to, { source, createdAt });
+      imported.redirects++;
+    } catch (error) {
+      // Redirects that would now lead to themselves
+      skipped.redirects++;
+    }
+  });
+
+  return { manifest, imported, skipped };
+}